@@ -0,0 +1,71 @@
+/**
+ * Anchors - Anchor Kutuları ve Sorumlu Hücre/Anchor Eşlemesi
+ * 
+ * YOLOv2'nin hücre başına B kutu tahmininin dayandığı anchor önsellerini tanımlar:
+ * - Anchor boyutları 13×13 çıkış grid'inin hücre birimindedir (genişlik, yükseklik);
+ *   seçili grid boyutundan bağımsız olarak görüntü genişliği/13 ile piksele çevrilir
+ * - Sorumlu hücre: nesne merkezinin düştüğü hücre
+ * - Sorumlu anchor: nesneyle şekil IoU'su en yüksek anchor (merkezler hizalı)
+ */
+
+import { YOLO_V2_VOC_ANCHORS, YOLO_V2_COCO_ANCHORS } from './yolo-decoder.js';
+
+/**
+ * YOLOv2 anchor'larının tanımlandığı çıkış grid'i (416 girdi / stride 32)
+ */
+export const ANCHOR_GRID_SIZE = 13;
+
+export const ANCHOR_PRESETS = {
+    'yolov2-voc': {
+        name: 'YOLOv2 VOC (5 anchor)',
+        anchors: YOLO_V2_VOC_ANCHORS
+    },
+    'yolov2-coco': {
+        name: 'YOLOv2 COCO (5 anchor)',
+        anchors: YOLO_V2_COCO_ANCHORS
+    }
+};
+
+/**
+ * Merkezleri hizalanmış iki kutunun yalnızca boyuta bağlı IoU'su
+ */
+export function calculateShapeIoU([w1, h1], [w2, h2]) {
+    const intersectArea = Math.min(w1, w2) * Math.min(h1, h2);
+    const unionArea = w1 * h1 + w2 * h2 - intersectArea;
+    
+    return unionArea > 0 ? intersectArea / unionArea : 0;
+}
+
+/**
+ * Anchor boyutunu görüntü pikseline çevirir (görüntü genişlik/yükseklik piksel)
+ */
+export function anchorToPixels([anchorW, anchorH], imageWidth, imageHeight) {
+    return [anchorW * imageWidth / ANCHOR_GRID_SIZE, anchorH * imageHeight / ANCHOR_GRID_SIZE];
+}
+
+/**
+ * Detection'ın sorumlu hücresini (seçili grid'de) ve anchor IoU'larını bulur (bbox ve görüntü boyutu piksel)
+ */
+export function matchAnchors(bbox, anchors, { gridSize, imageWidth, imageHeight }) {
+    const [x, y, width, height] = bbox;
+    const cellWidth = imageWidth / gridSize;
+    const cellHeight = imageHeight / gridSize;
+    
+    // Merkezin düştüğü hücre (kenardaki merkezler son hücreye)
+    const col = Math.min(gridSize - 1, Math.max(0, Math.floor((x + width / 2) / cellWidth)));
+    const row = Math.min(gridSize - 1, Math.max(0, Math.floor((y + height / 2) / cellHeight)));
+    
+    // Kutu boyutu anchor birimine (13×13 hücresi)
+    const size = [width * ANCHOR_GRID_SIZE / imageWidth, height * ANCHOR_GRID_SIZE / imageHeight];
+    const ious = anchors.map(anchor => calculateShapeIoU(anchor, size));
+    const bestAnchor = ious.indexOf(Math.max(...ious));
+    
+    return {
+        cellId: row * gridSize + col,
+        row: row,
+        col: col,
+        ious: ious,
+        bestAnchor: bestAnchor,
+        bestIoU: ious[bestAnchor]
+    };
+}
\ No newline at end of file
@@ -0,0 +1,493 @@
+/**
+ * Asset Loader - Çevrimdışı Model ve Kütüphane Yükleme
+ * 
+ * Model ağırlıklarını ve kütüphaneleri internet olmadan da yükleyebilmek için:
+ * - Arama sırası: seçilen klasör → IndexedDB önbelleği → src/ altındaki kopya → CDN
+ * - Göreli yollar sayfa kök URL'sine göre çözülür (worker'da da aynı kök kullanılır)
+ * - Ağdan ilk yüklemeden sonra IndexedDB'ye yazılır
+ * - Byte düzeyinde indirme ilerlemesi ({ loaded, total, url, source })
+ * - TF.js graph modelleri için IOHandler (model.json + ağırlık parçaları)
+ * - Kütüphaneleri (TF.js, COCO-SSD, onnxruntime-web) ihtiyaç anında yükler
+ * - Kütüphanelerin ek dosyaları (ör. ORT wasm) aynı sırayla yüklenip blob URL olarak verilir
+ */
+
+/**
+ * Kütüphane kaynakları (önce src/vendor altındaki kopya, sonra CDN)
+ */
+export const LIBRARIES = {
+    tf: {
+        global: 'tf',
+        paths: ['vendor/tf.min.js'],
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/tensorflow/4.10.0/tf.min.js'
+    },
+    cocoSsd: {
+        global: 'cocoSsd',
+        deps: ['tf'],
+        paths: ['vendor/coco-ssd.min.js'],
+        cdn: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.2/dist/coco-ssd.min.js'
+    },
+    ort: {
+        global: 'ort',
+        paths: ['vendor/ort/ort.min.js'],
+        cdn: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/ort.min.js',
+        files: ['ort-wasm.wasm', 'ort-wasm-simd.wasm', 'ort-wasm-threaded.wasm', 'ort-wasm-simd-threaded.wasm']
+    }
+};
+
+/**
+ * TF.js ağırlık veri tiplerinin byte uzunlukları
+ */
+const DTYPE_BYTES = {
+    float32: 4,
+    int32: 4,
+    float16: 2,
+    uint16: 2,
+    uint8: 1,
+    bool: 1
+};
+
+/**
+ * IndexedDB tabanlı asset önbelleği (anahtar: asset yolu)
+ */
+export class AssetCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'yoloGridDemo';
+        this.storeName = options.storeName || 'assets';
+        this.dbPromise = null;
+    }
+    
+    /**
+     * Veritabanını açar (IndexedDB yoksa null)
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                
+                const request = indexedDB.open(this.dbName, 1);
+                
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB açılamadı, önbellek devre dışı:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    /**
+     * Tek bir IndexedDB işlemini çalıştırır
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        return new Promise(resolve => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ Önbellek işlemi başarısız:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    
+    /**
+     * Önbellekteki kaydı döndürür (yoksa undefined)
+     */
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+    
+    /**
+     * Kaydı önbelleğe yazar
+     */
+    set(key, value) {
+        return this.run('readwrite', store => store.put(value, key));
+    }
+    
+    /**
+     * Kaydı önbellekten siler
+     */
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+    
+    /**
+     * Tüm önbelleği temizler
+     */
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+export class AssetLoader {
+    constructor(options = {}) {
+        this.cache = options.cache || new AssetCache();
+        this.localFiles = new Map(); // Seçilen klasördeki dosyalar (göreli yol → File)
+        this.libraryPromises = new Map();
+        
+        // Göreli asset yollarının kökü (worker'ın kendi konumu src/js/ olduğundan sayfa kökü aktarılır)
+        this.baseUrl = options.baseUrl ||
+            (typeof document !== 'undefined' ? new URL('.', document.baseURI).href : null);
+    }
+    
+    /**
+     * Kullanıcının seçtiği klasörü asset kaynağı olarak ayarlar
+     */
+    setLocalFiles(fileList) {
+        this.setLocalFileEntries(Array.from(fileList || []).map(file => ({
+            // "secilenKlasor/models/x/model.json" → "models/x/model.json"
+            path: (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name,
+            file: file
+        })));
+    }
+    
+    /**
+     * Klasör dosyalarını { path, file } listesinden ayarlar (worker'a aktarım için)
+     */
+    setLocalFileEntries(entries) {
+        this.localFiles.clear();
+        entries.forEach(({ path, file }) => this.localFiles.set(path, file));
+        
+        console.log(`📁 Yerel asset klasörü: ${this.localFiles.size} dosya`);
+    }
+    
+    /**
+     * Başka bir thread'deki loader'a aktarılacak asset kaynağı (kök URL + klasör dosyaları)
+     */
+    getAssetSource() {
+        return {
+            baseUrl: this.baseUrl,
+            files: Array.from(this.localFiles, ([path, file]) => ({ path, file }))
+        };
+    }
+    
+    /**
+     * Ana thread'den gelen asset kaynağını uygular
+     */
+    setAssetSource({ baseUrl, files }) {
+        if (baseUrl) {
+            this.baseUrl = baseUrl;
+        }
+        
+        this.setLocalFileEntries(files || []);
+    }
+    
+    /**
+     * Göreli asset yolunu kök URL'ye göre mutlak URL'ye çevirir
+     */
+    resolveAssetUrl(url) {
+        return this.baseUrl ? new URL(url, this.baseUrl).href : url;
+    }
+    
+    /**
+     * URL'lerden biriyle eşleşen klasör dosyasını bulur (en uzun eşleşme)
+     */
+    findLocalFile(urls) {
+        let match = null;
+        let matchLength = 0;
+        
+        urls.forEach(url => {
+            const path = url.split(/[?#]/)[0];
+            
+            this.localFiles.forEach((file, relativePath) => {
+                const matches = path === relativePath || path.endsWith(`/${relativePath}`);
+                if (matches && relativePath.length > matchLength) {
+                    match = file;
+                    matchLength = relativePath.length;
+                }
+            });
+        });
+        
+        return match;
+    }
+    
+    /**
+     * Asset'i sırasıyla klasör, önbellek ve verilen URL'lerden yükler
+     */
+    async fetchAsset(sources, options = {}) {
+        const urls = Array.isArray(sources) ? sources : [sources];
+        const { onProgress = null, cacheKey = urls[0] } = options;
+        const report = progress => onProgress && onProgress(progress);
+        
+        const localFile = this.findLocalFile(urls);
+        if (localFile) {
+            const data = await localFile.arrayBuffer();
+            report({ loaded: data.byteLength, total: data.byteLength, url: localFile.name, source: 'folder' });
+            return { data, url: urls[0], source: 'folder' };
+        }
+        
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+            report({ loaded: cached.data.byteLength, total: cached.data.byteLength, url: cached.url, source: 'cache' });
+            return { data: cached.data, url: cached.url, source: 'cache' };
+        }
+        
+        let lastError = null;
+        
+        for (const url of urls) {
+            try {
+                const response = await fetch(this.resolveAssetUrl(url));
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const data = await this.readResponse(response, progress => {
+                    report({ ...progress, url, source: 'network' });
+                });
+                
+                await this.cache.set(cacheKey, { url, data, savedAt: Date.now() });
+                
+                return { data, url, source: 'network' };
+                
+            } catch (error) {
+                lastError = error;
+                console.warn(`⚠️ ${url} yüklenemedi: ${error.message}`);
+            }
+        }
+        
+        throw new Error(`Asset yüklenemedi: ${cacheKey} (${lastError ? lastError.message : 'kaynak yok'})`);
+    }
+    
+    /**
+     * Yanıt gövdesini parça parça okuyarak byte ilerlemesi bildirir
+     */
+    async readResponse(response, onProgress) {
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        
+        if (!response.body || !response.body.getReader) {
+            const data = await response.arrayBuffer();
+            onProgress({ loaded: data.byteLength, total: data.byteLength });
+            return data;
+        }
+        
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            chunks.push(value);
+            loaded += value.byteLength;
+            
+            // Sıkıştırılmış yanıtlarda Content-Length okunan byte'tan küçük olabilir
+            onProgress({ loaded, total: Math.max(total, loaded) });
+        }
+        
+        const data = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            data.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        
+        return data.buffer;
+    }
+    
+    /**
+     * Kütüphaneyi yükler (zaten yüklüyse global nesneyi döndürür)
+     */
+    loadLibrary(name, onProgress = null) {
+        const library = LIBRARIES[name];
+        
+        if (!library) {
+            return Promise.reject(new Error(`Bilinmeyen kütüphane: ${name}`));
+        }
+        
+        if (globalThis[library.global]) {
+            return Promise.resolve(globalThis[library.global]);
+        }
+        
+        if (!this.libraryPromises.has(name)) {
+            const promise = this.injectLibrary(name, library, onProgress).catch(error => {
+                this.libraryPromises.delete(name);
+                throw error;
+            });
+            this.libraryPromises.set(name, promise);
+        }
+        
+        return this.libraryPromises.get(name);
+    }
+    
+    /**
+     * Kütüphane kodunu yükler ve global kapsamda çalıştırır
+     */
+    async injectLibrary(name, library, onProgress) {
+        for (const dependency of library.deps || []) {
+            await this.loadLibrary(dependency, onProgress);
+        }
+        
+        const { data, url, source } = await this.fetchAsset([...library.paths, library.cdn], { onProgress });
+        
+        if (typeof document === 'undefined') {
+            // Worker: script etiketi yok, kod global kapsamda (dolaylı eval) çalıştırılır
+            (0, eval)(new TextDecoder().decode(data));
+        } else {
+            await this.injectScript(name, data);
+        }
+        
+        if (!globalThis[library.global]) {
+            throw new Error(`${name} yüklendi ancak ${library.global} global nesnesi bulunamadı`);
+        }
+        
+        console.log(`📚 ${name} yüklendi (${source}: ${url})`);
+        
+        return globalThis[library.global];
+    }
+    
+    /**
+     * Kodu blob URL'li script etiketiyle sayfaya ekler
+     */
+    async injectScript(name, data) {
+        const blobUrl = URL.createObjectURL(new Blob([data], { type: 'text/javascript' }));
+        
+        try {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = blobUrl;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`${name} kütüphanesi çalıştırılamadı`));
+                document.head.appendChild(script);
+            });
+        } finally {
+            URL.revokeObjectURL(blobUrl);
+        }
+    }
+    
+    /**
+     * Kütüphanenin ek dosyalarını klasör → önbellek → vendor → CDN sırasıyla yükler
+     * ve dosya adı → blob URL eşlemesini döndürür (ör. ort.env.wasm.wasmPaths)
+     */
+    async loadLibraryFiles(name, fileNames, onProgress = null) {
+        const library = LIBRARIES[name];
+        
+        if (!library) {
+            throw new Error(`Bilinmeyen kütüphane: ${name}`);
+        }
+        
+        const urls = {};
+        
+        for (const fileName of fileNames) {
+            const candidates = [...library.paths, library.cdn].map(base => this.resolveUrl(base, fileName));
+            const { data } = await this.fetchAsset(candidates, { onProgress });
+            
+            urls[fileName] = URL.createObjectURL(new Blob([data], { type: 'application/wasm' }));
+        }
+        
+        return urls;
+    }
+    
+    /**
+     * TF.js graph modeli için IOHandler oluşturur (tf.loadGraphModel'e verilir)
+     */
+    createModelHandler(modelUrls, onProgress = null) {
+        const urls = Array.isArray(modelUrls) ? modelUrls : [modelUrls];
+        
+        return {
+            load: async () => {
+                const { data, url } = await this.fetchAsset(urls);
+                const modelJson = JSON.parse(new TextDecoder().decode(data));
+                
+                const weightsManifest = modelJson.weightsManifest || [];
+                const weightSpecs = weightsManifest.flatMap(group => group.weights);
+                const total = this.getWeightsByteLength(weightSpecs);
+                
+                // Başarılı kaynak önce denenir; önbellek anahtarı her zaman ilk URL'ye göredir
+                const baseUrls = [url, ...urls.filter(candidate => candidate !== url)];
+                const buffers = [];
+                let completed = 0;
+                
+                for (const group of weightsManifest) {
+                    for (const path of group.paths) {
+                        const candidates = baseUrls.map(base => this.resolveUrl(base, path));
+                        
+                        const { data: buffer } = await this.fetchAsset(candidates, {
+                            cacheKey: this.resolveUrl(urls[0], path),
+                            onProgress: progress => onProgress && onProgress({
+                                ...progress,
+                                loaded: completed + progress.loaded,
+                                total: Math.max(total, completed + progress.loaded)
+                            })
+                        });
+                        
+                        buffers.push(buffer);
+                        completed += buffer.byteLength;
+                    }
+                }
+                
+                return {
+                    modelTopology: modelJson.modelTopology,
+                    format: modelJson.format,
+                    generatedBy: modelJson.generatedBy,
+                    convertedBy: modelJson.convertedBy,
+                    signature: modelJson.signature,
+                    userDefinedMetadata: modelJson.userDefinedMetadata,
+                    modelInitializer: modelJson.modelInitializer,
+                    weightSpecs: weightSpecs,
+                    weightData: this.concatBuffers(buffers)
+                };
+            }
+        };
+    }
+    
+    /**
+     * Ağırlık tanımlarından beklenen toplam byte sayısını hesaplar
+     */
+    getWeightsByteLength(weightSpecs) {
+        return weightSpecs.reduce((total, spec) => {
+            const size = spec.shape.reduce((product, dim) => product * dim, 1);
+            const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+            
+            return total + size * (DTYPE_BYTES[dtype] || 4);
+        }, 0);
+    }
+    
+    /**
+     * Göreli yolu temel URL'ye göre çözer
+     */
+    resolveUrl(baseUrl, path) {
+        return baseUrl.substring(0, baseUrl.lastIndexOf('/') + 1) + path;
+    }
+    
+    /**
+     * ArrayBuffer parçalarını birleştirir
+     */
+    concatBuffers(buffers) {
+        const total = buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        
+        buffers.forEach(buffer => {
+            result.set(new Uint8Array(buffer), offset);
+            offset += buffer.byteLength;
+        });
+        
+        return result.buffer;
+    }
+    
+    /**
+     * IndexedDB önbelleğini temizler
+     */
+    async clearCache() {
+        await this.cache.clear();
+        console.log('🧹 Asset önbelleği temizlendi');
+    }
+}
+
+/**
+ * Uygulama genelinde paylaşılan loader (klasör seçimi ve önbellek ortak)
+ */
+export const assetLoader = new AssetLoader();
\ No newline at end of file
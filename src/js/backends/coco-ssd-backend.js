@@ -0,0 +1,166 @@
+/**
+ * COCO-SSD Backend - TensorFlow.js COCO-SSD Detector'ı
+ * 
+ * `cocoSsd` kütüphanesini DetectorBackend arayüzüne uyarlar
+ * (MobileNet tabanlı, 80 COCO sınıfı). Kütüphane ve ağırlıklar önce
+ * src/ altındaki kopyadan, yoksa CDN / Google Storage'dan yüklenir.
+ * 
+ * coco-ssd'nin detect() metodu sınıftan bağımsız NMS (minScore 0.5) uygular;
+ * seçilen NMS yönteminin etkisi görülebilsin diye grafiğin ham çıktısı
+ * okunur ve NMS YOLOSimulation'da (nms.js) yapılır.
+ */
+
+import { DetectorBackend, COCO_CLASSES } from './detector-backend.js';
+import { assetLoader } from '../asset-loader.js';
+
+/**
+ * Ağırlık klasörü önekleri (coco-ssd ile aynı)
+ */
+const MODEL_PREFIXES = {
+    'mobilenet_v1': 'ssd_mobilenet_v1',
+    'mobilenet_v2': 'ssd_mobilenet_v2',
+    'lite_mobilenet_v2': 'ssdlite_mobilenet_v2'
+};
+
+const MODEL_BASE_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/';
+
+/**
+ * COCO kategori ID'leri 1-90 arasındadır; bu ID'ler veri setinde kullanılmaz
+ */
+const UNUSED_COCO_IDS = [12, 26, 29, 30, 45, 66, 68, 69, 71, 83];
+
+/**
+ * Model çıktı kanalı (kategori ID - 1) → sınıf ismi tablosu
+ */
+function createCategoryTable() {
+    const names = [...COCO_CLASSES];
+    
+    return Array.from({ length: 90 }, (_, channel) =>
+        UNUSED_COCO_IDS.includes(channel + 1) ? null : names.shift()
+    );
+}
+
+const CATEGORY_NAMES = createCategoryTable();
+
+export class CocoSsdBackend extends DetectorBackend {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'coco-ssd';
+        this.name = 'COCO-SSD (MobileNet)';
+        
+        this.base = options.base || 'mobilenet_v2'; // veya 'lite_mobilenet_v2'
+        this.scoreThreshold = options.scoreThreshold || 0.05;
+        this.model = null;
+    }
+    
+    /**
+     * COCO-SSD modelini yükler
+     */
+    async load() {
+        const cocoSsd = await assetLoader.loadLibrary('cocoSsd', progress => this.reportProgress(progress));
+        
+        this.model = await cocoSsd.load({
+            base: this.base,
+            modelUrl: assetLoader.createModelHandler(this.getModelUrls(), progress => this.reportProgress(progress))
+        });
+        this.isLoaded = true;
+        
+        return this;
+    }
+    
+    /**
+     * Ağırlık kaynakları: verilen URL veya yerel kopya → Google Storage
+     */
+    getModelUrls() {
+        if (this.options.modelUrl) {
+            return [this.options.modelUrl];
+        }
+        
+        const prefix = MODEL_PREFIXES[this.base] || MODEL_PREFIXES['mobilenet_v2'];
+        
+        return [`models/${prefix}/model.json`, `${MODEL_BASE_URL}${prefix}/model.json`];
+    }
+    
+    /**
+     * COCO-SSD grafiğini çalıştırır; NMS uygulanmamış aday kutuları döndürür
+     */
+    async detect(input, options = {}) {
+        if (!this.model) {
+            throw new Error('COCO-SSD modeli henüz yüklenmedi');
+        }
+        
+        const { maxDetections = 20 } = options;
+        const tf = globalThis.tf;
+        const width = input.width;
+        const height = input.height;
+        
+        const batched = tf.tidy(() => tf.expandDims(tf.browser.fromPixels(input)));
+        let outputs;
+        
+        try {
+            // Çıktılar: skorlar [1, N, 90] ve kutular [1, N, 1, 4] (normalize y1, x1, y2, x2)
+            outputs = await this.model.model.executeAsync(batched);
+        } finally {
+            batched.dispose();
+        }
+        
+        const [scoresTensor, boxesTensor] = outputs;
+        const numClasses = scoresTensor.shape[2];
+        const scores = await scoresTensor.data();
+        const boxes = await boxesTensor.data();
+        tf.dispose(outputs);
+        
+        const candidates = [];
+        
+        for (let i = 0; i < boxesTensor.shape[1]; i++) {
+            // Kutunun en yüksek skorlu sınıfı (coco-ssd ile aynı)
+            let classIndex = 0;
+            for (let c = 1; c < numClasses; c++) {
+                if (scores[i * numClasses + c] > scores[i * numClasses + classIndex]) {
+                    classIndex = c;
+                }
+            }
+            
+            const score = scores[i * numClasses + classIndex];
+            const className = CATEGORY_NAMES[classIndex];
+            if (score < this.scoreThreshold || !className) continue;
+            
+            const [minY, minX, maxY, maxX] = boxes.subarray(i * 4, i * 4 + 4);
+            
+            candidates.push({
+                bbox: [minX * width, minY * height, (maxX - minX) * width, (maxY - minY) * height],
+                class: className,
+                score: score
+            });
+        }
+        
+        // NMS YOLOSimulation'da uygulanır; burada yalnızca aday sayısı sınırlanır
+        return candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxDetections * 10);
+    }
+    
+    /**
+     * Modeli bellekten kaldırır
+     */
+    dispose() {
+        if (this.model && this.model.dispose) {
+            this.model.dispose();
+        }
+        
+        this.model = null;
+        super.dispose();
+    }
+    
+    /**
+     * Backend bilgilerini döndürür
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            architecture: `COCO-SSD (${this.base})`,
+            inputSize: '300x300', // Model girdiyi dahili olarak yeniden boyutlandırır
+            version: 'TensorFlow.js'
+        };
+    }
+}
\ No newline at end of file
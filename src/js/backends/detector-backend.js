@@ -0,0 +1,140 @@
+/**
+ * Detector Backend - Detector Arayüzü
+ * 
+ * YOLOSimulation'ın kullandığı tüm detector'lar bu sınıftan türetilir:
+ * - load(): modeli yükler (indirme ilerlemesi reportProgress() ile bildirilir)
+ * - detect(input, { maxDetections, frame, preprocessed }): kutuları döndürür
+ * - dispose(): kaynakları serbest bırakır
+ * - getClassNames() / getInputSize() / getResizeMode() / getInfo(): model bilgileri
+ * - getGridPredictions(): ham grid çıktısını çözen backend'lerde hücre tahminleri
+ * 
+ * detect() çıktısı COCO-SSD formatındadır: [{ bbox: [x, y, w, h], class, score }].
+ * Kutular varsayılan olarak model girdisi koordinatındadır; orijinal frame
+ * koordinatında döndüren backend'ler `outputSpace = 'frame'` bildirir.
+ * Ön işleme tensörünü okuyan backend'ler `usesTensorInput = true` bildirir;
+ * diğerleri için normalizasyon tensörü hiç oluşturulmaz.
+ */
+
+/**
+ * COCO dataset sınıfları (80 sınıf)
+ */
+export const COCO_CLASSES = [
+    'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus',
+    'train', 'truck', 'boat', 'traffic light', 'fire hydrant',
+    'stop sign', 'parking meter', 'bench', 'bird', 'cat', 'dog',
+    'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra', 'giraffe',
+    'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee',
+    'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat',
+    'baseball glove', 'skateboard', 'surfboard', 'tennis racket',
+    'bottle', 'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl',
+    'banana', 'apple', 'sandwich', 'orange', 'broccoli', 'carrot',
+    'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch',
+    'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop',
+    'mouse', 'remote', 'keyboard', 'cell phone', 'microwave', 'oven',
+    'toaster', 'sink', 'refrigerator', 'book', 'clock', 'vase',
+    'scissors', 'teddy bear', 'hair drier', 'toothbrush'
+];
+
+export class DetectorBackend {
+    constructor(options = {}) {
+        this.options = options;
+        this.id = 'base';
+        this.name = 'Detector';
+        this.outputSpace = 'input'; // 'input' veya 'frame'
+        this.usesTensorInput = false; // detect() preprocessed.tensor'u okuyor mu
+        this.isLoaded = false;
+        this.loadingPromise = null;
+        this.onLoadProgress = options.onLoadProgress || null;
+    }
+    
+    /**
+     * Yükleme ilerlemesini bildirir ({ loaded, total, url, source })
+     */
+    reportProgress(progress) {
+        if (this.onLoadProgress) {
+            this.onLoadProgress(progress);
+        }
+    }
+    
+    /**
+     * Modeli yükler
+     */
+    async load() {
+        throw new Error(`${this.name}: load() uygulanmamış`);
+    }
+    
+    /**
+     * Model yüklü değilse yükler (eşzamanlı çağrılar aynı yüklemeyi bekler)
+     */
+    ensureLoaded() {
+        if (this.isLoaded) {
+            return Promise.resolve(this);
+        }
+        
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.load().finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+        
+        return this.loadingPromise;
+    }
+    
+    /**
+     * Girdi üzerinde tespit yapar
+     */
+    async detect(input, options = {}) {
+        throw new Error(`${this.name}: detect() uygulanmamış`);
+    }
+    
+    /**
+     * Kaynakları serbest bırakır
+     */
+    dispose() {
+        this.isLoaded = false;
+    }
+    
+    /**
+     * Modelin tanıdığı sınıf isimlerini döndürür
+     */
+    getClassNames() {
+        return COCO_CLASSES;
+    }
+    
+    /**
+     * Modelin beklediği girdi boyutunu döndürür (null: ön işleme ayarı kullanılır)
+     */
+    getInputSize() {
+        return null;
+    }
+    
+    /**
+     * Modelin beklediği yeniden boyutlandırma modunu döndürür (null: ön işleme ayarı)
+     */
+    getResizeMode() {
+        return null;
+    }
+    
+    /**
+     * Son tespitin grid hücresi tahminlerini döndürür (null: model grid çıktısı vermiyor)
+     */
+    getGridPredictions() {
+        return null;
+    }
+    
+    /**
+     * Backend bilgilerini döndürür
+     */
+    getInfo() {
+        const inputSize = this.getInputSize();
+        
+        return {
+            id: this.id,
+            name: this.name,
+            isLoaded: this.isLoaded,
+            inputSize: inputSize ? `${inputSize}x${inputSize}` : null,
+            classes: this.getClassNames(),
+            outputSpace: this.outputSpace
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Detector Backend Registry - Detector Kaydı ve Seçimi
+ * 
+ * Backend'ler id ile kaydedilir ve çalışma zamanında seçilir:
+ * - registerBackend(id, { name, create, worker }): yeni backend ekler
+ * - createBackend(id, options): kayıtlı backend örneği oluşturur
+ * - getBackends(): seçim listesi için kayıtlı backend'ler
+ * - isWorkerBackend(id): backend inference worker'ında çalışabilir mi
+ */
+
+import { CocoSsdBackend } from './coco-ssd-backend.js';
+import { MockBackend } from './mock-backend.js';
+import { YoloGridBackend } from './yolo-grid-backend.js';
+import { OnnxYoloV8Backend } from './onnx-yolov8-backend.js';
+
+export { DetectorBackend, COCO_CLASSES } from './detector-backend.js';
+export { CocoSsdBackend } from './coco-ssd-backend.js';
+export { MockBackend } from './mock-backend.js';
+export { YoloGridBackend, VOC_CLASSES } from './yolo-grid-backend.js';
+export { OnnxYoloV8Backend } from './onnx-yolov8-backend.js';
+
+const registry = new Map();
+
+/**
+ * Backend kaydeder
+ */
+export function registerBackend(id, { name, create, worker = true }) {
+    if (typeof create !== 'function') {
+        throw new Error(`Backend "${id}" için create() fonksiyonu gerekli`);
+    }
+    
+    registry.set(id, { id, name: name || id, create, worker });
+}
+
+/**
+ * Kayıtlı backend örneği oluşturur
+ */
+export function createBackend(id, options = {}) {
+    const entry = registry.get(id);
+    
+    if (!entry) {
+        throw new Error(`Bilinmeyen detector backend: ${id}`);
+    }
+    
+    return entry.create(options);
+}
+
+/**
+ * Backend'in inference worker'ında çalışıp çalışamayacağını döndürür
+ */
+export function isWorkerBackend(id) {
+    const entry = registry.get(id);
+    return Boolean(entry && entry.worker);
+}
+
+/**
+ * Kayıtlı backend'lerin listesini döndürür
+ */
+export function getBackends() {
+    return Array.from(registry.values()).map(({ id, name }) => ({ id, name }));
+}
+
+// Yerleşik backend'ler
+registerBackend('coco-ssd', {
+    name: 'COCO-SSD (MobileNet)',
+    create: options => new CocoSsdBackend(options)
+});
+
+registerBackend('yolo-grid', {
+    name: 'YOLOv2 Grid (TF.js)',
+    create: options => new YoloGridBackend(options)
+});
+
+registerBackend('yolov8-onnx', {
+    name: 'YOLOv8 ONNX (WASM)',
+    create: options => new OnnxYoloV8Backend(options)
+});
+
+// Mock, ana thread'deki sentetik sahne nesnesine bağlı olduğundan worker'a taşınmaz
+registerBackend('mock', {
+    name: 'Mock (Deterministik)',
+    create: options => new MockBackend(options),
+    worker: false
+});
\ No newline at end of file
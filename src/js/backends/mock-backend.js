@@ -0,0 +1,100 @@
+/**
+ * Mock Backend - Deterministik Test Detector'ı
+ * 
+ * Model veya CDN gerektirmeden kutu döndürür:
+ * - Sentetik sahne frame'lerinde ground truth kutuları
+ * - Sahne verildiyse sahnenin son render edilen ground truth'u
+ * - Aksi halde sabit (veya options.detections ile verilen) kutular
+ * 
+ * Kutular orijinal frame koordinatındadır (`outputSpace = 'frame'`); böylece
+ * YOLOSimulation pipeline'ı (NMS, grid mapping, overlay) değişmeden çalışır.
+ */
+
+import { DetectorBackend } from './detector-backend.js';
+
+/**
+ * Sahne yokken kullanılan sabit kutular (frame boyutuna oranla)
+ */
+const DEFAULT_MOCK_DETECTIONS = [
+    { class: 'person', score: 0.9, box: [0.15, 0.2, 0.25, 0.65] },
+    { class: 'cup', score: 0.75, box: [0.6, 0.55, 0.12, 0.15] }
+];
+
+export class MockBackend extends DetectorBackend {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'mock';
+        this.name = 'Mock (Deterministik)';
+        this.outputSpace = 'frame';
+        
+        this.scene = options.scene || null;
+        this.detections = options.detections || DEFAULT_MOCK_DETECTIONS;
+    }
+    
+    /**
+     * Yüklenecek model yok
+     */
+    async load() {
+        this.isLoaded = true;
+        return this;
+    }
+    
+    /**
+     * Frame'in ground truth kutularını veya sabit kutuları döndürür
+     */
+    async detect(input, options = {}) {
+        const { maxDetections = 20, frame = null } = options;
+        
+        const groundTruth = (frame && frame.groundTruth) || (this.scene && this.scene.lastGroundTruth);
+        
+        const detections = groundTruth
+            ? groundTruth.map(({ bbox, class: className, score }) => ({ bbox: [...bbox], class: className, score }))
+            : this.createStaticDetections(frame);
+        
+        return detections.slice(0, maxDetections);
+    }
+    
+    /**
+     * Frame boyutuna göre sabit kutular oluşturur
+     */
+    createStaticDetections(frame) {
+        const width = frame ? frame.width : 640;
+        const height = frame ? frame.height : 480;
+        
+        return this.detections.map(({ class: className, score, box }) => ({
+            bbox: [box[0] * width, box[1] * height, box[2] * width, box[3] * height],
+            class: className,
+            score: score
+        }));
+    }
+    
+    /**
+     * Sahne referansını bırakır
+     */
+    dispose() {
+        this.scene = null;
+        super.dispose();
+    }
+    
+    /**
+     * Sahnenin veya sabit kutuların sınıflarını döndürür
+     */
+    getClassNames() {
+        if (this.scene) {
+            return this.scene.getInfo().classes;
+        }
+        
+        return [...new Set(this.detections.map(detection => detection.class))];
+    }
+    
+    /**
+     * Backend bilgilerini döndürür
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            architecture: this.scene ? 'Ground truth (sentetik sahne)' : 'Sabit kutular',
+            version: 'mock'
+        };
+    }
+}
\ No newline at end of file
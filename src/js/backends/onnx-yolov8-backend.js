@@ -0,0 +1,213 @@
+/**
+ * ONNX YOLOv8 Backend - Ultralytics YOLOv8/YOLO11 ONNX Export'ları
+ * 
+ * Yerel `.onnx` dosyasını onnxruntime-web'in WASM (CPU) sağlayıcısıyla çalıştırır:
+ * - Girdi: ön işleme zincirinin CHW [0,1] tensörü (letterbox, gri dolgu 114)
+ * - Çıktı: anchor-free [1, 4+C, N] tensörü JavaScript'te çözülür
+ * - Her kutu stride 8/16/32 grid'indeki hücresiyle birlikte döndürülür
+ * 
+ * Kutular model girdisi koordinatındadır; YOLOSimulation frame'e geri çevirir,
+ * NMS ve eşikleme postprocessDetections'ta uygulanır.
+ */
+
+import { DetectorBackend, COCO_CLASSES } from './detector-backend.js';
+import { decodeYoloV8Output, getAnchorCount, YOLO_V8_STRIDES } from '../yolo-decoder.js';
+import { assetLoader, LIBRARIES } from '../asset-loader.js';
+
+/**
+ * En küçük SIMD (v128) içeren WASM modülü: derlenebiliyorsa tarayıcı SIMD destekler
+ */
+const SIMD_PROBE = new Uint8Array([
+    0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0,
+    10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+]);
+
+/**
+ * WebAssembly SIMD desteğini sınar
+ */
+function supportsWasmSimd() {
+    try {
+        return WebAssembly.validate(SIMD_PROBE);
+    } catch (error) {
+        return false;
+    }
+}
+
+export class OnnxYoloV8Backend extends DetectorBackend {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'yolov8-onnx';
+        this.name = 'YOLOv8 ONNX (WASM)';
+        this.usesTensorInput = true;
+        
+        // Model kaynağı: seçilen dosya (File/ArrayBuffer) veya URL
+        this.modelFile = options.modelFile || null;
+        this.modelUrl = options.modelUrl || 'models/yolov8n.onnx';
+        this.modelName = this.modelFile && this.modelFile.name ? this.modelFile.name : this.modelUrl;
+        
+        this.classNames = options.classNames || COCO_CLASSES;
+        this.inputSize = options.inputSize || 640;
+        this.strides = options.strides || YOLO_V8_STRIDES;
+        this.scoreThreshold = options.scoreThreshold || 0.25;
+        this.numThreads = options.numThreads || Math.min(4, navigator.hardwareConcurrency || 1);
+        
+        this.session = null;
+        this.inputName = null;
+        this.outputName = null;
+        this.wasmUrls = null; // Loader'ın oluşturduğu wasm blob URL'leri
+    }
+    
+    /**
+     * ONNX oturumunu WASM sağlayıcısıyla oluşturur
+     */
+    async load() {
+        const ort = await assetLoader.loadLibrary('ort', progress => this.reportProgress(progress));
+        
+        // Çok thread'li WASM yalnızca cross-origin isolated sayfada çalışır
+        const threaded = this.numThreads > 1 && globalThis.crossOriginIsolated === true;
+        ort.env.wasm.numThreads = threaded ? this.numThreads : 1;
+        
+        // SIMD varyantı önceden seçilir; onnxruntime'ın kendi seçimi de buna sabitlenir
+        const simd = supportsWasmSimd();
+        ort.env.wasm.simd = simd;
+        
+        // WASM dosyaları da loader'dan (klasör → önbellek → vendor → CDN) blob URL olarak verilir;
+        // yalnızca kullanılacak tek varyant indirilir
+        if (this.options.wasmPaths) {
+            ort.env.wasm.wasmPaths = this.options.wasmPaths;
+        } else {
+            const wasmFile = `ort-wasm${simd ? '-simd' : ''}${threaded ? '-threaded' : ''}.wasm`;
+            if (!LIBRARIES.ort.files.includes(wasmFile)) {
+                throw new Error(`Bilinmeyen onnxruntime wasm dosyası: ${wasmFile}`);
+            }
+            
+            this.wasmUrls = await assetLoader.loadLibraryFiles('ort', [wasmFile], progress => this.reportProgress(progress));
+            ort.env.wasm.wasmPaths = this.wasmUrls;
+        }
+        
+        const buffer = this.modelFile
+            ? (this.modelFile.arrayBuffer ? await this.modelFile.arrayBuffer() : this.modelFile)
+            : (await assetLoader.fetchAsset(this.modelUrl, { onProgress: progress => this.reportProgress(progress) })).data;
+        
+        this.session = await ort.InferenceSession.create(new Uint8Array(buffer), {
+            executionProviders: ['wasm'],
+            graphOptimizationLevel: 'all'
+        });
+        
+        this.inputName = this.session.inputNames[0];
+        this.outputName = this.session.outputNames[0];
+        this.isLoaded = true;
+        
+        console.log(`🧩 ONNX modeli yüklendi: ${this.modelName} (${this.inputName} → ${this.outputName})`);
+        
+        return this;
+    }
+    
+    /**
+     * Ön işlenmiş tensör ile inferans yapar ve anchor-free çıktıyı çözer
+     */
+    async detect(input, options = {}) {
+        if (!this.session) {
+            throw new Error('ONNX oturumu henüz oluşturulmadı');
+        }
+        
+        const { maxDetections = 20, preprocessed = null } = options;
+        
+        if (!preprocessed || !preprocessed.tensor) {
+            throw new Error('YOLOv8 girdisi için normalizasyon adımı açık olmalı');
+        }
+        
+        const ort = globalThis.ort;
+        const { data, shape } = preprocessed.tensor;
+        const [, , inputHeight, inputWidth] = shape;
+        
+        const feeds = {
+            [this.inputName]: new ort.Tensor('float32', data, shape)
+        };
+        
+        const results = await this.session.run(feeds);
+        const output = results[this.outputName];
+        
+        // [1, 4+C, N]: N girdi boyutundan beklenen anchor sayısıyla doğrulanır
+        const numClasses = output.dims[1] - 4;
+        const numAnchors = output.dims[2];
+        
+        // Sınıf listesi verilmemiş özel modeller (ör. 3 sınıf) için genel isimler
+        if (numClasses !== this.classNames.length) {
+            console.warn(`⚠️ Model ${numClasses} sınıf üretiyor, sınıf listesi ${this.classNames.length}; genel isimler kullanılacak`);
+            this.classNames = Array.from({ length: numClasses }, (_, i) => `class_${i}`);
+        }
+        
+        const expectedAnchors = getAnchorCount(inputWidth, inputHeight, this.strides);
+        if (numAnchors !== expectedAnchors) {
+            console.warn(`⚠️ Beklenmeyen anchor sayısı: ${numAnchors} (beklenen ${expectedAnchors})`);
+        }
+        
+        const decoded = decodeYoloV8Output(output.data, {
+            numAnchors: numAnchors,
+            inputWidth: inputWidth,
+            inputHeight: inputHeight,
+            classNames: this.classNames,
+            strides: this.strides,
+            scoreThreshold: this.scoreThreshold
+        });
+        
+        if (output.dispose) {
+            output.dispose();
+        }
+        
+        // NMS YOLOSimulation'da uygulanır; burada yalnızca aday sayısı sınırlanır
+        return decoded.detections.slice(0, maxDetections * 10);
+    }
+    
+    /**
+     * ONNX oturumunu kapatır
+     */
+    dispose() {
+        if (this.session && this.session.release) {
+            this.session.release();
+        }
+        
+        if (this.wasmUrls) {
+            Object.values(this.wasmUrls).forEach(url => URL.revokeObjectURL(url));
+            this.wasmUrls = null;
+        }
+        
+        this.session = null;
+        this.modelFile = null;
+        super.dispose();
+    }
+    
+    /**
+     * Modelin sınıf isimlerini döndürür
+     */
+    getClassNames() {
+        return this.classNames;
+    }
+    
+    /**
+     * Export sırasında sabitlenen girdi boyutunu döndürür
+     */
+    getInputSize() {
+        return this.inputSize;
+    }
+    
+    /**
+     * Ultralytics eğitim ve inferansta letterbox kullanır
+     */
+    getResizeMode() {
+        return 'letterbox';
+    }
+    
+    /**
+     * Backend bilgilerini döndürür
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            architecture: `YOLOv8 anchor-free (stride ${this.strides.join('/')})`,
+            model: this.modelName,
+            version: 'onnxruntime-web (WASM)'
+        };
+    }
+}
\ No newline at end of file
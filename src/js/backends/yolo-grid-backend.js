@@ -0,0 +1,187 @@
+/**
+ * YOLO Grid Backend - YOLOv1/v2 TensorFlow.js Graph Modeli
+ * 
+ * Ham S×S×(B·5+C) (v1) veya S×S×B·(5+C) (v2) çıktısı veren TF.js graph
+ * modellerini yükler ve çıktıyı JavaScript'te çözer:
+ * - Skor eşiğini geçen kutular (model girdisi koordinatında)
+ * - Her grid hücresinin gerçek objectness, kutu ofsetleri ve sınıf olasılıkları
+ *   (getGridPredictions() ile GridManager'a aktarılır)
+ */
+
+import { DetectorBackend } from './detector-backend.js';
+import { decodeYoloOutput, getChannelCount, YOLO_V2_VOC_ANCHORS } from '../yolo-decoder.js';
+import { assetLoader } from '../asset-loader.js';
+
+/**
+ * PASCAL VOC sınıfları (20 sınıf) - YOLOv1/v2 VOC modelleri
+ */
+export const VOC_CLASSES = [
+    'aeroplane', 'bicycle', 'bird', 'boat', 'bottle', 'bus', 'car',
+    'cat', 'chair', 'cow', 'diningtable', 'dog', 'horse', 'motorbike',
+    'person', 'pottedplant', 'sheep', 'sofa', 'train', 'tvmonitor'
+];
+
+export class YoloGridBackend extends DetectorBackend {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'yolo-grid';
+        this.name = 'YOLOv2 Grid (TF.js)';
+        
+        this.modelUrl = options.modelUrl || 'models/tiny-yolov2-voc/model.json';
+        this.version = options.version || 'v2'; // 'v1' veya 'v2'
+        this.classNames = options.classNames || VOC_CLASSES;
+        this.boxesPerCell = options.boxesPerCell || (this.version === 'v1' ? 2 : 5);
+        this.anchors = options.anchors || YOLO_V2_VOC_ANCHORS;
+        this.inputSize = options.inputSize || (this.version === 'v1' ? 448 : 416);
+        this.scoreThreshold = options.scoreThreshold || 0.05;
+        
+        this.model = null;
+        this.fixedGridSize = options.gridSize || null; // Verilmezse her çalıştırmada çıktı şeklinden okunur
+        this.gridSize = this.fixedGridSize; // Son çalıştırmanın grid boyutu
+        this.lastGridPredictions = null;
+    }
+    
+    /**
+     * Graph modelini yükler
+     */
+    async load() {
+        const tf = await assetLoader.loadLibrary('tf', progress => this.reportProgress(progress));
+        
+        this.model = await tf.loadGraphModel(
+            assetLoader.createModelHandler(this.modelUrl, progress => this.reportProgress(progress))
+        );
+        this.isLoaded = true;
+        
+        return this;
+    }
+    
+    /**
+     * Modeli çalıştırır ve ham grid çıktısını çözer
+     */
+    async detect(input, options = {}) {
+        if (!this.model) {
+            throw new Error('YOLO modeli henüz yüklenmedi');
+        }
+        
+        const tf = globalThis.tf;
+        const { maxDetections = 20 } = options;
+        
+        // [1, H, W, 3] float girdi, [0,1] aralığında
+        const inputTensor = tf.tidy(() => tf.browser.fromPixels(input).toFloat().div(255).expandDims(0));
+        
+        let outputTensor = this.model.predict(inputTensor);
+        if (Array.isArray(outputTensor)) {
+            outputTensor.slice(1).forEach(tensor => tensor.dispose());
+            outputTensor = outputTensor[0];
+        }
+        
+        const shape = outputTensor.shape;
+        const data = await outputTensor.data();
+        
+        inputTensor.dispose();
+        outputTensor.dispose();
+        
+        const decoded = decodeYoloOutput(data, {
+            version: this.version,
+            gridSize: this.resolveGridSize(shape),
+            boxesPerCell: this.boxesPerCell,
+            numClasses: this.classNames.length,
+            inputWidth: input.width,
+            inputHeight: input.height,
+            classNames: this.classNames,
+            anchors: this.anchors,
+            scoreThreshold: this.scoreThreshold
+        });
+        
+        this.lastGridPredictions = {
+            gridSize: decoded.gridSize,
+            boxesPerCell: decoded.boxesPerCell,
+            version: decoded.version,
+            cells: decoded.cells
+        };
+        
+        // NMS YOLOSimulation'da uygulanır; burada yalnızca aday sayısı sınırlanır
+        return decoded.detections.slice(0, maxDetections * 10);
+    }
+    
+    /**
+     * Çıktı şeklinden grid boyutunu belirler ([1, S, S, C] veya düz [1, S·S·C])
+     * 
+     * Girdi boyutu çalışma zamanında değişebildiği için (416 → 13, 608 → 19) her çağrıda yeniden hesaplanır.
+     */
+    resolveGridSize(shape) {
+        if (this.fixedGridSize) {
+            return this.fixedGridSize;
+        }
+        
+        const channels = getChannelCount({
+            version: this.version,
+            boxesPerCell: this.boxesPerCell,
+            numClasses: this.classNames.length
+        });
+        
+        if (shape.length === 4 && shape[3] === channels) {
+            this.gridSize = shape[1];
+        } else {
+            const total = shape.reduce((product, dim) => product * dim, 1);
+            this.gridSize = Math.round(Math.sqrt(total / channels));
+        }
+        
+        return this.gridSize;
+    }
+    
+    /**
+     * Son çalıştırmanın hücre tahminlerini döndürür
+     */
+    getGridPredictions() {
+        return this.lastGridPredictions;
+    }
+    
+    /**
+     * Modeli bellekten kaldırır
+     */
+    dispose() {
+        if (this.model && this.model.dispose) {
+            this.model.dispose();
+        }
+        
+        this.model = null;
+        this.lastGridPredictions = null;
+        super.dispose();
+    }
+    
+    /**
+     * Modelin sınıf isimlerini döndürür
+     */
+    getClassNames() {
+        return this.classNames;
+    }
+    
+    /**
+     * Modelin sabit girdi boyutunu döndürür
+     */
+    getInputSize() {
+        return this.inputSize;
+    }
+    
+    /**
+     * Darknet YOLOv1/v2 eğitimde letterbox değil düz yeniden boyutlandırma kullanır;
+     * böylece grid hücreleri frame hücreleriyle birebir örtüşür
+     */
+    getResizeMode() {
+        return 'stretch';
+    }
+    
+    /**
+     * Backend bilgilerini döndürür
+     */
+    getInfo() {
+        const gridSize = this.gridSize ? `${this.gridSize}x${this.gridSize}` : 'bilinmiyor';
+        
+        return {
+            ...super.getInfo(),
+            architecture: `YOLO${this.version} (grid ${gridSize}, B=${this.boxesPerCell})`,
+            version: 'TensorFlow.js Graph'
+        };
+    }
+}
\ No newline at end of file
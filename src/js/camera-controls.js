@@ -0,0 +1,245 @@
+/**
+ * Camera Controls - Canlı Kamera Ayarları Paneli
+ * 
+ * Bu modül MediaStreamTrack yeteneklerinden kontrol paneli üretir:
+ * - Zoom, pozlama, odak, beyaz dengesi ve flaş (torch)
+ * - Değişiklikler canlı track'e applyConstraints ile uygulanır (stream yeniden başlamaz)
+ * - Cihazın desteklemediği kontroller gösterilmez
+ * 
+ * Track yalnızca getCapabilities/getSettings/applyConstraints metodlarıyla
+ * kullanıldığı için test amaçlı sahte bir track objesi de verilebilir.
+ */
+
+/**
+ * Desteklenen kontrol tanımları
+ */
+export const CAMERA_CONTROL_DEFINITIONS = [
+    { name: 'zoom', label: '🔍 Zoom', type: 'range' },
+    { name: 'exposureMode', label: '☀️ Pozlama Modu', type: 'select' },
+    { name: 'exposureCompensation', label: '☀️ Pozlama Telafisi', type: 'range' },
+    { name: 'exposureTime', label: '⏱️ Pozlama Süresi', type: 'range', mode: 'exposureMode' },
+    { name: 'focusMode', label: '🎯 Odak Modu', type: 'select' },
+    { name: 'focusDistance', label: '🎯 Odak Mesafesi', type: 'range', mode: 'focusMode' },
+    { name: 'whiteBalanceMode', label: '🌡️ Beyaz Dengesi', type: 'select' },
+    { name: 'colorTemperature', label: '🌡️ Renk Sıcaklığı', type: 'range', mode: 'whiteBalanceMode' },
+    { name: 'torch', label: '🔦 Flaş', type: 'toggle' }
+];
+
+export class CameraControls {
+    constructor(options = {}) {
+        this.container = options.container || null;
+        this.onChange = options.onChange || null;
+        
+        // Bağlı track
+        this.track = null;
+        this.capabilities = {};
+        this.inputs = new Map();
+    }
+    
+    /**
+     * Track'e bağlanır ve desteklenen kontrolleri oluşturur
+     */
+    attach(track) {
+        this.detach();
+        
+        if (!track || typeof track.getCapabilities !== 'function') {
+            console.log('🎛️ Track yetenekleri okunamıyor, kamera ayarları gizlendi');
+            return [];
+        }
+        
+        this.track = track;
+        this.capabilities = track.getCapabilities() || {};
+        
+        const supported = this.getSupportedControls();
+        this.render(supported);
+        
+        console.log(`🎛️ Kamera ayarları: ${supported.map(control => control.name).join(', ') || 'yok'}`);
+        return supported;
+    }
+    
+    /**
+     * Track bağlantısını kaldırır ve paneli temizler
+     */
+    detach() {
+        this.track = null;
+        this.capabilities = {};
+        this.inputs.clear();
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Cihazın desteklediği kontrolleri döndürür
+     */
+    getSupportedControls() {
+        return CAMERA_CONTROL_DEFINITIONS.filter(control => {
+            const capability = this.capabilities[control.name];
+            
+            switch (control.type) {
+                case 'range':
+                    return capability && typeof capability.max === 'number' && capability.max > capability.min;
+                    
+                case 'select':
+                    return Array.isArray(capability) && capability.length > 1;
+                    
+                case 'toggle':
+                    return capability === true || (Array.isArray(capability) && capability.includes(true));
+                    
+                default:
+                    return false;
+            }
+        });
+    }
+    
+    /**
+     * Kontrol panelini oluşturur
+     */
+    render(controls) {
+        if (!this.container) return;
+        
+        const settings = this.track.getSettings ? this.track.getSettings() : {};
+        
+        controls.forEach(control => {
+            const row = document.createElement('label');
+            row.className = 'camera-control';
+            
+            const label = document.createElement('span');
+            label.className = 'camera-control__label';
+            label.textContent = control.label;
+            row.appendChild(label);
+            
+            const input = this.createInput(control, settings[control.name]);
+            row.appendChild(input);
+            
+            if (control.type === 'range') {
+                const value = document.createElement('span');
+                value.className = 'camera-control__value';
+                value.textContent = this.formatValue(input.value);
+                input.addEventListener('input', () => {
+                    value.textContent = this.formatValue(input.value);
+                });
+                row.appendChild(value);
+            }
+            
+            this.inputs.set(control.name, input);
+            this.container.appendChild(row);
+        });
+    }
+    
+    /**
+     * Kontrol tipine göre input elementi oluşturur
+     */
+    createInput(control, currentValue) {
+        const capability = this.capabilities[control.name];
+        let input;
+        
+        switch (control.type) {
+            case 'range':
+                input = document.createElement('input');
+                input.type = 'range';
+                input.min = capability.min;
+                input.max = capability.max;
+                input.step = capability.step || (capability.max - capability.min) / 100;
+                input.value = currentValue !== undefined ? currentValue : capability.min;
+                input.addEventListener('change', () => this.applyControl(control, parseFloat(input.value)));
+                break;
+                
+            case 'select':
+                input = document.createElement('select');
+                input.className = 'select';
+                capability.forEach(mode => {
+                    const option = document.createElement('option');
+                    option.value = mode;
+                    option.textContent = mode;
+                    input.appendChild(option);
+                });
+                if (currentValue !== undefined) {
+                    input.value = currentValue;
+                }
+                input.addEventListener('change', () => this.applyControl(control, input.value));
+                break;
+                
+            case 'toggle':
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = currentValue === true;
+                input.addEventListener('change', () => this.applyControl(control, input.checked));
+                break;
+        }
+        
+        input.dataset.control = control.name;
+        return input;
+    }
+    
+    /**
+     * Kontrol değerini canlı track'e uygular
+     */
+    async applyControl(control, value) {
+        if (!this.track) return;
+        
+        const constraint = { [control.name]: value };
+        
+        // Manuel değerler ancak ilgili mod 'manual' iken etkili olur
+        if (control.mode && Array.isArray(this.capabilities[control.mode]) &&
+            this.capabilities[control.mode].includes('manual')) {
+            constraint[control.mode] = 'manual';
+        }
+        
+        try {
+            await this.track.applyConstraints({ advanced: [constraint] });
+            this.syncInputs();
+            
+            console.log(`🎛️ ${control.name} = ${value}`);
+            
+            if (this.onChange) {
+                this.onChange(control.name, value, this.getSettings());
+            }
+            
+        } catch (error) {
+            console.warn(`⚠️ ${control.name} uygulanamadı:`, error);
+            this.syncInputs();
+        }
+    }
+    
+    /**
+     * Input değerlerini track'in güncel ayarlarıyla eşitler
+     */
+    syncInputs() {
+        const settings = this.getSettings();
+        
+        this.inputs.forEach((input, name) => {
+            if (settings[name] === undefined) return;
+            
+            if (input.type === 'checkbox') {
+                input.checked = settings[name] === true;
+            } else {
+                input.value = settings[name];
+                input.dispatchEvent(new Event('input'));
+            }
+        });
+    }
+    
+    /**
+     * Track'in güncel ayarlarını döndürür
+     */
+    getSettings() {
+        return this.track && this.track.getSettings ? this.track.getSettings() : {};
+    }
+    
+    /**
+     * Range değerini gösterim için biçimlendirir
+     */
+    formatValue(value) {
+        const number = parseFloat(value);
+        return Number.isInteger(number) ? number.toString() : number.toFixed(2);
+    }
+    
+    /**
+     * Panelde gösterilen kontrol var mı
+     */
+    hasControls() {
+        return this.inputs.size > 0;
+    }
+}
\ No newline at end of file
@@ -6,23 +6,57 @@
  * - Video stream başlatma/durdurma
  * - Frame yakalama ve işleme
  * - Kamera durumu bildirimi
+ * - requestVideoFrameCallback tabanlı frame saati
+ * - Video dosyası ve görsel kaynakları (kamerasız kullanım)
+ * - Ekran / sekme paylaşımı kaynağı (getDisplayMedia)
+ * - Senaryolu sentetik sahne kaynağı
+ * - Canlı track'e constraint uygulama (stream yeniden başlatılmadan)
+ * - Kamera cihazı listesi ve devicechange takibi
+ * - Track koptuğunda (çıkarıldı / başka uygulama aldı) otomatik yeniden bağlanma
  */
 
+import { createFrameClock } from './frame-scheduler.js';
+
 export class CameraHandler {
     constructor(options = {}) {
         this.videoElement = options.videoElement;
         this.onFrame = options.onFrame || null;
         this.onStatusChange = options.onStatusChange || null;
+        this.onPlaybackUpdate = options.onPlaybackUpdate || null;
+        this.onTrackChange = options.onTrackChange || null;
+        this.onDevicesChange = options.onDevicesChange || null;
         
         // Camera state
         this.stream = null;
         this.isActive = false;
         this.isInitialized = false;
         
+        // Yeniden bağlanma (backoff ile)
+        this.isReconnecting = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.reconnectInFlight = false;
+        this.muteTimer = null;
+        this.watchedTrack = null;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || 6;
+        this.reconnectBaseDelay = options.reconnectBaseDelay || 1000; // ms
+        this.reconnectMaxDelay = options.reconnectMaxDelay || 10000; // ms
+        this.muteTimeout = options.muteTimeout || 3000; // ms
+        
+        // Frame kaynağı: 'camera', 'screen', 'video', 'image' veya 'synthetic'
+        this.sourceType = 'camera';
+        this.scene = null;
+        this.sceneFrameIndex = 0;
+        this.sourceCanvas = null;
+        this.sourceContext = null;
+        this.objectUrls = [];
+        this.images = [];
+        this.imageIndex = 0;
+        
         // Frame processing
         this.frameCanvas = null;
         this.frameContext = null;
-        this.frameInterval = null;
+        this.frameClock = null;
         this.frameRate = 30; // FPS
         
         // Video constraints
@@ -52,6 +86,8 @@ export class CameraHandler {
      */
     init() {
         this.setupFrameCanvas();
+        this.bindPlaybackEvents();
+        this.bindDeviceEvents();
         this.checkCameraSupport();
         
         console.log('📹 Camera Handler başlatıldı');
@@ -69,6 +105,44 @@ export class CameraHandler {
         document.body.appendChild(this.frameCanvas);
     }
     
+    /**
+     * Video dosyası oynatma event'lerini bağlar
+     */
+    bindPlaybackEvents() {
+        if (!this.videoElement) return;
+        
+        const notify = () => {
+            if (this.sourceType === 'video') {
+                this.notifyPlaybackUpdate();
+            }
+        };
+        
+        ['play', 'pause', 'timeupdate', 'seeked', 'durationchange'].forEach(eventName => {
+            this.videoElement.addEventListener(eventName, notify);
+        });
+    }
+    
+    /**
+     * Kamera takılıp çıkarıldığında cihaz listesini yeniler
+     */
+    bindDeviceEvents() {
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.addEventListener !== 'function') return;
+        
+        navigator.mediaDevices.addEventListener('devicechange', async () => {
+            // Kamera yeniden takıldıysa backoff beklenmeden denenir
+            if (this.isReconnecting) {
+                clearTimeout(this.reconnectTimer);
+                this.tryReconnect();
+            }
+            
+            const cameras = await this.getCameraDevices();
+            
+            if (this.onDevicesChange) {
+                this.onDevicesChange(cameras);
+            }
+        });
+    }
+    
     /**
      * Kamera desteğini kontrol eder
      */
@@ -89,6 +163,7 @@ export class CameraHandler {
     async start() {
         try {
             this.notifyStatusChange('connecting');
+            this.sourceType = 'camera';
             console.log('📹 Kamera başlatılıyor...');
             
             // Permission check
@@ -98,7 +173,7 @@ export class CameraHandler {
             }
             
             // Get user media
-            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+            this.stream = await this.openStream();
             
             // Setup video element
             if (this.videoElement) {
@@ -125,6 +200,8 @@ export class CameraHandler {
             
             // Start frame processing
             this.startFrameProcessing();
+            this.watchTrack();
+            this.notifyTrackChange();
             
             console.log('✅ Kamera başarıyla başlatıldı');
             
@@ -142,6 +219,8 @@ export class CameraHandler {
         try {
             // Stop frame processing
             this.stopFrameProcessing();
+            this.cancelReconnect();
+            this.unwatchTrack();
             
             // Stop video stream
             if (this.stream) {
@@ -149,14 +228,26 @@ export class CameraHandler {
                     track.stop();
                 });
                 this.stream = null;
+                this.notifyTrackChange();
             }
             
             // Clear video element
             if (this.videoElement) {
                 this.videoElement.srcObject = null;
                 this.videoElement.pause();
+                
+                if (this.videoElement.hasAttribute('src')) {
+                    this.videoElement.removeAttribute('src');
+                    this.videoElement.load();
+                }
+                
+                this.videoElement.removeAttribute('poster');
+                this.videoElement.loop = false;
             }
             
+            // Dosya kaynaklarını serbest bırak
+            this.releaseFileSources();
+            
             this.isActive = false;
             this.notifyStatusChange('stopped');
             
@@ -167,6 +258,352 @@ export class CameraHandler {
         }
     }
     
+    /**
+     * Yerel bir video dosyasını (MP4/WebM) frame kaynağı olarak başlatır
+     */
+    async startVideoFile(file) {
+        if (!file || !this.videoElement) {
+            throw new Error('Video dosyası veya video elementi bulunamadı');
+        }
+        
+        if (this.isActive) {
+            this.stop();
+        }
+        
+        try {
+            this.notifyStatusChange('connecting');
+            this.sourceType = 'video';
+            console.log(`🎞️ Video dosyası yükleniyor: ${file.name}`);
+            
+            const url = this.createObjectUrl(file);
+            
+            this.videoElement.srcObject = null;
+            this.videoElement.loop = true;
+            this.videoElement.src = url;
+            
+            await this.waitForVideoMetadata();
+            this.onVideoLoaded();
+            
+            await this.videoElement.play();
+            
+            this.isActive = true;
+            this.isInitialized = true;
+            this.notifyStatusChange('active');
+            this.notifyPlaybackUpdate();
+            
+            this.startFrameProcessing();
+            
+            console.log('✅ Video dosyası başlatıldı');
+            
+        } catch (error) {
+            console.error('❌ Video dosyası açılırken hata:', error);
+            this.releaseFileSources();
+            this.sourceType = 'camera';
+            this.notifyStatusChange('error');
+            throw error;
+        }
+    }
+    
+    /**
+     * Ekran veya tarayıcı sekmesi paylaşımını frame kaynağı olarak başlatır
+     */
+    async startScreenCapture() {
+        if (!this.isScreenCaptureSupported()) {
+            throw new Error('Ekran paylaşımı bu tarayıcıda desteklenmiyor');
+        }
+        
+        if (this.isActive) {
+            this.stop();
+        }
+        
+        try {
+            this.notifyStatusChange('connecting');
+            this.sourceType = 'screen';
+            console.log('🖥️ Ekran paylaşımı başlatılıyor...');
+            
+            this.stream = await navigator.mediaDevices.getDisplayMedia({
+                video: { frameRate: { ideal: this.frameRate } },
+                audio: false
+            });
+            
+            // Tarayıcının "Paylaşımı durdur" düğmesi kaynağı sonlandırır
+            const [track] = this.stream.getVideoTracks();
+            track.onended = () => {
+                if (this.isActive && this.sourceType === 'screen') {
+                    console.log('🖥️ Ekran paylaşımı kullanıcı tarafından sonlandırıldı');
+                    this.stop();
+                    this.notifyStatusChange('ended');
+                }
+            };
+            
+            this.videoElement.srcObject = this.stream;
+            await this.waitForVideoMetadata();
+            this.onVideoLoaded();
+            
+            await this.videoElement.play();
+            
+            this.isActive = true;
+            this.isInitialized = true;
+            this.notifyStatusChange('active');
+            
+            this.startFrameProcessing();
+            
+            console.log('✅ Ekran paylaşımı başlatıldı');
+            
+        } catch (error) {
+            console.error('❌ Ekran paylaşımı başlatılırken hata:', error);
+            
+            if (this.stream) {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+            }
+            
+            this.sourceType = 'camera';
+            this.notifyStatusChange(error.name === 'NotAllowedError' ? 'stopped' : 'error');
+            throw error;
+        }
+    }
+    
+    /**
+     * Ekran paylaşımı desteğini kontrol eder
+     */
+    isScreenCaptureSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+    }
+    
+    /**
+     * Bir veya daha fazla PNG/JPEG görselini frame kaynağı olarak başlatır
+     */
+    async startImages(files) {
+        const imageFiles = Array.from(files || []);
+        
+        if (imageFiles.length === 0) {
+            throw new Error('En az bir görsel seçilmelidir');
+        }
+        
+        if (this.isActive) {
+            this.stop();
+        }
+        
+        try {
+            this.notifyStatusChange('connecting');
+            this.sourceType = 'image';
+            console.log(`🖼️ ${imageFiles.length} görsel yükleniyor...`);
+            
+            this.images = await Promise.all(imageFiles.map(file => this.loadImage(file)));
+            this.setupSourceCanvas();
+            this.showImage(0);
+            
+            // Görseli canvas stream'i ile video elementinde göster
+            if (this.videoElement) {
+                if (this.sourceCanvas.captureStream) {
+                    this.videoElement.srcObject = this.sourceCanvas.captureStream();
+                    await this.videoElement.play();
+                } else {
+                    this.videoElement.poster = this.sourceCanvas.toDataURL('image/png');
+                }
+            }
+            
+            this.isActive = true;
+            this.isInitialized = true;
+            this.notifyStatusChange('active');
+            
+            this.startFrameProcessing();
+            
+            console.log('✅ Görsel kaynağı başlatıldı');
+            
+        } catch (error) {
+            console.error('❌ Görseller açılırken hata:', error);
+            this.releaseFileSources();
+            this.sourceType = 'camera';
+            this.notifyStatusChange('error');
+            throw error;
+        }
+    }
+    
+    /**
+     * Senaryolu sentetik sahneyi frame kaynağı olarak başlatır
+     */
+    async startSyntheticScene(scene) {
+        if (!scene) {
+            throw new Error('Sentetik sahne bulunamadı');
+        }
+        
+        if (this.isActive) {
+            this.stop();
+        }
+        
+        try {
+            this.notifyStatusChange('connecting');
+            this.sourceType = 'synthetic';
+            
+            await scene.load();
+            
+            this.scene = scene;
+            this.sceneFrameIndex = 0;
+            this.scene.renderFrame(0);
+            
+            // Sahne canvas'ını video elementinde göster
+            if (this.videoElement && this.scene.canvas.captureStream) {
+                this.videoElement.srcObject = this.scene.canvas.captureStream();
+                await this.videoElement.play();
+            }
+            
+            this.isActive = true;
+            this.isInitialized = true;
+            this.notifyStatusChange('active');
+            
+            this.startFrameProcessing();
+            
+            console.log('✅ Sentetik sahne başlatıldı');
+            
+        } catch (error) {
+            console.error('❌ Sentetik sahne başlatılırken hata:', error);
+            this.scene = null;
+            this.sourceType = 'camera';
+            this.notifyStatusChange('error');
+            throw error;
+        }
+    }
+    
+    /**
+     * Görsel dosyasını yükler
+     */
+    async loadImage(file) {
+        const image = new Image();
+        image.src = this.createObjectUrl(file);
+        await image.decode();
+        
+        image.dataset.fileName = file.name;
+        return image;
+    }
+    
+    /**
+     * Görsel kaynakları için çizim canvas'ını hazırlar
+     */
+    setupSourceCanvas() {
+        if (!this.sourceCanvas) {
+            this.sourceCanvas = document.createElement('canvas');
+            this.sourceContext = this.sourceCanvas.getContext('2d');
+        }
+    }
+    
+    /**
+     * Belirli bir görseli kaynak canvas'ına çizer
+     */
+    showImage(index) {
+        if (this.images.length === 0) return;
+        
+        this.imageIndex = (index + this.images.length) % this.images.length;
+        const image = this.images[this.imageIndex];
+        
+        this.sourceCanvas.width = image.naturalWidth;
+        this.sourceCanvas.height = image.naturalHeight;
+        this.sourceContext.drawImage(image, 0, 0);
+        
+        this.frameCanvas.width = image.naturalWidth;
+        this.frameCanvas.height = image.naturalHeight;
+        
+        console.log(`🖼️ Görsel ${this.imageIndex + 1}/${this.images.length}: ${image.dataset.fileName}`);
+        this.notifyPlaybackUpdate();
+    }
+    
+    /**
+     * Sonraki görsele geçer
+     */
+    nextImage() {
+        this.showImage(this.imageIndex + 1);
+    }
+    
+    /**
+     * Önceki görsele geçer
+     */
+    previousImage() {
+        this.showImage(this.imageIndex - 1);
+    }
+    
+    /**
+     * Video dosyasını oynatır
+     */
+    async play() {
+        if (this.sourceType !== 'video' || !this.videoElement) return;
+        await this.videoElement.play();
+    }
+    
+    /**
+     * Video dosyasını duraklatır
+     */
+    pause() {
+        if (this.sourceType !== 'video' || !this.videoElement) return;
+        this.videoElement.pause();
+    }
+    
+    /**
+     * Video dosyasında belirli bir saniyeye gider
+     */
+    seek(time) {
+        if (this.sourceType !== 'video' || !this.videoElement) return;
+        
+        const duration = this.videoElement.duration || 0;
+        this.videoElement.currentTime = Math.max(0, Math.min(duration, time));
+    }
+    
+    /**
+     * Oynatma durumunu döndürür
+     */
+    getPlaybackState() {
+        const video = this.videoElement;
+        
+        return {
+            sourceType: this.sourceType,
+            paused: video ? video.paused : true,
+            currentTime: this.sourceType === 'video' && video ? video.currentTime : 0,
+            duration: this.sourceType === 'video' && video ? (video.duration || 0) : 0,
+            imageIndex: this.imageIndex,
+            imageCount: this.images.length
+        };
+    }
+    
+    /**
+     * Video metadata'sının yüklenmesini bekler
+     */
+    waitForVideoMetadata() {
+        return new Promise((resolve, reject) => {
+            const onLoaded = () => {
+                this.videoElement.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                this.videoElement.removeEventListener('loadedmetadata', onLoaded);
+                reject(new Error('Video dosyası okunamadı'));
+            };
+            
+            this.videoElement.addEventListener('loadedmetadata', onLoaded, { once: true });
+            this.videoElement.addEventListener('error', onError, { once: true });
+        });
+    }
+    
+    /**
+     * Dosya için object URL oluşturur ve takip eder
+     */
+    createObjectUrl(file) {
+        const url = URL.createObjectURL(file);
+        this.objectUrls.push(url);
+        return url;
+    }
+    
+    /**
+     * Dosya kaynaklarına ait object URL'leri ve görselleri serbest bırakır
+     */
+    releaseFileSources() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.images = [];
+        this.imageIndex = 0;
+        this.scene = null;
+        this.sceneFrameIndex = 0;
+    }
+    
     /**
      * Kamera izinlerini kontrol eder
      */
@@ -221,26 +658,30 @@ export class CameraHandler {
      * Frame işlemeyi başlatır
      */
     startFrameProcessing() {
-        if (this.frameInterval) {
-            clearInterval(this.frameInterval);
+        if (this.frameClock) {
+            this.frameClock.stop();
         }
         
-        const intervalMs = 1000 / this.frameRate;
+        // Canlı video kaynaklarında yeni frame geldiğinde tetiklenir,
+        // canvas tabanlı kaynaklarda (görsel, sentetik) sabit aralık kullanılır
+        const usesVideoFrames = ['camera', 'screen', 'video'].includes(this.sourceType);
         
-        this.frameInterval = setInterval(() => {
-            this.processFrame();
-        }, intervalMs);
+        this.frameClock = createFrameClock({
+            videoElement: usesVideoFrames ? this.videoElement : null,
+            frameRate: this.frameRate,
+            onTick: () => this.processFrame()
+        });
         
-        console.log(`🎬 Frame işleme başlatıldı (${this.frameRate} FPS)`);
+        console.log(`🎬 Frame işleme başlatıldı (${this.frameRate} FPS, ${this.frameClock.type})`);
     }
     
     /**
      * Frame işlemeyi durdurur
      */
     stopFrameProcessing() {
-        if (this.frameInterval) {
-            clearInterval(this.frameInterval);
-            this.frameInterval = null;
+        if (this.frameClock) {
+            this.frameClock.stop();
+            this.frameClock = null;
         }
         
         console.log('⏸️ Frame işleme durduruldu');
@@ -273,35 +714,82 @@ export class CameraHandler {
         }
     }
     
+    /**
+     * Aktif kaynağın çizilebilir elementini ve boyutlarını döndürür
+     */
+    getFrameSource() {
+        if (this.sourceType === 'synthetic' && this.scene) {
+            return {
+                element: this.scene.canvas,
+                width: this.scene.canvas.width,
+                height: this.scene.canvas.height
+            };
+        }
+        
+        if (this.sourceType === 'image' && this.sourceCanvas) {
+            return {
+                element: this.sourceCanvas,
+                width: this.sourceCanvas.width,
+                height: this.sourceCanvas.height
+            };
+        }
+        
+        if (!this.videoElement) {
+            return null;
+        }
+        
+        return {
+            element: this.videoElement,
+            width: this.videoElement.videoWidth,
+            height: this.videoElement.videoHeight
+        };
+    }
+    
     /**
      * Video'dan frame yakalar
      */
     captureFrame() {
-        if (!this.videoElement || !this.frameContext) {
+        // Sentetik sahnede zaman frame sayacından türetilir (deterministik)
+        const groundTruth = this.sourceType === 'synthetic' && this.scene
+            ? this.scene.renderFrame(this.scene.getFrameTime(this.sceneFrameIndex++))
+            : null;
+        
+        const source = this.getFrameSource();
+        
+        if (!source || !this.frameContext) {
             return null;
         }
         
-        const { videoWidth, videoHeight } = this.videoElement;
+        const { element, width, height } = source;
         
-        if (videoWidth === 0 || videoHeight === 0) {
+        if (width === 0 || height === 0) {
             return null;
         }
         
         try {
-            // Video frame'ini canvas'a çiz
-            this.frameContext.drawImage(this.videoElement, 0, 0, videoWidth, videoHeight);
+            if (this.frameCanvas.width !== width || this.frameCanvas.height !== height) {
+                this.frameCanvas.width = width;
+                this.frameCanvas.height = height;
+            }
+            
+            // Kaynak frame'ini canvas'a çiz
+            this.frameContext.drawImage(element, 0, 0, width, height);
             
             // ImageData al
-            const imageData = this.frameContext.getImageData(0, 0, videoWidth, videoHeight);
+            const imageData = this.frameContext.getImageData(0, 0, width, height);
             
             // Frame data object oluştur
             const frameData = {
                 imageData: imageData,
                 canvas: this.frameCanvas,
-                width: videoWidth,
-                height: videoHeight,
+                width: width,
+                height: height,
                 timestamp: Date.now(),
-                frameNumber: this.metrics.frameCount
+                frameNumber: this.metrics.frameCount,
+                source: this.sourceType,
+                mediaTime: this.sourceType === 'video' ? this.videoElement.currentTime : null,
+                imageIndex: this.sourceType === 'image' ? this.imageIndex : null,
+                groundTruth: groundTruth
             };
             
             return frameData;
@@ -337,14 +825,21 @@ export class CameraHandler {
     /**
      * Video constraint'lerini günceller
      */
-    updateConstraints(newConstraints) {
+    async updateConstraints(newConstraints) {
+        const previousVideo = this.constraints.video;
         this.constraints = { ...this.constraints, ...newConstraints };
         
-        // Eğer aktifse yeniden başlat
-        if (this.isActive) {
-            console.log('🔄 Kamera constraint\'leri güncelleniyor...');
-            this.restart();
+        if (!this.isCameraActive()) return;
+        
+        console.log('🔄 Kamera constraint\'leri güncelleniyor...');
+        
+        // Aynı cihazda kalınıyorsa constraint'ler canlı track'e uygulanır
+        if (!('audio' in newConstraints) && this.isSameDevice(previousVideo, this.constraints.video)) {
+            const applied = await this.applyTrackConstraints(this.getTrackConstraints());
+            if (applied) return;
         }
+        
+        await this.restart();
     }
     
     /**
@@ -356,6 +851,166 @@ export class CameraHandler {
         await this.start();
     }
     
+    /**
+     * Kamera stream'ini açar; seçili cihaz bulunamazsa varsayılan kameraya döner
+     */
+    async openStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.constraints);
+        } catch (error) {
+            const deviceMissing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            
+            if (!deviceMissing || !this.constraints.video.deviceId) {
+                throw error;
+            }
+            
+            console.warn('⚠️ Seçili kamera bulunamadı, varsayılan kameraya dönülüyor');
+            delete this.constraints.video.deviceId;
+            
+            return navigator.mediaDevices.getUserMedia(this.constraints);
+        }
+    }
+    
+    /**
+     * Aktif video track'in kopma event'lerini dinler
+     */
+    watchTrack() {
+        this.unwatchTrack();
+        
+        const track = this.getVideoTrack();
+        if (!track) return;
+        
+        track.onended = () => this.handleTrackLost('ended');
+        
+        // Mute geçici olabilir (ör. sistem kısa süreli kamerayı alır); süre aşılırsa kopmuş sayılır
+        track.onmute = () => {
+            clearTimeout(this.muteTimer);
+            this.muteTimer = setTimeout(() => this.handleTrackLost('mute'), this.muteTimeout);
+        };
+        track.onunmute = () => {
+            clearTimeout(this.muteTimer);
+            this.muteTimer = null;
+        };
+        
+        this.watchedTrack = track;
+    }
+    
+    /**
+     * Track event dinleyicilerini kaldırır
+     */
+    unwatchTrack() {
+        clearTimeout(this.muteTimer);
+        this.muteTimer = null;
+        
+        if (this.watchedTrack) {
+            this.watchedTrack.onended = null;
+            this.watchedTrack.onmute = null;
+            this.watchedTrack.onunmute = null;
+            this.watchedTrack = null;
+        }
+    }
+    
+    /**
+     * Kopan track için yeniden bağlanma sürecini başlatır
+     */
+    handleTrackLost(reason) {
+        if (!this.isCameraActive() || this.isReconnecting) return;
+        
+        console.warn(`⚠️ Kamera bağlantısı koptu (${reason}), yeniden bağlanılıyor...`);
+        
+        this.stopFrameProcessing();
+        this.unwatchTrack();
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            this.notifyTrackChange();
+        }
+        
+        this.isReconnecting = true;
+        this.reconnectAttempt = 0;
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Bir sonraki bağlanma denemesini üstel backoff ile zamanlar
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+            console.error(`❌ Kamera ${this.maxReconnectAttempts} denemede yeniden bağlanamadı`);
+            this.stop();
+            this.notifyStatusChange('error');
+            return;
+        }
+        
+        const delay = Math.min(this.reconnectBaseDelay * 2 ** this.reconnectAttempt, this.reconnectMaxDelay);
+        this.reconnectAttempt++;
+        
+        this.notifyStatusChange('reconnecting', {
+            attempt: this.reconnectAttempt,
+            maxAttempts: this.maxReconnectAttempts,
+            delay: delay
+        });
+        
+        this.reconnectTimer = setTimeout(() => this.tryReconnect(), delay);
+    }
+    
+    /**
+     * Kamerayı yeniden açmayı dener
+     */
+    async tryReconnect() {
+        if (!this.isReconnecting || this.reconnectInFlight) return;
+        
+        this.reconnectTimer = null;
+        this.reconnectInFlight = true;
+        
+        try {
+            const stream = await this.openStream();
+            
+            // Deneme sürerken kamera durdurulduysa yeni stream'i bırak
+            if (!this.isReconnecting) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            
+            this.stream = stream;
+            
+            if (this.videoElement) {
+                this.videoElement.srcObject = stream;
+                await this.videoElement.play();
+            }
+            
+            this.isReconnecting = false;
+            this.reconnectAttempt = 0;
+            
+            this.startFrameProcessing();
+            this.watchTrack();
+            this.notifyStatusChange('active');
+            this.notifyTrackChange();
+            
+            console.log('✅ Kamera yeniden bağlandı');
+            
+        } catch (error) {
+            console.warn(`⚠️ Yeniden bağlanma denemesi ${this.reconnectAttempt} başarısız:`, error.name || error);
+            
+            if (this.isReconnecting && !this.reconnectTimer) {
+                this.scheduleReconnect();
+            }
+        } finally {
+            this.reconnectInFlight = false;
+        }
+    }
+    
+    /**
+     * Bekleyen yeniden bağlanma denemesini iptal eder
+     */
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.isReconnecting = false;
+        this.reconnectAttempt = 0;
+    }
+    
     /**
      * Kamera cihazlarını listeler
      */
@@ -377,29 +1032,40 @@ export class CameraHandler {
      * Belirli bir kamera cihazını seçer
      */
     async selectCamera(deviceId) {
-        if (!deviceId) return;
-        
-        this.constraints.video.deviceId = { exact: deviceId };
+        if (deviceId) {
+            this.constraints.video.deviceId = { exact: deviceId };
+        } else {
+            delete this.constraints.video.deviceId; // Varsayılan kamera
+        }
         
-        if (this.isActive) {
-            await this.restart();
+        if (this.isCameraActive()) {
+            await this.replaceStream();
         }
         
-        console.log(`📷 Kamera seçildi: ${deviceId}`);
+        console.log(`📷 Kamera seçildi: ${deviceId || 'varsayılan'}`);
     }
     
     /**
      * Front/back kamera toggle
      */
     async toggleCamera() {
+        // Birden fazla kamera varsa sıradaki cihaza geç
+        const cameras = (await this.getCameraDevices()).filter(camera => camera.deviceId);
+        
+        if (cameras.length > 1) {
+            const currentIndex = cameras.findIndex(camera => camera.deviceId === this.getActiveDeviceId());
+            await this.selectCamera(cameras[(currentIndex + 1) % cameras.length].deviceId);
+            return;
+        }
+        
         const currentMode = this.constraints.video.facingMode;
         const newMode = currentMode === 'user' ? 'environment' : 'user';
         
         this.constraints.video.facingMode = newMode;
         delete this.constraints.video.deviceId; // deviceId ile facingMode çakışabilir
         
-        if (this.isActive) {
-            await this.restart();
+        if (this.isCameraActive()) {
+            await this.replaceStream();
         }
         
         console.log(`🔄 Kamera değiştirildi: ${newMode}`);
@@ -409,7 +1075,9 @@ export class CameraHandler {
      * Screenshot alır
      */
     takeScreenshot() {
-        if (!this.videoElement) {
+        const source = this.getFrameSource();
+        
+        if (!source) {
             console.error('❌ Video element bulunamadı');
             return null;
         }
@@ -417,10 +1085,10 @@ export class CameraHandler {
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         
-        canvas.width = this.videoElement.videoWidth;
-        canvas.height = this.videoElement.videoHeight;
+        canvas.width = source.width;
+        canvas.height = source.height;
         
-        context.drawImage(this.videoElement, 0, 0);
+        context.drawImage(source.element, 0, 0);
         
         // Data URL olarak döndür
         const dataURL = canvas.toDataURL('image/png');
@@ -432,7 +1100,7 @@ export class CameraHandler {
     /**
      * Video kalitesini ayarlar
      */
-    setVideoQuality(quality) {
+    async setVideoQuality(quality) {
         const qualities = {
             'low': { width: 320, height: 240 },
             'medium': { width: 640, height: 480 },
@@ -444,8 +1112,11 @@ export class CameraHandler {
             this.constraints.video.width = { ideal: qualities[quality].width };
             this.constraints.video.height = { ideal: qualities[quality].height };
             
-            if (this.isActive) {
-                this.restart();
+            if (this.isCameraActive()) {
+                const applied = await this.applyTrackConstraints(this.getTrackConstraints());
+                if (!applied) {
+                    await this.restart();
+                }
             }
             
             console.log(`📺 Video kalitesi ayarlandı: ${quality}`);
@@ -490,9 +1161,27 @@ export class CameraHandler {
     /**
      * Kamera durumunu bildirir
      */
-    notifyStatusChange(status) {
+    notifyStatusChange(status, details = null) {
         if (this.onStatusChange) {
-            this.onStatusChange(status);
+            this.onStatusChange(status, details);
+        }
+    }
+    
+    /**
+     * Aktif video track'in değiştiğini bildirir
+     */
+    notifyTrackChange() {
+        if (this.onTrackChange) {
+            this.onTrackChange(this.getVideoTrack());
+        }
+    }
+    
+    /**
+     * Video/görsel oynatma durumunu bildirir
+     */
+    notifyPlaybackUpdate() {
+        if (this.onPlaybackUpdate) {
+            this.onPlaybackUpdate(this.getPlaybackState());
         }
     }
     
@@ -512,10 +1201,12 @@ export class CameraHandler {
      * Video çözünürlüğünü döndürür
      */
     getResolution() {
-        if (this.videoElement) {
+        const source = this.getFrameSource();
+        
+        if (source) {
             return {
-                width: this.videoElement.videoWidth,
-                height: this.videoElement.videoHeight
+                width: source.width,
+                height: source.height
             };
         }
         return { width: 0, height: 0 };
@@ -531,6 +1222,106 @@ export class CameraHandler {
         return tracks.length > 0 && tracks[0].readyState === 'live';
     }
     
+    /**
+     * Canlı kamera kaynağının aktif olup olmadığını kontrol eder
+     */
+    isCameraActive() {
+        return this.isActive && this.sourceType === 'camera';
+    }
+    
+    /**
+     * Canlı kameranın video track'ini döndürür
+     */
+    getVideoTrack() {
+        if (!this.stream) return null;
+        
+        const [track] = this.stream.getVideoTracks();
+        return track || null;
+    }
+    
+    /**
+     * Aktif kameranın cihaz ID'sini döndürür
+     */
+    getActiveDeviceId() {
+        const track = this.getVideoTrack();
+        
+        if (!track || typeof track.getSettings !== 'function') {
+            return null;
+        }
+        
+        return track.getSettings().deviceId || null;
+    }
+    
+    /**
+     * Cihaz seçimi dışındaki video constraint'lerini döndürür
+     */
+    getTrackConstraints() {
+        const { deviceId, facingMode, ...trackConstraints } = this.constraints.video;
+        return trackConstraints;
+    }
+    
+    /**
+     * İki video constraint'inin aynı kamerayı hedefleyip hedeflemediğini kontrol eder
+     */
+    isSameDevice(previous = {}, next = {}) {
+        return JSON.stringify(previous.deviceId) === JSON.stringify(next.deviceId) &&
+               JSON.stringify(previous.facingMode) === JSON.stringify(next.facingMode);
+    }
+    
+    /**
+     * Constraint'leri stream'i yeniden başlatmadan canlı track'e uygular
+     */
+    async applyTrackConstraints(trackConstraints) {
+        const track = this.getVideoTrack();
+        
+        if (!track || typeof track.applyConstraints !== 'function') {
+            return false;
+        }
+        
+        try {
+            await track.applyConstraints(trackConstraints);
+            console.log('🎛️ Constraint\'ler canlı track\'e uygulandı');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Constraint canlı track\'e uygulanamadı:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Yeni kamera stream'ini açar ve eskisiyle değiştirir (durdur/başlat döngüsü olmadan)
+     */
+    async replaceStream() {
+        let stream;
+        
+        try {
+            stream = await this.openStream();
+        } catch (error) {
+            // Bazı cihazlar iki kamerayı aynı anda açamaz
+            console.warn('⚠️ Yeni stream açılamadı, kamera yeniden başlatılıyor:', error);
+            await this.restart();
+            return;
+        }
+        
+        const previousStream = this.stream;
+        this.stream = stream;
+        
+        if (this.videoElement) {
+            this.stopFrameProcessing();
+            this.videoElement.srcObject = stream;
+            await this.videoElement.play();
+            this.startFrameProcessing();
+        }
+        
+        if (previousStream) {
+            previousStream.getTracks().forEach(track => track.stop());
+        }
+        
+        this.watchTrack();
+        this.notifyTrackChange();
+        console.log('🔁 Kamera stream\'i değiştirildi');
+    }
+    
     /**
      * Video element durumunu kontrol eder
      */
@@ -605,6 +1396,7 @@ export class CameraHandler {
      */
     getDebugInfo() {
         const info = {
+            sourceType: this.sourceType,
             isActive: this.isActive,
             isInitialized: this.isInitialized,
             streamActive: this.isStreamActive(),
@@ -690,41 +1482,6 @@ export class CameraHandler {
         }
     }
     
-    /**
-     * Motion detection (basit)
-     */
-    detectMotion(threshold = 30) {
-        if (!this.previousFrameData || !this.frameContext) {
-            return false;
-        }
-        
-        const currentImageData = this.frameContext.getImageData(
-            0, 0, this.frameCanvas.width, this.frameCanvas.height
-        );
-        
-        let diffPixels = 0;
-        const totalPixels = currentImageData.data.length / 4;
-        
-        for (let i = 0; i < currentImageData.data.length; i += 4) {
-            const rDiff = Math.abs(currentImageData.data[i] - this.previousFrameData.data[i]);
-            const gDiff = Math.abs(currentImageData.data[i + 1] - this.previousFrameData.data[i + 1]);
-            const bDiff = Math.abs(currentImageData.data[i + 2] - this.previousFrameData.data[i + 2]);
-            
-            const avgDiff = (rDiff + gDiff + bDiff) / 3;
-            
-            if (avgDiff > threshold) {
-                diffPixels++;
-            }
-        }
-        
-        const motionPercentage = (diffPixels / totalPixels) * 100;
-        
-        // Previous frame'i güncelle
-        this.previousFrameData = currentImageData;
-        
-        return motionPercentage > 1; // %1'den fazla değişiklik
-    }
-    
     /**
      * Brightness/contrast ayarları
      */
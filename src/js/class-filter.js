@@ -0,0 +1,79 @@
+/**
+ * Class Filter - Sınıf Bazlı Eşikler ve İzin/Engel Listeleri
+ * 
+ * Bu modül NMS'ten önce uygulanan sınıf filtresini tanımlar:
+ * - include: boş değilse yalnızca bu sınıflar geçer
+ * - exclude: bu sınıflar her durumda elenir
+ * - thresholds: sınıfa özel confidence eşiği (yoksa genel eşik)
+ * - Demo senaryolarının (YOLOSimulation.loadDemoScenario) hazır filtreleri
+ */
+
+export const SCENARIO_CLASS_FILTERS = {
+    'beginner': {
+        name: 'Başlangıç',
+        include: ['person', 'cell phone'],
+        exclude: [],
+        thresholds: {}
+    },
+    'intermediate': {
+        name: 'Orta',
+        include: ['person', 'cell phone', 'laptop', 'keyboard', 'mouse', 'cup', 'book', 'bottle'],
+        exclude: [],
+        thresholds: {}
+    },
+    'advanced': {
+        name: 'İleri',
+        include: [],
+        exclude: [],
+        thresholds: {}
+    },
+    'performance': {
+        name: 'Performans',
+        include: ['person'],
+        exclude: [],
+        thresholds: {}
+    }
+};
+
+/**
+ * Eksik alanları tamamlanmış, bağımsız bir filtre kopyası oluşturur
+ */
+export function createClassFilter(filter = {}) {
+    return {
+        include: [...(filter.include || [])],
+        exclude: [...(filter.exclude || [])],
+        thresholds: { ...(filter.thresholds || {}) }
+    };
+}
+
+/**
+ * Sınıfın etkin confidence eşiğini döndürür
+ */
+export function getClassThreshold(filter, className, defaultThreshold) {
+    const threshold = filter.thresholds[className];
+    return threshold !== undefined ? threshold : defaultThreshold;
+}
+
+/**
+ * Detection'ın sınıf listelerinden ve sınıf eşiğinden geçip geçmediğini kontrol eder
+ */
+export function passesClassFilter(detection, filter, defaultThreshold) {
+    if (filter.include.length > 0 && !filter.include.includes(detection.class)) {
+        return false;
+    }
+    
+    if (filter.exclude.includes(detection.class)) {
+        return false;
+    }
+    
+    return detection.score >= getClassThreshold(filter, detection.class, defaultThreshold);
+}
+
+/**
+ * Filtrenin bir şey elemeyip elemediği (genel eşik dışında)
+ */
+export function isClassFilterEmpty(filter) {
+    return filter.include.length === 0 &&
+        filter.exclude.length === 0 &&
+        Object.keys(filter.thresholds).length === 0;
+}
\ No newline at end of file
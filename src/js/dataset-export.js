@@ -0,0 +1,398 @@
+/**
+ * Dataset Export - Etiketleme/Eğitim Araçları İçin Veri Seti Çıktısı
+ * 
+ * Detection'ları standart veri seti formatlarına çevirir:
+ * - COCO JSON (tek dosya), Pascal VOC XML (frame başına), YOLO darknet txt (frame başına + classes.txt)
+ * - Sınıf ID'leri getClassNames() sırasından; listede olmayan sınıflar sona eklenir
+ * - İstenirse normalize (0-1) koordinatlar
+ * - Tek frame veya toplanan oturum, görsellerle birlikte sıkıştırmasız ZIP olarak
+ */
+
+export const EXPORT_FORMATS = {
+    'coco': 'COCO JSON',
+    'voc': 'Pascal VOC XML',
+    'yolo': 'YOLO (darknet) txt'
+};
+
+/**
+ * Sınıf adı → ID eşlemesi (model sırası korunur)
+ */
+export function createClassMap(classNames, frames = []) {
+    const classMap = new Map(classNames.map((className, index) => [className, index]));
+    
+    frames.forEach(frame => {
+        frame.detections.forEach(detection => {
+            if (!classMap.has(detection.class)) {
+                classMap.set(detection.class, classMap.size);
+            }
+        });
+    });
+    
+    return classMap;
+}
+
+/**
+ * Dışa aktarılacak frame kaydı oluşturur
+ */
+export function createExportFrame(detections, { width, height, frameNumber = 0, timestamp = Date.now(), image = null }) {
+    return {
+        fileName: `frame_${String(frameNumber).padStart(6, '0')}.jpg`,
+        width: Math.round(width),
+        height: Math.round(height),
+        frameNumber: frameNumber,
+        timestamp: timestamp,
+        image: image, // JPEG Blob (opsiyonel)
+        detections: detections.map(({ class: className, score, bbox }) => ({ class: className, score, bbox: bbox.slice() }))
+    };
+}
+
+/**
+ * Kutuyu görsel sınırlarına kırpar: [x, y, w, h]
+ */
+function clampBbox([x, y, w, h], width, height) {
+    const x1 = Math.max(0, Math.min(width, x));
+    const y1 = Math.max(0, Math.min(height, y));
+    const x2 = Math.max(0, Math.min(width, x + w));
+    const y2 = Math.max(0, Math.min(height, y + h));
+    
+    return [x1, y1, x2 - x1, y2 - y1];
+}
+
+/**
+ * COCO JSON nesnesi (category_id = sınıf ID + 1, COCO'da 0 kullanılmaz)
+ */
+export function toCOCO(frames, classMap, { normalized = false } = {}) {
+    const images = [];
+    const annotations = [];
+    
+    frames.forEach((frame, index) => {
+        const imageId = index + 1;
+        
+        images.push({
+            id: imageId,
+            file_name: frame.fileName,
+            width: frame.width,
+            height: frame.height,
+            frame_index: frame.frameNumber,
+            date_captured: new Date(frame.timestamp).toISOString()
+        });
+        
+        frame.detections.forEach(detection => {
+            const [x, y, w, h] = clampBbox(detection.bbox, frame.width, frame.height);
+            const bbox = normalized
+                ? [x / frame.width, y / frame.height, w / frame.width, h / frame.height]
+                : [x, y, w, h];
+            
+            annotations.push({
+                id: annotations.length + 1,
+                image_id: imageId,
+                category_id: classMap.get(detection.class) + 1,
+                bbox: bbox.map(value => Number(value.toFixed(normalized ? 6 : 2))),
+                area: Number((w * h).toFixed(2)),
+                iscrowd: 0,
+                score: Number(detection.score.toFixed(4))
+            });
+        });
+    });
+    
+    return {
+        info: {
+            description: 'YOLO Grid Demo detection export',
+            date_created: new Date().toISOString(),
+            normalized: normalized
+        },
+        images: images,
+        annotations: annotations,
+        categories: [...classMap.entries()].map(([name, id]) => ({ id: id + 1, name: name }))
+    };
+}
+
+/**
+ * XML özel karakterlerini kaçırır
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Pascal VOC XML (format gereği piksel koordinatları, 1 tabanlı köşeler)
+ */
+export function toVOC(frame) {
+    const objects = frame.detections.map(detection => {
+        const [x, y, w, h] = clampBbox(detection.bbox, frame.width, frame.height);
+        
+        return `
+    <object>
+        <name>${escapeXML(detection.class)}</name>
+        <pose>Unspecified</pose>
+        <truncated>0</truncated>
+        <difficult>0</difficult>
+        <bndbox>
+            <xmin>${Math.round(x) + 1}</xmin>
+            <ymin>${Math.round(y) + 1}</ymin>
+            <xmax>${Math.round(x + w)}</xmax>
+            <ymax>${Math.round(y + h)}</ymax>
+        </bndbox>
+    </object>`;
+    }).join('');
+    
+    return `<annotation>
+    <folder>JPEGImages</folder>
+    <filename>${escapeXML(frame.fileName)}</filename>
+    <size>
+        <width>${frame.width}</width>
+        <height>${frame.height}</height>
+        <depth>3</depth>
+    </size>
+    <segmented>0</segmented>${objects}
+</annotation>
+`;
+}
+
+/**
+ * YOLO darknet satırları: "sınıf cx cy w h" (varsayılan normalize)
+ */
+export function toYOLO(frame, classMap, { normalized = true } = {}) {
+    return frame.detections.map(detection => {
+        const [x, y, w, h] = clampBbox(detection.bbox, frame.width, frame.height);
+        const values = normalized
+            ? [(x + w / 2) / frame.width, (y + h / 2) / frame.height, w / frame.width, h / frame.height]
+            : [x + w / 2, y + h / 2, w, h];
+        
+        return [classMap.get(detection.class), ...values.map(value => value.toFixed(6))].join(' ');
+    }).join('\n');
+}
+
+/**
+ * Seçilen formatın etiket dosyalarını üretir: [{ name, content }]
+ */
+export function exportAnnotations(frames, format, { classNames = [], normalized } = {}) {
+    const classMap = createClassMap(classNames, frames);
+    const stem = fileName => fileName.replace(/\.[^.]+$/, '');
+    
+    switch (format) {
+        case 'coco':
+            return [{
+                name: 'annotations.json',
+                content: JSON.stringify(toCOCO(frames, classMap, { normalized: Boolean(normalized) }), null, 2)
+            }];
+            
+        case 'voc':
+            return frames.map(frame => ({
+                name: `Annotations/${stem(frame.fileName)}.xml`,
+                content: toVOC(frame)
+            }));
+            
+        case 'yolo':
+            return [
+                { name: 'classes.txt', content: [...classMap.keys()].join('\n') },
+                ...frames.map(frame => ({
+                    name: `labels/${stem(frame.fileName)}.txt`,
+                    content: toYOLO(frame, classMap, { normalized: normalized !== false })
+                }))
+            ];
+            
+        default:
+            throw new Error(`Bilinmeyen dışa aktarma formatı: ${format}`);
+    }
+}
+
+/**
+ * Görseller + etiketlerden ZIP arşivi oluşturur
+ */
+export async function createDatasetArchive(frames, format, options = {}) {
+    const imageFolder = format === 'voc' ? 'JPEGImages' : 'images';
+    
+    const images = await Promise.all(frames
+        .filter(frame => frame.image)
+        .map(async frame => ({
+            name: `${imageFolder}/${frame.fileName}`,
+            content: new Uint8Array(await frame.image.arrayBuffer())
+        })));
+    
+    return createZip([...images, ...exportAnnotations(frames, format, options)]);
+}
+
+/**
+ * CRC-32 tablosu (ZIP için)
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Sıkıştırmasız (store) ZIP arşivi: [{ name, content: string | Uint8Array }] → Blob
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+        
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true); // Gereken sürüm
+        header.setUint16(6, 0x0800, true); // UTF-8 dosya adı
+        header.setUint16(8, 0, true); // Store
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        
+        // Central directory kaydı
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        
+        parts.push(header, name, data);
+        centralDirectory.push(entry, name);
+        offset += 30 + name.length + data.length;
+    });
+    
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Canvas'ın anlık kopyasını alır (asenkron işlem sırasında frame değişmesin diye)
+ */
+export function snapshotCanvas(source) {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.getContext('2d').drawImage(source, 0, 0);
+    
+    return canvas;
+}
+
+export class DatasetCapture {
+    constructor(options = {}) {
+        this.interval = options.interval || 1000; // ms - ardışık frame'ler arası en kısa süre
+        this.maxFrames = options.maxFrames || 300;
+        this.imageQuality = options.imageQuality || 0.9;
+        this.onUpdate = options.onUpdate || null;
+        
+        // Capture state
+        this.isCapturing = false;
+        this.frames = [];
+        this.lastCaptureTime = 0;
+    }
+    
+    /**
+     * Toplamayı başlatır (önceki frame'ler korunur)
+     */
+    start() {
+        this.isCapturing = true;
+        this.lastCaptureTime = 0;
+        console.log('📸 Veri seti toplama başladı');
+        this.notifyUpdate();
+    }
+    
+    /**
+     * Toplamayı durdurur
+     */
+    stop() {
+        this.isCapturing = false;
+        console.log(`📸 Veri seti toplama durdu (${this.frames.length} frame)`);
+        this.notifyUpdate();
+    }
+    
+    /**
+     * Frame'in toplanma zamanı gelip gelmediği
+     */
+    isDue(timestamp) {
+        return this.isCapturing &&
+            this.frames.length < this.maxFrames &&
+            timestamp - this.lastCaptureTime >= this.interval;
+    }
+    
+    /**
+     * Frame görüntüsünü JPEG olarak saklar ve detection'larıyla kaydeder
+     */
+    async add(snapshot, frameData, detections) {
+        this.lastCaptureTime = frameData.timestamp;
+        
+        const image = await new Promise(resolve => snapshot.toBlob(resolve, 'image/jpeg', this.imageQuality));
+        
+        this.frames.push(createExportFrame(detections, { ...frameData, image }));
+        
+        if (this.frames.length >= this.maxFrames) {
+            console.warn(`⚠️ Veri seti sınırına ulaşıldı (${this.maxFrames} frame)`);
+            this.isCapturing = false;
+        }
+        
+        this.notifyUpdate();
+    }
+    
+    /**
+     * Toplanan frame'leri döndürür
+     */
+    getFrames() {
+        return this.frames;
+    }
+    
+    /**
+     * Toplanan frame'leri siler
+     */
+    clear() {
+        this.frames = [];
+        this.notifyUpdate();
+    }
+    
+    /**
+     * Durum değişikliğini bildirir
+     */
+    notifyUpdate() {
+        if (this.onUpdate) {
+            this.onUpdate({ isCapturing: this.isCapturing, frameCount: this.frames.length, maxFrames: this.maxFrames });
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,416 @@
+/**
+ * Evaluation - Ground Truth ile Detector Değerlendirmesi
+ * 
+ * Etiketli görsel/video üzerinde mevcut detector ve ayarlarının başarımını ölçer:
+ * - COCO JSON ve YOLO txt etiketlerinin okunması
+ * - Sınıf bazlı precision/recall, AP@0.5 ve AP@[.5:.95] (COCO 101 noktalı enterpolasyon)
+ * - PR eğrileri ve IoU 0.5'te sınıftan bağımsız eşlemeyle confusion matrix
+ */
+
+import { calculateIoU } from './nms.js';
+
+export const IOU_THRESHOLDS = [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+
+export const BACKGROUND_CLASS = 'background';
+
+/**
+ * Dosya adından uzantısız anahtar üretir (görsel ↔ etiket eşlemesi için)
+ */
+export function getAnnotationKey(fileName) {
+    const baseName = fileName.split(/[\\/]/).pop();
+    const dotIndex = baseName.lastIndexOf('.');
+    
+    return dotIndex > 0 ? baseName.slice(0, dotIndex) : baseName;
+}
+
+/**
+ * Anahtarın sonundaki sayıyı frame numarası olarak okur (ör. frame_000123 → 123)
+ */
+export function getFrameIndex(key) {
+    const match = key.match(/(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * COCO JSON etiketlerini görsel anahtarına göre gruplar
+ */
+export function parseCOCOAnnotations(json) {
+    if (!json || !Array.isArray(json.images) || !Array.isArray(json.annotations)) {
+        throw new Error('Geçersiz COCO dosyası: images ve annotations alanları gerekli');
+    }
+    
+    const categories = new Map((json.categories || []).map(category => [category.id, category.name]));
+    const images = new Map();
+    
+    json.images.forEach((image, index) => {
+        const key = getAnnotationKey(image.file_name);
+        const frameIndex = image.frame_index !== undefined ? image.frame_index : getFrameIndex(key);
+        
+        images.set(image.id, {
+            key: key,
+            frameIndex: frameIndex !== null ? frameIndex : index,
+            groundTruth: []
+        });
+    });
+    
+    json.annotations.forEach(annotation => {
+        const image = images.get(annotation.image_id);
+        if (!image || annotation.iscrowd) return;
+        
+        image.groundTruth.push({
+            class: categories.get(annotation.category_id) || String(annotation.category_id),
+            bbox: annotation.bbox.slice(0, 4) // COCO: [x, y, w, h] piksel
+        });
+    });
+    
+    return new Map([...images.values()].map(image => [image.key, image]));
+}
+
+/**
+ * YOLO txt satırlarını ("sınıf cx cy w h", normalize) piksel kutularına çevirir
+ */
+export function parseYOLOAnnotations(text, { classNames = [], width, height }) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim().split(/\s+/).map(Number))
+        .filter(values => values.length >= 5 && values.every(Number.isFinite))
+        .map(([classId, cx, cy, w, h]) => ({
+            class: classNames[classId] || String(classId),
+            bbox: [(cx - w / 2) * width, (cy - h / 2) * height, w * width, h * height]
+        }));
+}
+
+/**
+ * Seçilen dosyalardan (görseller veya video + COCO JSON / YOLO txt) veri seti oluşturur
+ */
+export async function loadEvaluationDataset(fileList, options = {}) {
+    const files = Array.from(fileList || []);
+    
+    const video = files.find(file => file.type.startsWith('video/')) || null;
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const cocoFile = files.find(file => file.name.endsWith('.json'));
+    const classesFile = files.find(file => /^(classes\.txt|.*\.names)$/.test(file.name));
+    const labelFiles = files.filter(file => file.name.endsWith('.txt') && file !== classesFile);
+    
+    if (!video && images.length === 0) {
+        throw new Error('Değerlendirme için görsel veya video seçilmelidir');
+    }
+    
+    if (!cocoFile && labelFiles.length === 0) {
+        throw new Error('Etiket dosyası bulunamadı (COCO JSON veya YOLO txt)');
+    }
+    
+    // YOLO sınıf ID'leri: classes.txt / .names yoksa modelin sınıf listesi
+    const classNames = classesFile
+        ? (await classesFile.text()).split(/\r?\n/).map(name => name.trim()).filter(Boolean)
+        : options.classNames || [];
+    
+    // Anahtar → { frameIndex, resolve(width, height) }
+    const annotations = new Map();
+    
+    if (cocoFile) {
+        parseCOCOAnnotations(JSON.parse(await cocoFile.text())).forEach((image, key) => {
+            annotations.set(key, { frameIndex: image.frameIndex, resolve: () => image.groundTruth });
+        });
+    } else {
+        await Promise.all(labelFiles.map(async file => {
+            const key = getAnnotationKey(file.name);
+            const text = await file.text();
+            
+            annotations.set(key, {
+                frameIndex: getFrameIndex(key),
+                resolve: (width, height) => parseYOLOAnnotations(text, { classNames, width, height })
+            });
+        }));
+    }
+    
+    // Video: etiketli frame'ler numara sırasıyla; görseller: etiketi olanlar
+    const samples = video
+        ? [...annotations.entries()]
+            .filter(([, annotation]) => annotation.frameIndex !== null)
+            .sort((a, b) => a[1].frameIndex - b[1].frameIndex)
+            .map(([key, annotation]) => ({ key, annotation, time: annotation.frameIndex / (options.fps || 30) }))
+        : images
+            .filter(file => annotations.has(getAnnotationKey(file.name)))
+            .map(file => ({ key: getAnnotationKey(file.name), annotation: annotations.get(getAnnotationKey(file.name)), file }));
+    
+    if (samples.length === 0) {
+        throw new Error('Görsellerle eşleşen etiket bulunamadı (dosya adları aynı olmalı)');
+    }
+    
+    return { video, samples, classNames };
+}
+
+/**
+ * Veri setinin frame'lerini sırayla çizer: { key, frameData, groundTruth }
+ */
+export async function* readDatasetFrames(dataset) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    let videoElement = null;
+    let videoUrl = null;
+    
+    if (dataset.video) {
+        videoUrl = URL.createObjectURL(dataset.video);
+        videoElement = document.createElement('video');
+        videoElement.muted = true;
+        videoElement.src = videoUrl;
+        await new Promise((resolve, reject) => {
+            videoElement.onloadeddata = resolve;
+            videoElement.onerror = () => reject(new Error('Video açılamadı'));
+        });
+    }
+    
+    try {
+        for (let index = 0; index < dataset.samples.length; index++) {
+            const sample = dataset.samples[index];
+            let source;
+            
+            if (videoElement) {
+                if (sample.time > videoElement.duration) break;
+                
+                videoElement.currentTime = sample.time;
+                await new Promise(resolve => { videoElement.onseeked = resolve; });
+                source = { element: videoElement, width: videoElement.videoWidth, height: videoElement.videoHeight };
+            } else {
+                const bitmap = await createImageBitmap(sample.file);
+                source = { element: bitmap, width: bitmap.width, height: bitmap.height };
+            }
+            
+            canvas.width = source.width;
+            canvas.height = source.height;
+            ctx.drawImage(source.element, 0, 0);
+            
+            if (source.element.close) {
+                source.element.close();
+            }
+            
+            yield {
+                key: sample.key,
+                groundTruth: sample.annotation.resolve(source.width, source.height),
+                frameData: {
+                    imageData: null,
+                    canvas: canvas,
+                    width: source.width,
+                    height: source.height,
+                    timestamp: Date.now(),
+                    frameNumber: index,
+                    source: 'evaluation',
+                    mediaTime: videoElement ? sample.time : null,
+                    imageIndex: videoElement ? null : index,
+                    groundTruth: null
+                }
+            };
+        }
+    } finally {
+        if (videoUrl) {
+            URL.revokeObjectURL(videoUrl);
+        }
+    }
+}
+
+/**
+ * COCO tarzı 101 noktalı enterpolasyonlu Average Precision
+ */
+export function computeAP(recalls, precisions) {
+    // Precision zarfı: her noktada sağdaki en yüksek precision
+    const envelope = precisions.slice();
+    for (let i = envelope.length - 2; i >= 0; i--) {
+        envelope[i] = Math.max(envelope[i], envelope[i + 1]);
+    }
+    
+    let sum = 0;
+    let index = 0;
+    
+    for (let point = 0; point <= 100; point++) {
+        const recall = point / 100;
+        while (index < recalls.length && recalls[index] < recall) index++;
+        sum += index < recalls.length ? envelope[index] : 0;
+    }
+    
+    return sum / 101;
+}
+
+export class DetectionEvaluator {
+    constructor(options = {}) {
+        this.iouThresholds = options.iouThresholds || IOU_THRESHOLDS;
+        
+        // Her frame: { detections, groundTruth }
+        this.frames = [];
+    }
+    
+    /**
+     * Bir frame'in detection'larını ve ground truth kutularını ekler
+     */
+    addFrame(detections, groundTruth) {
+        this.frames.push({
+            detections: detections.map(({ class: className, score, bbox }) => ({ class: className, score, bbox })),
+            groundTruth: groundTruth.map(({ class: className, bbox }) => ({ class: className, bbox }))
+        });
+    }
+    
+    /**
+     * Tüm frame'ler için metrikleri hesaplar
+     */
+    evaluate() {
+        const classNames = new Set();
+        this.frames.forEach(({ detections, groundTruth }) => {
+            groundTruth.forEach(box => classNames.add(box.class));
+            detections.forEach(box => classNames.add(box.class));
+        });
+        
+        const classes = {};
+        
+        [...classNames].sort().forEach(className => {
+            const curves = this.iouThresholds.map(threshold => this.computeCurve(className, threshold));
+            const curve50 = curves[0];
+            const last = curve50.points[curve50.points.length - 1];
+            const tp = last ? last.tp : 0;
+            const fp = last ? last.fp : 0;
+            
+            classes[className] = {
+                gtCount: curve50.gtCount,
+                detectionCount: tp + fp,
+                tp: tp,
+                fp: fp,
+                fn: curve50.gtCount - tp,
+                precision: tp + fp > 0 ? tp / (tp + fp) : 0,
+                recall: curve50.gtCount > 0 ? tp / curve50.gtCount : 0,
+                // Etiketi olmayan sınıfın AP'si tanımsız (mAP'ye katılmaz)
+                ap50: curve50.gtCount > 0 ? curve50.ap : null,
+                ap5095: curve50.gtCount > 0 ? curves.reduce((sum, curve) => sum + curve.ap, 0) / curves.length : null,
+                prCurve: curve50.points.map(({ recall, precision, score }) => ({ recall, precision, score }))
+            };
+        });
+        
+        const evaluated = Object.values(classes).filter(metrics => metrics.ap50 !== null);
+        const mean = key => evaluated.length > 0
+            ? evaluated.reduce((sum, metrics) => sum + metrics[key], 0) / evaluated.length
+            : 0;
+        
+        return {
+            frameCount: this.frames.length,
+            classes: classes,
+            map50: mean('ap50'),
+            map5095: mean('ap5095'),
+            confusionMatrix: this.computeConfusionMatrix([...classNames].sort())
+        };
+    }
+    
+    /**
+     * Bir sınıfın verilen IoU eşiğindeki PR noktalarını ve AP değerini hesaplar
+     */
+    computeCurve(className, iouThreshold) {
+        const detections = [];
+        let gtCount = 0;
+        
+        const frames = this.frames.map(({ detections: frameDetections, groundTruth }, frameIndex) => {
+            const boxes = groundTruth.filter(box => box.class === className);
+            gtCount += boxes.length;
+            
+            frameDetections
+                .filter(detection => detection.class === className)
+                .forEach(detection => detections.push({ ...detection, frameIndex }));
+            
+            return { boxes, matched: new Array(boxes.length).fill(false) };
+        });
+        
+        detections.sort((a, b) => b.score - a.score);
+        
+        let tp = 0;
+        let fp = 0;
+        
+        // Yüksek skordan başlayarak her detection en iyi eşleşmemiş kutuya atanır
+        const points = detections.map(detection => {
+            const frame = frames[detection.frameIndex];
+            let bestIndex = -1;
+            let bestIoU = iouThreshold;
+            
+            frame.boxes.forEach((box, index) => {
+                if (frame.matched[index]) return;
+                
+                const iou = calculateIoU(detection.bbox, box.bbox);
+                if (iou >= bestIoU) {
+                    bestIndex = index;
+                    bestIoU = iou;
+                }
+            });
+            
+            if (bestIndex >= 0) {
+                frame.matched[bestIndex] = true;
+                tp++;
+            } else {
+                fp++;
+            }
+            
+            return {
+                tp: tp,
+                fp: fp,
+                score: detection.score,
+                precision: tp / (tp + fp),
+                recall: gtCount > 0 ? tp / gtCount : 0
+            };
+        });
+        
+        const ap = gtCount > 0
+            ? computeAP(points.map(point => point.recall), points.map(point => point.precision))
+            : 0;
+        
+        return { points, gtCount, ap };
+    }
+    
+    /**
+     * IoU 0.5'te sınıftan bağımsız eşleme ile confusion matrix (satır: gerçek, sütun: tahmin)
+     */
+    computeConfusionMatrix(classNames) {
+        const labels = [...classNames, BACKGROUND_CLASS];
+        const indexOf = new Map(labels.map((label, index) => [label, index]));
+        const matrix = labels.map(() => new Array(labels.length).fill(0));
+        const background = indexOf.get(BACKGROUND_CLASS);
+        
+        this.frames.forEach(({ detections, groundTruth }) => {
+            const pairs = [];
+            
+            groundTruth.forEach((box, gtIndex) => {
+                detections.forEach((detection, detectionIndex) => {
+                    const iou = calculateIoU(box.bbox, detection.bbox);
+                    if (iou >= this.iouThresholds[0]) {
+                        pairs.push({ gtIndex, detectionIndex, iou });
+                    }
+                });
+            });
+            
+            pairs.sort((a, b) => b.iou - a.iou);
+            
+            const usedGT = new Set();
+            const usedDetections = new Set();
+            
+            pairs.forEach(({ gtIndex, detectionIndex }) => {
+                if (usedGT.has(gtIndex) || usedDetections.has(detectionIndex)) return;
+                
+                usedGT.add(gtIndex);
+                usedDetections.add(detectionIndex);
+                matrix[indexOf.get(groundTruth[gtIndex].class)][indexOf.get(detections[detectionIndex].class)]++;
+            });
+            
+            // Kaçırılan kutular → background sütunu, yanlış alarmlar → background satırı
+            groundTruth.forEach((box, gtIndex) => {
+                if (!usedGT.has(gtIndex)) matrix[indexOf.get(box.class)][background]++;
+            });
+            
+            detections.forEach((detection, detectionIndex) => {
+                if (!usedDetections.has(detectionIndex)) matrix[background][indexOf.get(detection.class)]++;
+            });
+        });
+        
+        return { labels, matrix };
+    }
+    
+    /**
+     * Eklenen frame'leri temizler
+     */
+    reset() {
+        this.frames = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Frame Scheduler - Frame Akışı ve Backpressure Yönetimi
+ * 
+ * Bu modül kamera frame'leri ile YOLO inferansı arasındaki akışı düzenler:
+ * - Seçilebilir politika: drop-latest, queue (N) veya rate-cap
+ * - Inferansların üst üste binmesini engeller
+ * - İşlenen/atlanan frame sayılarını raporlar
+ * - requestVideoFrameCallback tabanlı frame saati
+ */
+
+export const SCHEDULER_POLICIES = {
+    'drop-latest': 'Meşgulken gelen frame atlanır',
+    'queue': 'Son N frame kuyrukta bekler',
+    'rate-cap': 'İnferans hızı FPS ile sınırlanır'
+};
+
+export class FrameScheduler {
+    constructor(options = {}) {
+        this.process = options.process;
+        this.onStats = options.onStats || null;
+        
+        // Politika ayarları
+        this.policy = options.policy || 'drop-latest';
+        this.queueSize = options.queueSize || 3;
+        this.maxInferenceFps = options.maxInferenceFps || 5;
+        
+        // Scheduler state
+        this.isBusy = false;
+        this.queue = [];
+        this.canvasPool = [];
+        this.lastStartTime = 0;
+        
+        this.stats = this.createEmptyStats();
+        
+        console.log(`🚦 Frame Scheduler başlatıldı (${this.policy})`);
+    }
+    
+    /**
+     * Boş istatistik objesi oluşturur
+     */
+    createEmptyStats() {
+        return {
+            submitted: 0,
+            processed: 0,
+            dropped: 0,
+            queueLength: 0,
+            lastLatency: 0,
+            inferenceFps: 0
+        };
+    }
+    
+    /**
+     * Yeni bir frame'i politikaya göre işler, kuyruğa alır veya atlar
+     */
+    submit(frameData) {
+        if (!this.process) return;
+        
+        this.stats.submitted++;
+        
+        switch (this.policy) {
+            case 'queue':
+                if (!this.isBusy) {
+                    this.run(this.snapshotFrame(frameData));
+                } else {
+                    if (this.queue.length >= this.queueSize) {
+                        // Kuyruk doluysa en eski frame atılır
+                        this.releaseFrame(this.queue.shift());
+                        this.recordDrop();
+                    }
+                    this.queue.push(this.snapshotFrame(frameData));
+                }
+                break;
+                
+            case 'rate-cap': {
+                const minInterval = 1000 / this.maxInferenceFps;
+                const elapsed = performance.now() - this.lastStartTime;
+                
+                if (this.isBusy || elapsed < minInterval) {
+                    this.recordDrop();
+                } else {
+                    this.run(this.snapshotFrame(frameData));
+                }
+                break;
+            }
+            
+            default:
+                if (this.isBusy) {
+                    this.recordDrop();
+                } else {
+                    this.run(this.snapshotFrame(frameData));
+                }
+        }
+        
+        this.stats.queueLength = this.queue.length;
+    }
+    
+    /**
+     * Frame'i işler ve bitince kuyruktaki bir sonraki frame'e geçer
+     */
+    async run(frameData) {
+        this.isBusy = true;
+        
+        const startTime = performance.now();
+        const previousStart = this.lastStartTime;
+        this.lastStartTime = startTime;
+        
+        try {
+            await this.process(frameData);
+        } catch (error) {
+            console.error('❌ Scheduler frame işleme hatası:', error);
+        } finally {
+            const now = performance.now();
+            
+            this.stats.processed++;
+            this.stats.lastLatency = now - startTime;
+            
+            if (previousStart > 0) {
+                const currentFps = 1000 / (startTime - previousStart);
+                this.stats.inferenceFps = this.stats.inferenceFps * 0.9 + currentFps * 0.1;
+            }
+            
+            this.releaseFrame(frameData);
+            this.isBusy = false;
+            this.notifyStats();
+            this.drain();
+        }
+    }
+    
+    /**
+     * Kuyrukta bekleyen frame varsa işler
+     */
+    drain() {
+        if (this.isBusy || this.queue.length === 0) return;
+        
+        const nextFrame = this.queue.shift();
+        this.stats.queueLength = this.queue.length;
+        this.run(nextFrame);
+    }
+    
+    /**
+     * İşlenecek veya kuyruğa alınan frame'in kopyasını oluşturur
+     * (paylaşılan frame canvas'ı asenkron işlem sürerken sonraki frame ile değişir)
+     */
+    snapshotFrame(frameData) {
+        const canvas = this.canvasPool.pop() || document.createElement('canvas');
+        canvas.width = frameData.width;
+        canvas.height = frameData.height;
+        canvas.getContext('2d').putImageData(frameData.imageData, 0, 0);
+        
+        return { ...frameData, canvas: canvas, isSnapshot: true };
+    }
+    
+    /**
+     * Kopya frame canvas'ını havuza geri verir
+     */
+    releaseFrame(frameData) {
+        if (frameData && frameData.isSnapshot && this.canvasPool.length < this.queueSize + 1) {
+            this.canvasPool.push(frameData.canvas);
+        }
+    }
+    
+    /**
+     * Atlanan frame'i kaydeder
+     */
+    recordDrop() {
+        this.stats.dropped++;
+    }
+    
+    /**
+     * Politikayı değiştirir
+     */
+    setPolicy(policy, options = {}) {
+        if (!SCHEDULER_POLICIES[policy]) {
+            console.warn('⚠️ Geçersiz scheduler politikası:', policy);
+            return;
+        }
+        
+        this.policy = policy;
+        
+        if (options.queueSize) {
+            this.queueSize = Math.max(1, options.queueSize);
+        }
+        
+        if (options.maxInferenceFps) {
+            this.maxInferenceFps = Math.max(0.5, options.maxInferenceFps);
+        }
+        
+        // Politika değişince bekleyen frame'ler geçersiz olur
+        this.clearQueue();
+        
+        console.log(`🚦 Scheduler politikası: ${policy}`);
+    }
+    
+    /**
+     * Kuyruğu boşaltır
+     */
+    clearQueue() {
+        this.queue.forEach(frameData => this.releaseFrame(frameData));
+        this.stats.dropped += this.queue.length;
+        this.queue = [];
+        this.stats.queueLength = 0;
+    }
+    
+    /**
+     * Scheduler'ı sıfırlar
+     */
+    reset() {
+        this.queue.forEach(frameData => this.releaseFrame(frameData));
+        this.queue = [];
+        this.lastStartTime = 0;
+        this.stats = this.createEmptyStats();
+        this.notifyStats();
+    }
+    
+    /**
+     * İstatistikleri döndürür
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            policy: this.policy,
+            isBusy: this.isBusy
+        };
+    }
+    
+    /**
+     * İstatistikleri bildirir
+     */
+    notifyStats() {
+        if (this.onStats) {
+            this.onStats(this.getStats());
+        }
+    }
+}
+
+/**
+ * Frame saati oluşturur
+ * 
+ * Video elementi requestVideoFrameCallback destekliyorsa her yeni video frame'inde,
+ * desteklemiyorsa sabit aralıklarla `onTick` çağrılır. Dönen objenin `stop()`
+ * metodu saati durdurur.
+ */
+export function createFrameClock({ videoElement = null, frameRate = 30, onTick }) {
+    const minInterval = 1000 / frameRate;
+    
+    if (videoElement && typeof videoElement.requestVideoFrameCallback === 'function') {
+        let handle = null;
+        let lastTick = 0;
+        let stopped = false;
+        
+        const onVideoFrame = (now, metadata) => {
+            if (stopped) return;
+            
+            // Video hedef FPS'ten hızlıysa frame'leri seyrelt
+            if (now - lastTick >= minInterval * 0.9) {
+                lastTick = now;
+                onTick(metadata);
+            }
+            
+            handle = videoElement.requestVideoFrameCallback(onVideoFrame);
+        };
+        
+        handle = videoElement.requestVideoFrameCallback(onVideoFrame);
+        
+        return {
+            type: 'video-frame-callback',
+            stop() {
+                stopped = true;
+                if (handle !== null) {
+                    videoElement.cancelVideoFrameCallback(handle);
+                }
+            }
+        };
+    }
+    
+    const interval = setInterval(() => onTick(null), minInterval);
+    
+    return {
+        type: 'interval',
+        stop() {
+            clearInterval(interval);
+        }
+    };
+}
\ No newline at end of file
@@ -5,9 +5,19 @@
  * - Grid oluşturma ve yönetimi
  * - Hücre durumlarını güncelleme
  * - Detection sonuçlarını grid'e mapping
+ * - Grid çıktılı modellerde hücrelerin gerçek tahminleri (objectness, kutu, sınıf)
+ * - Anchor-free modellerde kutuyu tahmin eden stride 8/16/32 hücresi
+ * - Track ID'sine göre renklenen kutular ve track yörüngeleri
+ * - NMS'in elediği kutuların "hayalet" olarak gösterimi (eleyen IoU ile)
+ * - Adım adım modda dondurulmuş frame üzerinde aşama ara sonuçları
+ * - Anchor kutuları: seçili hücrede B anchor, detection başına sorumlu hücre ve anchor IoU'ları
+ * - Çok ölçekli mod: 13/26/52 grid'leri birlikte, detection'lar nesne boyutuna göre ölçeğe atanır
  * - Grid görselleştirme
  */
 
+import { ANCHOR_PRESETS, anchorToPixels, matchAnchors } from './anchors.js';
+import { MULTI_SCALE_LEVELS, assignScale } from './multi-scale.js';
+
 export class GridManager {
     constructor(options = {}) {
         this.gridSize = options.gridSize || 13;
@@ -20,6 +30,39 @@ export class GridManager {
         this.detections = [];
         this.isRunning = false;
         
+        // Modelin gerçek hücre tahminleri (YOLOv1/v2 grid çıktısı)
+        this.gridPredictions = null;
+        this.predictionThreshold = options.predictionThreshold || 0.3;
+        
+        // Adım adım mod: dondurulmuş frame ve gösterilen aşama sonucu
+        this.stepView = null;
+        
+        // NMS'in elediği kutular
+        this.suppressedDetections = [];
+        this.showSuppressed = options.showSuppressed || false;
+        
+        // Zamansal yumuşatma öncesi ham kutular (karşılaştırma katmanı)
+        this.rawDetections = [];
+        this.showRawDetections = options.showRawDetections || false;
+        
+        // Nesne takibi katmanı (ObjectTracker çıktısı)
+        this.tracks = [];
+        this.showTrackTrails = options.showTrackTrails !== false;
+        
+        // Hareket haritası katmanı
+        this.motionMap = null;
+        this.showMotionMap = options.showMotionMap || false;
+        
+        // Anchor katmanı (anchor'lar 13×13 hücresi biriminde, grid boyutundan bağımsız)
+        this.anchorPreset = options.anchorPreset || 'yolov2-voc';
+        this.anchors = ANCHOR_PRESETS[this.anchorPreset].anchors;
+        this.showAnchors = options.showAnchors || false;
+        this.selectedCellId = null; // null: orta hücre
+        
+        // Çok ölçekli mod (YOLOv3 tarzı 13/26/52 başlıkları)
+        this.multiScale = options.multiScale || false;
+        this.visibleScales = new Set(MULTI_SCALE_LEVELS.map(level => level.gridSize));
+        
         // Canvas context
         this.ctx = null;
         this.canvasWidth = 0;
@@ -82,6 +125,7 @@ export class GridManager {
                 state: 'inactive', // inactive, active, detecting, detected, confident
                 confidence: 0,
                 detection: null,
+                prediction: null, // Modelin gerçek hücre tahmini (varsa)
                 lastUpdate: 0
             });
         }
@@ -161,10 +205,60 @@ export class GridManager {
         if (!this.ctx) return;
         
         this.clearCanvas();
-        this.drawGrid();
+        
+        // Dondurulmuş frame'de grid aşamasına kadar yalnızca aşama sonucu çizilir
+        if (this.stepView) {
+            this.drawFrozenFrame();
+            
+            if (!this.stepView.stage || this.stepView.stage.id !== 'grid') {
+                this.drawStageResult();
+                this.drawStepBanner();
+                this.updateCount++;
+                return;
+            }
+        }
+        
+        if (this.multiScale) {
+            this.drawMultiScaleGrids();
+        } else {
+            this.drawGrid();
+        }
+        
+        if (this.hasGridPredictions()) {
+            this.drawGridPredictions();
+        }
+        
+        if (this.showMotionMap) {
+            this.drawMotionMap();
+        }
+        
+        if (this.showSuppressed) {
+            this.drawSuppressedDetections();
+        }
+        
+        if (this.showRawDetections) {
+            this.drawRawDetections();
+        }
+        
+        if (this.showTrackTrails) {
+            this.drawTrackTrails();
+        }
+        
+        if (this.showAnchors) {
+            this.drawAnchors();
+        }
+        
+        if (this.multiScale) {
+            this.drawScaleAssignments();
+        }
+        
         this.drawDetections();
         this.drawProcessingIndicator();
         
+        if (this.stepView) {
+            this.drawStepBanner();
+        }
+        
         this.updateCount++;
     }
     
@@ -316,24 +410,517 @@ export class GridManager {
         this.ctx.fillText(id, x + 2, y + 2);
     }
     
+    /**
+     * Hücre bazlı hareket enerjisi haritasını çizer
+     */
+    drawMotionMap() {
+        const map = this.motionMap;
+        if (!map || map.gridSize !== this.gridSize) return;
+        
+        this.cells.forEach(cell => {
+            const energy = map.cells[cell.id];
+            if (energy < 0.01) return;
+            
+            // Enerji arttıkça daha belirgin mavi
+            const alpha = Math.min(0.6, 0.1 + energy * 1.5);
+            this.ctx.fillStyle = `rgba(56, 189, 248, ${alpha})`;
+            this.ctx.fillRect(cell.x, cell.y, cell.width, cell.height);
+            
+            // Eşiği aşan hücreleri çerçevele
+            if (energy >= map.cellThreshold) {
+                this.ctx.strokeStyle = 'rgba(14, 165, 233, 0.9)';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(cell.x + 1, cell.y + 1, cell.width - 2, cell.height - 2);
+            }
+        });
+    }
+    
+    /**
+     * Hücrelerin tahmin ettiği kutuları çizer (merkez noktası + kesikli kutu)
+     */
+    drawGridPredictions() {
+        this.gridPredictions.cells.forEach(prediction => {
+            if (prediction.objectness < this.predictionThreshold) return;
+            
+            const box = prediction.boxes[prediction.bestBox];
+            const color = this.getDetectionColor(prediction.className);
+            
+            // Kutu koordinatları model girdisine göre normalize (düz yeniden boyutlandırma)
+            const centerX = box.x * this.canvasWidth;
+            const centerY = box.y * this.canvasHeight;
+            const width = box.w * this.canvasWidth;
+            const height = box.h * this.canvasHeight;
+            
+            this.ctx.strokeStyle = color.replace('1)', '0.6)');
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.strokeRect(centerX - width / 2, centerY - height / 2, width, height);
+            this.ctx.setLineDash([]);
+            
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+    
+    /**
+     * NMS'in elediği kutuları soluk kesikli çerçeve ve eleyen IoU ile çizer
+     */
+    drawSuppressedDetections(detections = this.suppressedDetections) {
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        
+        detections.forEach(detection => {
+            const [x, y, width, height] = detection.bbox;
+            const color = this.getDetectionColor(detection.class);
+            
+            this.ctx.strokeStyle = color.replace('1)', '0.45)');
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.strokeRect(x, y, width, height);
+            this.ctx.setLineDash([]);
+            
+            // Elenme nedeni: hangi sınıfın kutusu, hangi IoU ile
+            const labelText = `${detection.class} ✕ IoU ${detection.suppressionIoU.toFixed(2)}`;
+            const labelWidth = this.ctx.measureText(labelText).width + 6;
+            
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            this.ctx.fillRect(x, y + height - 14, labelWidth, 14);
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.fillText(labelText, x + 3, y + height - 12);
+        });
+    }
+    
+    /**
+     * Yumuşatılmamış ham kutuları ince noktalı çerçeve olarak çizer
+     */
+    drawRawDetections() {
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([1, 3]);
+        
+        this.rawDetections.forEach(detection => {
+            const [x, y, width, height] = detection.bbox;
+            
+            this.ctx.strokeStyle = this.getDetectionColor(detection.class).replace('1)', '0.7)');
+            this.ctx.strokeRect(x, y, width, height);
+        });
+        
+        this.ctx.setLineDash([]);
+    }
+    
+    /**
+     * Görünür ölçeklerin grid çizgilerini kendi renkleriyle çizer (kaba grid üstte)
+     */
+    drawMultiScaleGrids() {
+        [...MULTI_SCALE_LEVELS].reverse().forEach(level => {
+            if (!this.visibleScales.has(level.gridSize)) return;
+            
+            const cellWidth = this.canvasWidth / level.gridSize;
+            const cellHeight = this.canvasHeight / level.gridSize;
+            
+            this.ctx.strokeStyle = level.color.replace('1)', '0.45)');
+            this.ctx.lineWidth = 26 / level.gridSize; // 13: 2px, 26: 1px, 52: 0.5px
+            this.ctx.beginPath();
+            
+            for (let i = 1; i < level.gridSize; i++) {
+                this.ctx.moveTo(i * cellWidth, 0);
+                this.ctx.lineTo(i * cellWidth, this.canvasHeight);
+                this.ctx.moveTo(0, i * cellHeight);
+                this.ctx.lineTo(this.canvasWidth, i * cellHeight);
+            }
+            
+            this.ctx.stroke();
+        });
+    }
+    
+    /**
+     * Detection'ların atandığı ölçekteki sorumlu hücreyi vurgular, ölçek başına sayıları yazar
+     */
+    drawScaleAssignments() {
+        const counts = new Map(MULTI_SCALE_LEVELS.map(level => [level.gridSize, 0]));
+        
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        
+        this.detections.forEach(detection => {
+            const assignment = assignScale(detection.bbox, { width: this.canvasWidth, height: this.canvasHeight });
+            const { level } = assignment;
+            
+            counts.set(level.gridSize, counts.get(level.gridSize) + 1);
+            if (!this.visibleScales.has(level.gridSize)) return;
+            
+            // Sorumlu hücre (atanan ölçeğin grid'inde)
+            const cellWidth = this.canvasWidth / level.gridSize;
+            const cellHeight = this.canvasHeight / level.gridSize;
+            
+            this.ctx.fillStyle = level.color.replace('1)', '0.35)');
+            this.ctx.fillRect(assignment.col * cellWidth, assignment.row * cellHeight, cellWidth, cellHeight);
+            this.ctx.strokeStyle = level.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(assignment.col * cellWidth, assignment.row * cellHeight, cellWidth, cellHeight);
+            
+            // Ölçek etiketi kutunun altında
+            const [x, y, , height] = detection.bbox;
+            const labelText = `${level.name} ${level.gridSize}×${level.gridSize} · anchor ${assignment.anchorIndex + 1} IoU ${assignment.iou.toFixed(2)}`;
+            const labelWidth = this.ctx.measureText(labelText).width + 6;
+            
+            this.ctx.fillStyle = level.color.replace('1)', '0.85)');
+            this.ctx.fillRect(x, y + height, labelWidth, 14);
+            this.ctx.fillStyle = 'white';
+            this.ctx.fillText(labelText, x + 3, y + height + 2);
+        });
+        
+        // Ölçek lejantı (sol alt; sol üst adım adım mod başlığına ayrılmış)
+        MULTI_SCALE_LEVELS.forEach((level, index) => {
+            const visible = this.visibleScales.has(level.gridSize);
+            const legendText = `${level.name} ${level.gridSize}×${level.gridSize} (stride ${level.stride}): ${counts.get(level.gridSize)}`;
+            const legendY = this.canvasHeight - 8 - (MULTI_SCALE_LEVELS.length - index) * 16;
+            
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(8, legendY, this.ctx.measureText(legendText).width + 20, 14);
+            this.ctx.fillStyle = visible ? level.color : 'rgba(255, 255, 255, 0.4)';
+            this.ctx.fillRect(11, legendY + 3, 8, 8);
+            this.ctx.fillStyle = visible ? 'white' : 'rgba(255, 255, 255, 0.5)';
+            this.ctx.fillText(legendText, 23, legendY + 2);
+        });
+    }
+    
+    /**
+     * Anchor katmanını çizer: seçili hücrenin anchor'ları ve detection'ların sorumlu anchor'ları
+     */
+    drawAnchors() {
+        const cell = this.cells[this.getSelectedCellId()];
+        if (cell) {
+            this.drawCellAnchors(cell);
+        }
+        
+        this.detections.forEach(detection => {
+            this.drawResponsibleAnchor(detection);
+        });
+    }
+    
+    /**
+     * Hücrenin merkezinde tüm anchor'ları ve (varsa) modelin hücre başına B kutusunu çizer
+     */
+    drawCellAnchors(cell) {
+        const centerX = cell.x + cell.width / 2;
+        const centerY = cell.y + cell.height / 2;
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(cell.x, cell.y, cell.width, cell.height);
+        
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([6, 3]);
+        
+        this.anchors.forEach((anchor, index) => {
+            const [width, height] = anchorToPixels(anchor, this.canvasWidth, this.canvasHeight);
+            const x = centerX - width / 2;
+            const y = centerY - height / 2;
+            
+            this.ctx.strokeStyle = this.getAnchorColor(index).replace('1)', '0.7)');
+            this.ctx.strokeRect(x, y, width, height);
+            this.ctx.fillStyle = this.getAnchorColor(index);
+            this.ctx.fillText(`A${index + 1}`, x + 3, y + 3);
+        });
+        
+        this.ctx.setLineDash([]);
+        
+        // Modelin bu hücredeki anchor başına kutu tahminleri
+        const prediction = cell.prediction;
+        if (!prediction || !prediction.boxes) return;
+        
+        prediction.boxes.forEach((box, index) => {
+            const width = box.w * this.canvasWidth;
+            const height = box.h * this.canvasHeight;
+            const x = box.x * this.canvasWidth - width / 2;
+            const y = box.y * this.canvasHeight - height / 2;
+            const color = this.getAnchorColor(box.anchor !== undefined ? box.anchor : index);
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = index === prediction.bestBox ? 2 : 1;
+            this.ctx.strokeRect(x, y, width, height);
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(`B${index + 1} ${box.confidence.toFixed(2)}`, x + 3, y + height - 13);
+        });
+    }
+    
+    /**
+     * Detection'ın sorumlu hücresini ve en iyi IoU'lu anchor'ını vurgular, tüm IoU'ları yazar
+     */
+    drawResponsibleAnchor(detection) {
+        const cellWidth = this.canvasWidth / this.gridSize;
+        const cellHeight = this.canvasHeight / this.gridSize;
+        const match = matchAnchors(detection.bbox, this.anchors, {
+            gridSize: this.gridSize,
+            imageWidth: this.canvasWidth,
+            imageHeight: this.canvasHeight
+        });
+        
+        const cellX = match.col * cellWidth;
+        const cellY = match.row * cellHeight;
+        const color = this.getAnchorColor(match.bestAnchor);
+        
+        // Sorumlu hücre
+        this.ctx.fillStyle = color.replace('1)', '0.25)');
+        this.ctx.fillRect(cellX, cellY, cellWidth, cellHeight);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(cellX, cellY, cellWidth, cellHeight);
+        
+        // En iyi anchor, sorumlu hücrenin merkezinde
+        const [width, height] = anchorToPixels(this.anchors[match.bestAnchor], this.canvasWidth, this.canvasHeight);
+        
+        this.ctx.setLineDash([8, 4]);
+        this.ctx.strokeRect(cellX + (cellWidth - width) / 2, cellY + (cellHeight - height) / 2, width, height);
+        this.ctx.setLineDash([]);
+        
+        // Anchor IoU'ları (en iyisi ★ ile)
+        const labelText = match.ious
+            .map((iou, index) => `${index === match.bestAnchor ? '★' : ''}A${index + 1} ${iou.toFixed(2)}`)
+            .join('  ');
+        const [boxX, boxY, , boxHeight] = detection.bbox;
+        
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        
+        const labelWidth = this.ctx.measureText(labelText).width + 6;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(boxX, boxY + boxHeight, labelWidth, 14);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(labelText, boxX + 3, boxY + boxHeight + 2);
+    }
+    
+    /**
+     * Anchor indeksine göre renk döndürür
+     */
+    getAnchorColor(index) {
+        const hue = Math.round((index * 360) / Math.max(1, this.anchors.length));
+        return `hsla(${hue}, 85%, 60%, 1)`;
+    }
+    
+    /**
+     * Anchor'ları gösterilen hücre (seçilmemişse orta hücre)
+     */
+    getSelectedCellId() {
+        if (this.selectedCellId !== null && this.cells[this.selectedCellId]) {
+            return this.selectedCellId;
+        }
+        
+        const center = Math.floor(this.gridSize / 2);
+        return center * this.gridSize + center;
+    }
+    
+    /**
+     * Dondurulmuş frame'i video yerine çizer
+     */
+    drawFrozenFrame() {
+        const { frame } = this.stepView;
+        if (!frame) return;
+        
+        this.ctx.drawImage(frame.canvas, 0, 0, this.canvasWidth, this.canvasHeight);
+    }
+    
+    /**
+     * Gösterilen aşamanın ara sonucunu çizer
+     */
+    drawStageResult() {
+        const { stage, result } = this.stepView;
+        if (!stage || !result) return;
+        
+        switch (stage.id) {
+            case 'preprocess':
+                this.drawPreprocessStage(result.preprocessed);
+                break;
+                
+            case 'inference':
+                // Eşiksiz tüm adaylar: skor arttıkça daha belirgin
+                result.candidates.forEach(detection => {
+                    const [x, y, width, height] = detection.bbox;
+                    this.ctx.strokeStyle = `rgba(250, 204, 21, ${(0.2 + detection.score * 0.8).toFixed(2)})`;
+                    this.ctx.lineWidth = 1;
+                    this.ctx.strokeRect(x, y, width, height);
+                });
+                break;
+                
+            case 'confidence':
+                result.rejected.forEach(detection => {
+                    const [x, y, width, height] = detection.bbox;
+                    this.ctx.strokeStyle = 'rgba(239, 68, 68, 0.5)';
+                    this.ctx.lineWidth = 1;
+                    this.ctx.setLineDash([2, 3]);
+                    this.ctx.strokeRect(x, y, width, height);
+                    this.ctx.setLineDash([]);
+                    
+                    this.ctx.fillStyle = 'rgba(239, 68, 68, 0.9)';
+                    this.ctx.font = '10px Arial';
+                    this.ctx.textAlign = 'left';
+                    this.ctx.textBaseline = 'top';
+                    this.ctx.fillText(`${detection.class} ${detection.score.toFixed(2)} < ${detection.threshold.toFixed(2)}`, x + 2, y + 2);
+                });
+                result.passed.forEach(detection => this.drawDetectionBox(detection));
+                break;
+                
+            case 'nms':
+                this.drawSuppressedDetections(result.suppressed);
+                result.kept.forEach(detection => this.drawDetectionBox(detection));
+                break;
+        }
+    }
+    
+    /**
+     * Modelin gördüğü görüntüyü (padding hariç) frame üzerine yerleştirir
+     */
+    drawPreprocessStage(preprocessed) {
+        if (!preprocessed || !preprocessed.canvas) return;
+        
+        const { canvas, padX, padY, scaleX, scaleY, originalWidth, originalHeight, inputWidth, inputHeight } = preprocessed;
+        
+        this.ctx.drawImage(
+            canvas,
+            padX, padY, originalWidth * scaleX, originalHeight * scaleY,
+            0, 0, this.canvasWidth, this.canvasHeight
+        );
+        
+        const label = `Model girdisi ${inputWidth}x${inputHeight} · ${preprocessed.steps.join(' → ')}`;
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        
+        const labelWidth = this.ctx.measureText(label).width + 12;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(8, this.canvasHeight - 30, labelWidth, 22);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(label, 14, this.canvasHeight - 13);
+    }
+    
+    /**
+     * Aşama adı ve özetini sol üstte gösterir
+     */
+    drawStepBanner() {
+        const { stage, stages, stageIndex, result, isRunning } = this.stepView;
+        
+        let text = '🧊 Frame donduruldu - ilk aşama için "Sonraki"';
+        if (stage) {
+            text = `Adım ${stageIndex + 1}/${stages.length}: ${stage.title}`;
+            
+            if (result) {
+                const summaries = {
+                    inference: () => `${result.candidates.length} aday`,
+                    confidence: () => `${result.passed.length} geçti, ${result.rejected.length} elendi`,
+                    nms: () => `${result.kept.length} kaldı, ${result.suppressed.length} bastırıldı`,
+                    grid: () => `${result.detections.length} tespit`
+                };
+                
+                if (summaries[stage.id]) {
+                    text += ` · ${summaries[stage.id]()}`;
+                }
+            }
+        }
+        
+        if (isRunning) {
+            text += ' ⏳';
+        }
+        
+        this.ctx.font = 'bold 13px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        
+        const width = this.ctx.measureText(text).width + 16;
+        this.ctx.fillStyle = 'rgba(17, 24, 39, 0.85)';
+        this.ctx.fillRect(8, 8, width, 26);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(text, 16, 21);
+    }
+    
+    /**
+     * Track'lerin merkez noktası geçmişini çizer (eskiden yeniye belirginleşen çizgi)
+     */
+    drawTrackTrails() {
+        this.tracks.forEach(track => {
+            const { trail } = track;
+            if (trail.length < 2) return;
+            
+            const color = this.getTrackColor(track.id);
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([]);
+            
+            for (let i = 1; i < trail.length; i++) {
+                const alpha = 0.15 + 0.75 * i / (trail.length - 1);
+                this.ctx.strokeStyle = color.replace('1)', `${alpha.toFixed(2)})`);
+                this.ctx.beginPath();
+                this.ctx.moveTo(trail[i - 1][0], trail[i - 1][1]);
+                this.ctx.lineTo(trail[i][0], trail[i][1]);
+                this.ctx.stroke();
+            }
+            
+            // Bu frame'de eşleşmeyen track: Kalman tahmini kesikli kutu
+            if (track.misses > 0) {
+                const [x, y, width, height] = track.bbox;
+                this.ctx.strokeStyle = color.replace('1)', '0.5)');
+                this.ctx.setLineDash([6, 4]);
+                this.ctx.strokeRect(x, y, width, height);
+                this.ctx.setLineDash([]);
+            }
+        });
+    }
+    
     /**
      * Detection'ları çizer
      */
     drawDetections() {
         this.detections.forEach(detection => {
+            if (detection.grid) {
+                this.drawStrideCell(detection.grid);
+            }
+            
             this.drawDetectionBox(detection);
         });
     }
     
+    /**
+     * Anchor-free modelde kutuyu tahmin eden stride 8/16/32 hücresini çizer
+     */
+    drawStrideCell({ stride, gridX, gridY, cellBox }) {
+        const [x, y, width, height] = cellBox;
+        const level = MULTI_SCALE_LEVELS.find(item => item.stride === stride);
+        const color = level ? level.color : 'rgba(255, 255, 255, 1)';
+        
+        this.ctx.fillStyle = color.replace('1)', '0.35)');
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([]);
+        this.ctx.strokeRect(x, y, width, height);
+        
+        const labelText = `s${stride} (${gridX}, ${gridY})`;
+        
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x + width + 2, y + height / 2 - 7, this.ctx.measureText(labelText).width + 6, 14);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(labelText, x + width + 5, y + height / 2);
+    }
+    
     /**
      * Detection box çizer
      */
     drawDetectionBox(detection) {
-        const { bbox, class: className, score } = detection;
+        const { bbox, class: className, score, trackId } = detection;
         const [x, y, width, height] = bbox;
         
-        // Detection box
-        const color = this.getDetectionColor(className);
+        // Detection box (takip edilen nesneler track ID'sine göre renklenir)
+        const color = trackId ? this.getTrackColor(trackId) : this.getDetectionColor(className);
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 3;
         this.ctx.setLineDash([]);
@@ -344,7 +931,9 @@ export class GridManager {
         this.ctx.fillRect(x, y, width, height);
         
         // Label background
-        const labelText = `${className} ${Math.round(score * 100)}%`;
+        const labelText = trackId
+            ? `#${trackId} ${className} ${Math.round(score * 100)}%`
+            : `${className} ${Math.round(score * 100)}%`;
         const labelWidth = this.ctx.measureText(labelText).width + 10;
         const labelHeight = 20;
         
@@ -379,6 +968,14 @@ export class GridManager {
         return colors[className] || colors['default'];
     }
     
+    /**
+     * Track ID'sinden ayırt edilebilir renk üretir (altın açı ile ton dağılımı)
+     */
+    getTrackColor(trackId) {
+        const hue = Math.round((trackId * 137.508) % 360);
+        return `hsla(${hue}, 75%, 50%, 1)`;
+    }
+    
     /**
      * Processing indicator çizer
      */
@@ -421,8 +1018,10 @@ export class GridManager {
         
         this.lastUpdate = Date.now();
         
-        // Simulated grid activation based on frame
-        this.simulateGridActivation(frameData);
+        // Gerçek hücre tahmini varsa rastgele aktivasyon gösterilmez
+        if (!this.hasGridPredictions()) {
+            this.simulateGridActivation(frameData);
+        }
     }
     
     /**
@@ -471,6 +1070,7 @@ export class GridManager {
         cell.state = 'inactive';
         cell.confidence = 0;
         cell.detection = null;
+        cell.prediction = null;
         this.activeCells.delete(cellId);
     }
     
@@ -480,6 +1080,11 @@ export class GridManager {
     updateDetections(detections) {
         this.detections = detections;
         
+        if (this.hasGridPredictions()) {
+            this.applyGridPredictions();
+            return;
+        }
+        
         // Tüm hücreleri temizle
         this.cells.forEach(cell => {
             if (cell.state !== 'inactive') {
@@ -532,6 +1137,56 @@ export class GridManager {
         });
     }
     
+    /**
+     * Modelin hücre tahminlerini günceller (null: simülasyona dön)
+     */
+    setGridPredictions(gridPredictions) {
+        this.gridPredictions = gridPredictions;
+    }
+    
+    /**
+     * Hücre tahminleri mevcut grid ile kullanılabilir mi
+     */
+    hasGridPredictions() {
+        return Boolean(this.gridPredictions) && this.gridPredictions.gridSize === this.gridSize;
+    }
+    
+    /**
+     * Hücre durumlarını modelin gerçek tahminlerinden belirler
+     */
+    applyGridPredictions() {
+        this.gridPredictions.cells.forEach(prediction => {
+            const cell = this.cells[prediction.index];
+            if (!cell) return;
+            
+            // Hücre skoru: sorumlu kutunun objectness'ı × hücrenin sınıf olasılığı
+            const confidence = prediction.classScore;
+            
+            cell.confidence = confidence;
+            cell.prediction = prediction;
+            cell.detection = null;
+            cell.lastUpdate = Date.now();
+            
+            if (confidence > 0.7) {
+                cell.state = 'confident';
+            } else if (confidence > 0.4) {
+                cell.state = 'detected';
+            } else if (confidence > 0.1) {
+                cell.state = 'detecting';
+            } else if (prediction.objectness > 0.1) {
+                cell.state = 'active';
+            } else {
+                cell.state = 'inactive';
+            }
+            
+            if (cell.state === 'inactive') {
+                this.activeCells.delete(cell.id);
+            } else {
+                this.activeCells.add(cell.id);
+            }
+        });
+    }
+    
     /**
      * Bounding box içindeki hücreleri bulur
      */
@@ -581,10 +1236,117 @@ export class GridManager {
      */
     setGridSize(newSize) {
         this.gridSize = newSize;
+        this.selectedCellId = null;
         this.createGrid();
         console.log(`📏 Grid boyutu güncellendi: ${newSize}x${newSize}`);
     }
     
+    /**
+     * Hareket haritasını günceller
+     */
+    setMotionMap(motionMap) {
+        this.motionMap = motionMap;
+    }
+    
+    /**
+     * Adım adım mod görünümünü ayarlar (null: canlı görünüm)
+     */
+    setStepView(stepView) {
+        this.stepView = stepView && stepView.frozen ? stepView : null;
+    }
+    
+    /**
+     * NMS'in elediği kutuları ayarlar
+     */
+    setSuppressedDetections(detections) {
+        this.suppressedDetections = detections || [];
+    }
+    
+    /**
+     * Elenen kutu katmanını açar/kapatır
+     */
+    setShowSuppressed(show) {
+        this.showSuppressed = show;
+    }
+    
+    /**
+     * Zamansal yumuşatma öncesi ham kutuları ayarlar
+     */
+    setRawDetections(detections) {
+        this.rawDetections = detections || [];
+    }
+    
+    /**
+     * Ham kutu karşılaştırma katmanını açar/kapatır
+     */
+    setShowRawDetections(show) {
+        this.showRawDetections = show;
+    }
+    
+    /**
+     * ObjectTracker'ın onaylanmış track'lerini ayarlar
+     */
+    setTracks(tracks) {
+        this.tracks = tracks || [];
+    }
+    
+    /**
+     * Track yörüngelerini açar/kapatır
+     */
+    setShowTrackTrails(show) {
+        this.showTrackTrails = show;
+    }
+    
+    /**
+     * Çok ölçekli modu açar/kapatır
+     */
+    setMultiScale(enabled) {
+        this.multiScale = enabled;
+    }
+    
+    /**
+     * Bir ölçeğin grid'ini gösterir/gizler
+     */
+    setScaleVisible(gridSize, visible) {
+        if (visible) {
+            this.visibleScales.add(gridSize);
+        } else {
+            this.visibleScales.delete(gridSize);
+        }
+    }
+    
+    /**
+     * Anchor katmanını açar/kapatır (açıkken hücre tıklamayla seçilir)
+     */
+    setShowAnchors(show) {
+        this.showAnchors = show;
+        
+        if (this.overlayCanvas) {
+            this.overlayCanvas.classList.toggle('grid-overlay--interactive', show);
+        }
+    }
+    
+    /**
+     * Anchor setini değiştirir
+     */
+    setAnchorPreset(presetName) {
+        const preset = ANCHOR_PRESETS[presetName];
+        if (!preset) {
+            throw new Error(`Bilinmeyen anchor seti: ${presetName}`);
+        }
+        
+        this.anchorPreset = presetName;
+        this.anchors = preset.anchors;
+        console.log(`⚓ Anchor seti: ${preset.name}`);
+    }
+    
+    /**
+     * Hareket haritası katmanını açar/kapatır
+     */
+    setShowMotionMap(show) {
+        this.showMotionMap = show;
+    }
+    
     /**
      * Confidence gösterimini toggle eder
      */
@@ -613,6 +1375,12 @@ export class GridManager {
      */
     clearDetections() {
         this.detections = [];
+        this.suppressedDetections = [];
+        this.rawDetections = [];
+        this.tracks = [];
+        this.stepView = null;
+        this.motionMap = null;
+        this.gridPredictions = null;
         this.cells.forEach(cell => {
             this.deactivateCell(cell.id);
         });
@@ -625,6 +1393,15 @@ export class GridManager {
         return this.activeCells.size;
     }
     
+    /**
+     * Detection'dan etkilenen hücrelerin özetini döndürür (oturum günlüğü için)
+     */
+    getCellActivations() {
+        return this.cells
+            .filter(cell => cell.confidence > 0)
+            .map(cell => ({ id: cell.id, state: cell.state, confidence: Number(cell.confidence.toFixed(3)) }));
+    }
+    
     /**
      * Grid istatistiklerini döndürür
      */
@@ -671,21 +1448,32 @@ export class GridManager {
         const cell = this.cells[cellId];
         if (cell) {
             console.log(`Cell ${cellId}: (${cellRow}, ${cellCol}) - State: ${cell.state}, Confidence: ${cell.confidence.toFixed(2)}`);
+            
+            if (cell.prediction) {
+                const { objectness, className, classProbabilities, classId } = cell.prediction;
+                console.log(`  Objectness: ${objectness.toFixed(2)}, Sınıf: ${className} (${classProbabilities[classId].toFixed(2)})`);
+            }
         }
     }
     
     handleClick(event) {
-        if (!this.debugMode) return;
+        if (!this.debugMode && !this.showAnchors) return;
         
         const rect = this.overlayCanvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
         
-        // Debug için hücreyi toggle et
         const cellCol = Math.floor((x / this.canvasWidth) * this.gridSize);
         const cellRow = Math.floor((y / this.canvasHeight) * this.gridSize);
         const cellId = cellRow * this.gridSize + cellCol;
         
+        // Anchor katmanında tıklanan hücre seçilir
+        if (this.showAnchors) {
+            this.selectedCellId = cellId;
+            return;
+        }
+        
+        // Debug için hücreyi toggle et
         const cell = this.cells[cellId];
         if (cell) {
             if (cell.state === 'inactive') {
@@ -0,0 +1,249 @@
+/**
+ * Inference Worker Client - Worker'daki YOLO Pipeline'ına Erişim
+ * 
+ * Ön işleme, inferans ve son işlemeyi ayrı bir Web Worker'da çalıştırır:
+ * - Frame'ler ImageBitmap olarak transfer edilir (kopyalanmaz)
+ * - İstek/yanıt eşleşmesi (requestId) ve hata aktarımı
+ * - Worker çökerse bekleyen istekler reddedilir, onError bildirilir
+ * - Worker'daki backend ana thread'de RemoteBackend ile temsil edilir
+ */
+
+const DISPOSE_TIMEOUT = 1000; // ms - kapanışta worker'ın temizliği için beklenen süre
+
+export class InferenceWorkerClient {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || new URL('./inference-worker.js', import.meta.url);
+        this.onProcessingUpdate = options.onProcessingUpdate || null;
+        this.onError = options.onError || null;
+        
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+    }
+    
+    /**
+     * Tarayıcının worker inferansını destekleyip desteklemediğini kontrol eder
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+    
+    /**
+     * Worker'ı başlatır ve pipeline'ı verilen ayarlarla kurar
+     */
+    start(options = {}) {
+        this.worker = new Worker(this.workerUrl, { type: 'module' });
+        
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => {
+            event.preventDefault();
+            this.handleCrash(new Error(event.message || 'Inference worker başlatılamadı'));
+        };
+        this.worker.onmessageerror = () => {
+            this.handleCrash(new Error('Inference worker mesajı çözülemedi'));
+        };
+        
+        console.log('🧵 Inference worker başlatıldı');
+        
+        return this.request('init', { options });
+    }
+    
+    /**
+     * Worker'daki asset loader'a kök URL'yi ve seçilen klasörün dosyalarını aktarır
+     */
+    setAssets(assets) {
+        return this.request('setAssets', { assets });
+    }
+    
+    /**
+     * Worker'a istek gönderir, yanıtı Promise olarak döndürür
+     */
+    request(type, payload = {}, transfer = []) {
+        if (!this.worker) {
+            return Promise.reject(new Error('Inference worker çalışmıyor'));
+        }
+        
+        const requestId = ++this.requestId;
+        
+        return new Promise((resolve, reject) => {
+            this.pending.set(requestId, { resolve, reject });
+            
+            try {
+                this.worker.postMessage({ type, requestId, ...payload }, transfer);
+            } catch (error) {
+                // Klonlanamayan veri (DataCloneError) vb.
+                this.pending.delete(requestId);
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * Frame'i worker'da işler (frame ImageBitmap olarak transfer edilir)
+     */
+    async process(frameData, options = {}) {
+        const bitmap = await createImageBitmap(frameData.canvas);
+        
+        const frame = {
+            width: frameData.width,
+            height: frameData.height,
+            timestamp: frameData.timestamp,
+            frameNumber: frameData.frameNumber,
+            source: frameData.source,
+            groundTruth: frameData.groundTruth || null
+        };
+        
+        try {
+            return await this.request('process', { frame, bitmap, ...options }, [bitmap]);
+        } catch (error) {
+            // Transfer gerçekleşmediyse bitmap hâlâ bizde
+            bitmap.close();
+            throw error;
+        }
+    }
+    
+    /**
+     * Worker'daki YOLOSimulation metodunu çağırır (yanıt beklenmez)
+     */
+    call(method, ...args) {
+        this.request('call', { method, args }).catch(error => {
+            console.warn(`⚠️ Worker çağrısı başarısız (${method}):`, error.message);
+        });
+    }
+    
+    /**
+     * Worker mesajlarını işler
+     */
+    handleMessage(message) {
+        const { type, requestId } = message;
+        
+        switch (type) {
+            case 'response': {
+                const request = this.pending.get(requestId);
+                if (!request) return;
+                
+                this.pending.delete(requestId);
+                
+                if (message.error) {
+                    const error = new Error(message.error.message);
+                    error.name = message.error.name;
+                    request.reject(error);
+                } else {
+                    request.resolve(message.result);
+                }
+                break;
+            }
+            
+            case 'processingUpdate':
+                if (this.onProcessingUpdate) {
+                    this.onProcessingUpdate(message.update);
+                }
+                break;
+                
+            default:
+                console.warn('⚠️ Bilinmeyen worker mesajı:', type);
+        }
+    }
+    
+    /**
+     * Worker çöktüğünde bekleyen istekleri reddeder
+     */
+    handleCrash(error) {
+        console.error('❌ Inference worker hatası:', error);
+        
+        this.rejectPending(error);
+        this.terminate();
+        
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+    
+    /**
+     * Bekleyen tüm istekleri reddeder
+     */
+    rejectPending(error) {
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+    
+    /**
+     * Worker'ı temizleyip kapatır
+     */
+    async stop() {
+        if (!this.worker) return;
+        
+        // Backend'lerin bellek temizliği için kısa süre beklenir
+        await Promise.race([
+            this.request('dispose').catch(() => {}),
+            new Promise(resolve => setTimeout(resolve, DISPOSE_TIMEOUT))
+        ]);
+        
+        this.rejectPending(new Error('Inference worker kapatıldı'));
+        this.terminate();
+        
+        console.log('🧵 Inference worker durduruldu');
+    }
+    
+    /**
+     * Worker'ı hemen sonlandırır
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Worker çalışıyor mu
+     */
+    isRunning() {
+        return Boolean(this.worker);
+    }
+}
+
+/**
+ * Worker'da yüklü backend'in ana thread temsili
+ * 
+ * YOLOSimulation'ın bilgi metodları (getInfo, getClassNames...) bu nesne
+ * üzerinden çalışır; tespit worker'daki gerçek backend ile yapılır.
+ */
+export class RemoteBackend {
+    constructor(descriptor) {
+        this.descriptor = descriptor;
+        this.id = descriptor.id;
+        this.name = descriptor.name;
+        this.outputSpace = descriptor.outputSpace;
+        this.isLoaded = true;
+        this.remote = true;
+        this.lastGridPredictions = null;
+    }
+    
+    getInfo() {
+        return { ...this.descriptor.info, thread: 'worker' };
+    }
+    
+    getClassNames() {
+        return this.descriptor.classNames;
+    }
+    
+    getInputSize() {
+        return this.descriptor.inputSize;
+    }
+    
+    getResizeMode() {
+        return this.descriptor.resizeMode;
+    }
+    
+    getGridPredictions() {
+        return this.lastGridPredictions;
+    }
+    
+    dispose() {
+        this.isLoaded = false;
+        this.lastGridPredictions = null;
+    }
+}
\ No newline at end of file
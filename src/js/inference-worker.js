@@ -0,0 +1,160 @@
+/**
+ * Inference Worker - Ayrı Thread'de YOLO Pipeline'ı
+ * 
+ * Ana thread'den transfer edilen ImageBitmap frame'lerini işler:
+ * - Ön işleme (OffscreenCanvas), inferans ve son işleme (eşik + NMS)
+ * - Detection'lar, NMS'in elediği kutular, grid tahminleri ve metrikler yanıt olarak döner
+ * - İstenirse modelin gördüğü görüntü ImageBitmap olarak geri transfer edilir
+ * - Yükleme ilerlemesi ve adım bildirimleri 'processingUpdate' mesajıyla iletilir
+ * - Asset'ler ana thread'in kök URL'si ve seçilen klasör dosyalarıyla yüklenir
+ */
+
+import { YOLOSimulation } from './yolo-simulation.js';
+import { assetLoader } from './asset-loader.js';
+
+/**
+ * Ana thread'in 'call' ile çağırabileceği metodlar
+ */
+const CALLABLE_METHODS = ['releaseBackend', 'reloadModel'];
+
+let simulation = null;
+
+/**
+ * İsteğe yanıt gönderir
+ */
+function respond(requestId, result, transfer = []) {
+    self.postMessage({ type: 'response', requestId, result }, transfer);
+}
+
+/**
+ * İsteği hata ile yanıtlar
+ */
+function respondError(requestId, error) {
+    self.postMessage({
+        type: 'response',
+        requestId,
+        error: { name: error.name, message: error.message }
+    });
+}
+
+/**
+ * Backend'in ana thread'e gönderilecek klonlanabilir özeti
+ */
+function describeBackend(backend) {
+    return {
+        id: backend.id,
+        name: backend.name,
+        outputSpace: backend.outputSpace,
+        info: backend.getInfo(),
+        classNames: backend.getClassNames(),
+        inputSize: backend.getInputSize(),
+        resizeMode: backend.getResizeMode()
+    };
+}
+
+/**
+ * Frame'i pipeline'dan geçirir
+ */
+async function processFrame(message) {
+    const { frame, bitmap, settings, preview } = message;
+    
+    try {
+        simulation.applyPipelineSettings(settings);
+        
+        const { detections, gridPredictions, suppressed } = await simulation.runPipeline({ ...frame, canvas: bitmap });
+        const { inferenceTime, postprocessTime } = simulation.processMetrics;
+        
+        const result = {
+            detections,
+            gridPredictions,
+            suppressed,
+            metrics: { inferenceTime, postprocessTime },
+            preprocessed: null
+        };
+        const transfer = [];
+        
+        // Önizleme: modelin gördüğü görüntü + geometri (tensör verisi gönderilmez)
+        const preprocessed = simulation.lastPreprocessed;
+        if (preview && preprocessed) {
+            const { canvas, tensor, ...geometry } = preprocessed;
+            const previewBitmap = await createImageBitmap(canvas);
+            
+            result.preprocessed = {
+                ...geometry,
+                canvas: previewBitmap,
+                tensor: tensor ? { shape: tensor.shape, mean: tensor.mean } : null
+            };
+            transfer.push(previewBitmap);
+        }
+        
+        return { result, transfer };
+        
+    } finally {
+        bitmap.close();
+    }
+}
+
+self.onmessage = async event => {
+    const message = event.data;
+    const { type, requestId } = message;
+    
+    try {
+        switch (type) {
+            case 'init': {
+                const { assets, ...options } = message.options;
+                
+                // Göreli model/kütüphane yolları worker konumuna (src/js/) göre değil sayfa köküne göre çözülür
+                if (assets) {
+                    assetLoader.setAssetSource(assets);
+                }
+                
+                simulation = new YOLOSimulation({
+                    ...options,
+                    useWorker: false,
+                    autoLoad: false,
+                    onProcessingUpdate: update => self.postMessage({ type: 'processingUpdate', update })
+                });
+                respond(requestId, true);
+                break;
+            }
+            
+            case 'setAssets':
+                assetLoader.setAssetSource(message.assets);
+                respond(requestId, true);
+                break;
+                
+            case 'setBackend': {
+                const backend = await simulation.setBackend(message.id, message.options);
+                respond(requestId, backend ? describeBackend(backend) : null);
+                break;
+            }
+            
+            case 'process': {
+                const { result, transfer } = await processFrame(message);
+                respond(requestId, result, transfer);
+                break;
+            }
+            
+            case 'call':
+                if (!CALLABLE_METHODS.includes(message.method)) {
+                    throw new Error(`Worker'da çağrılamayan metod: ${message.method}`);
+                }
+                
+                respond(requestId, await simulation[message.method](...message.args));
+                break;
+                
+            case 'dispose':
+                if (simulation) {
+                    simulation.cleanup();
+                    simulation = null;
+                }
+                respond(requestId, true);
+                break;
+                
+            default:
+                throw new Error(`Bilinmeyen worker isteği: ${type}`);
+        }
+    } catch (error) {
+        respondError(requestId, error);
+    }
+};
\ No newline at end of file
@@ -13,6 +13,29 @@ import { GridManager } from './grid-manager.js';
 import { CameraHandler } from './camera-handler.js';
 import { YOLOSimulation } from './yolo-simulation.js';
 import { UIComponents } from './ui-components.js';
+import { FrameScheduler } from './frame-scheduler.js';
+import { SessionRecorder } from './session-recorder.js';
+import { DetectionEvaluator, loadEvaluationDataset, readDatasetFrames } from './evaluation.js';
+import { DatasetCapture, EXPORT_FORMATS, createDatasetArchive, createExportFrame, snapshotCanvas } from './dataset-export.js';
+import { SessionLog, SessionReplay } from './session-log.js';
+import { MotionDetector } from './motion-detector.js';
+import { CameraControls } from './camera-controls.js';
+import { PreferenceStore } from './preferences.js';
+import { SyntheticScene, DEFAULT_SCENE_SCRIPT } from './synthetic-scene.js';
+import { getBackends } from './backends/index.js';
+import { SCENARIO_CLASS_FILTERS, createClassFilter, getClassThreshold } from './class-filter.js';
+
+/**
+ * Model/dataset kaynaklı metni innerHTML için kaçışlar
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 class YOLOGridApp {
     constructor() {
@@ -23,12 +46,58 @@ class YOLOGridApp {
         this.gridManager = null;
         this.cameraHandler = null;
         this.yoloSimulation = null;
+        this.frameScheduler = null;
+        this.sessionRecorder = null;
+        this.datasetCapture = null;
+        this.sessionLog = null;
+        this.sessionReplay = null;
+        this.motionDetector = null;
+        this.cameraControls = null;
         this.uiComponents = null;
         
+        // Kalıcı tercihler (kamera cihazı, kalite)
+        this.preferences = new PreferenceStore();
+        
+        // Son inferansı yapılan frame'in görüntüsü ve detection'ları (tek frame exportu için)
+        this.lastFrameCanvas = null;
+        this.lastProcessedFrame = null;
+        
         // Uygulama state
         this.state = {
             gridSize: 13,
             showConfidence: true,
+            schedulerPolicy: 'drop-latest',
+            schedulerQueueSize: 3, // queue politikasında kuyruk uzunluğu
+            schedulerMaxFps: 5, // rate-cap politikasında inferans hızı sınırı
+            motionGating: false,
+            showMotionMap: false,
+            nmsMethod: 'class-aware',
+            showSuppressed: false,
+            classFilterScenario: '',
+            classFilter: createClassFilter(), // Aktif senaryonun sınıf eşikleri ve listeleri
+            objectTracking: true,
+            showTrackTrails: true,
+            temporalSmoothing: false,
+            smoothingMethod: 'ema',
+            smoothingHoldTime: 300, // ms
+            smoothingAppearRatio: 0.9, // × confidence eşiği
+            smoothingDisappearRatio: 0.5, // × confidence eşiği
+            showRawDetections: false,
+            showAnchors: false,
+            anchorPreset: 'yolov2-voc',
+            multiScale: false, // 13/26/52 grid'leri birlikte
+            trackFlow: { enter: 0, exit: 0 }, // Track giriş/çıkış olay sayıları
+            cameraDeviceId: '',
+            videoQuality: 'medium',
+            detectorBackend: 'coco-ssd',
+            modelGridSize: null, // Grid çıktılı modelin S değeri
+            stepMode: false, // Dondurulmuş frame'de adım adım pipeline
+            evaluationFiles: [], // Ground truth değerlendirmesi için seçilen dosyalar
+            isEvaluating: false,
+            evaluationReport: null,
+            exportFormat: 'coco',
+            exportNormalized: false, // COCO/VOC piksel, YOLO normalize yazar
+            isReplaying: false, // Kayıtlı oturum kamerasız oynatılıyor
             tutorialMode: false,
             currentStep: 0,
             detections: [],
@@ -61,6 +130,19 @@ class YOLOGridApp {
             // Modülleri initialize et
             await this.initializeModules();
             
+            // Kayıtlı kamera tercihlerini uygula
+            await this.restoreCameraPreferences();
+            
+            // Detector backend listesini doldur
+            this.renderBackendOptions();
+            
+            // Kayıtlı sınıf filtresi senaryosunu uygula
+            this.renderClassFilterScenarios();
+            this.restoreClassFilter();
+            
+            // Kayıtlı oturum günlüklerini listele
+            await this.refreshSessionList();
+            
             // Event listener'ları bağla
             this.bindEventListeners();
             
@@ -90,11 +172,83 @@ class YOLOGridApp {
             // Buttons
             startCamera: document.getElementById('startCamera'),
             stopCamera: document.getElementById('stopCamera'),
+            openFile: document.getElementById('openFile'),
+            startScreen: document.getElementById('startScreen'),
+            startSynthetic: document.getElementById('startSynthetic'),
             tutorialMode: document.getElementById('tutorialMode'),
             
+            // File source
+            sourceFile: document.getElementById('sourceFile'),
+            openModelFile: document.getElementById('openModelFile'),
+            modelFile: document.getElementById('modelFile'),
+            openModelFolder: document.getElementById('openModelFolder'),
+            modelFolder: document.getElementById('modelFolder'),
+            modelLoadProgress: document.getElementById('modelLoadProgress'),
+            modelLoadBar: document.getElementById('modelLoadBar'),
+            modelLoadText: document.getElementById('modelLoadText'),
+            mediaControls: document.getElementById('mediaControls'),
+            mediaPrev: document.getElementById('mediaPrev'),
+            mediaPlayPause: document.getElementById('mediaPlayPause'),
+            mediaNext: document.getElementById('mediaNext'),
+            mediaSeek: document.getElementById('mediaSeek'),
+            mediaTime: document.getElementById('mediaTime'),
+            
+            // Adım adım pipeline
+            stepMode: document.getElementById('stepMode'),
+            stepperControls: document.getElementById('stepperControls'),
+            stepPrev: document.getElementById('stepPrev'),
+            stepNext: document.getElementById('stepNext'),
+            stepRefreeze: document.getElementById('stepRefreeze'),
+            stepLabel: document.getElementById('stepLabel'),
+            
+            // Session recorder
+            recordStart: document.getElementById('recordStart'),
+            recordPause: document.getElementById('recordPause'),
+            recordStop: document.getElementById('recordStop'),
+            recordLimit: document.getElementById('recordLimit'),
+            recordTime: document.getElementById('recordTime'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportNormalized: document.getElementById('exportNormalized'),
+            exportFrame: document.getElementById('exportFrame'),
+            datasetCapture: document.getElementById('datasetCapture'),
+            exportSession: document.getElementById('exportSession'),
+            datasetCount: document.getElementById('datasetCount'),
+            replayControls: document.getElementById('replayControls'),
+            replayPlayPause: document.getElementById('replayPlayPause'),
+            replaySeek: document.getElementById('replaySeek'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            replayTime: document.getElementById('replayTime'),
+            replayExit: document.getElementById('replayExit'),
+            
+            // Camera controls
+            cameraDevice: document.getElementById('cameraDevice'),
+            videoQuality: document.getElementById('videoQuality'),
+            cameraControlsPanel: document.getElementById('cameraControlsPanel'),
+            cameraControls: document.getElementById('cameraControls'),
+            
             // Controls
             gridSize: document.getElementById('gridSize'),
             showConfidence: document.getElementById('showConfidence'),
+            detectorBackend: document.getElementById('detectorBackend'),
+            schedulerPolicy: document.getElementById('schedulerPolicy'),
+            schedulerQueueSize: document.getElementById('schedulerQueueSize'),
+            schedulerMaxFps: document.getElementById('schedulerMaxFps'),
+            motionGating: document.getElementById('motionGating'),
+            showMotionMap: document.getElementById('showMotionMap'),
+            nmsMethod: document.getElementById('nmsMethod'),
+            showSuppressed: document.getElementById('showSuppressed'),
+            objectTracking: document.getElementById('objectTracking'),
+            showTrackTrails: document.getElementById('showTrackTrails'),
+            temporalSmoothing: document.getElementById('temporalSmoothing'),
+            smoothingMethod: document.getElementById('smoothingMethod'),
+            smoothingHoldTime: document.getElementById('smoothingHoldTime'),
+            smoothingAppearRatio: document.getElementById('smoothingAppearRatio'),
+            smoothingDisappearRatio: document.getElementById('smoothingDisappearRatio'),
+            showRawDetections: document.getElementById('showRawDetections'),
+            showAnchors: document.getElementById('showAnchors'),
+            anchorPreset: document.getElementById('anchorPreset'),
+            multiScale: document.getElementById('multiScale'),
+            scaleToggles: document.getElementById('scaleToggles'),
             
             // Video section
             webcam: document.getElementById('webcam'),
@@ -109,10 +263,50 @@ class YOLOGridApp {
             gridStats: document.getElementById('gridStats'),
             currentGridSize: document.getElementById('currentGridSize'),
             
+            // Model input preview
+            preprocessPreview: document.getElementById('preprocessPreview'),
+            preprocessInfo: document.getElementById('preprocessInfo'),
+            preprocessSteps: document.getElementById('preprocessSteps'),
+            inputSize: document.getElementById('inputSize'),
+            resizeMode: document.getElementById('resizeMode'),
+            preprocessBrightness: document.getElementById('preprocessBrightness'),
+            preprocessContrast: document.getElementById('preprocessContrast'),
+            
+            // Sınıf filtresi
+            classFilterScenario: document.getElementById('classFilterScenario'),
+            classChips: document.getElementById('classChips'),
+            classThresholdClass: document.getElementById('classThresholdClass'),
+            classThresholdValue: document.getElementById('classThresholdValue'),
+            classThresholdLabel: document.getElementById('classThresholdLabel'),
+            classThresholdClear: document.getElementById('classThresholdClear'),
+            classFilterReset: document.getElementById('classFilterReset'),
+            
+            // Oturum günlüğü
+            sessionList: document.getElementById('sessionList'),
+            replayStart: document.getElementById('replayStart'),
+            sessionDelete: document.getElementById('sessionDelete'),
+            sessionLogStatus: document.getElementById('sessionLogStatus'),
+            
+            // Değerlendirme
+            openEvaluationFiles: document.getElementById('openEvaluationFiles'),
+            evaluationFiles: document.getElementById('evaluationFiles'),
+            evaluationRun: document.getElementById('evaluationRun'),
+            evaluationStatus: document.getElementById('evaluationStatus'),
+            evaluationResults: document.getElementById('evaluationResults'),
+            evaluationSummary: document.getElementById('evaluationSummary'),
+            evaluationTable: document.getElementById('evaluationTable'),
+            evaluationPRCurve: document.getElementById('evaluationPRCurve'),
+            confusionMatrix: document.getElementById('confusionMatrix'),
+            
             // Statistics
             activeCells: document.getElementById('activeCells'),
             totalCells: document.getElementById('totalCells'),
             detectionCount: document.getElementById('detectionCount'),
+            processedFrames: document.getElementById('processedFrames'),
+            droppedFrames: document.getElementById('droppedFrames'),
+            skippedInferences: document.getElementById('skippedInferences'),
+            activeTracks: document.getElementById('activeTracks'),
+            trackFlow: document.getElementById('trackFlow'),
             
             // Tutorial
             tutorialSection: document.getElementById('tutorialSection'),
@@ -150,13 +344,61 @@ class YOLOGridApp {
         this.cameraHandler = new CameraHandler({
             videoElement: this.elements.webcam,
             onFrame: this.handleVideoFrame.bind(this),
-            onStatusChange: this.handleCameraStatusChange.bind(this)
+            onStatusChange: this.handleCameraStatusChange.bind(this),
+            onPlaybackUpdate: this.updateMediaControls.bind(this),
+            onTrackChange: this.handleTrackChange.bind(this),
+            onDevicesChange: this.updateCameraDeviceList.bind(this)
+        });
+        
+        // Camera Controls (zoom, pozlama, odak... canlı track üzerinde)
+        this.cameraControls = new CameraControls({
+            container: this.elements.cameraControls
         });
         
         // YOLO Simulation
         this.yoloSimulation = new YOLOSimulation({
             onDetection: this.handleDetection.bind(this),
-            onProcessingUpdate: this.handleProcessingUpdate.bind(this)
+            onProcessingUpdate: this.handleProcessingUpdate.bind(this),
+            onPreprocess: this.updatePreprocessPreview.bind(this),
+            onGridPredictions: this.handleGridPredictions.bind(this),
+            onTrackEvent: this.handleObjectTrackEvent.bind(this),
+            onStepUpdate: this.handleStepUpdate.bind(this)
+        });
+        
+        // Motion Detector (grid hücreleriyle hizalı hareket haritası)
+        this.motionDetector = new MotionDetector({
+            gridSize: this.state.gridSize
+        });
+        
+        // Frame Scheduler (kamera → YOLO arasında backpressure)
+        this.frameScheduler = new FrameScheduler({
+            policy: this.state.schedulerPolicy,
+            queueSize: this.state.schedulerQueueSize,
+            maxInferenceFps: this.state.schedulerMaxFps,
+            process: (frameData) => this.processScheduledFrame(frameData),
+            onStats: this.updateSchedulerStatistics.bind(this)
+        });
+        
+        // Session Recorder (video + grid + detection kutuları)
+        this.sessionRecorder = new SessionRecorder({
+            getFrameSource: () => this.cameraHandler.getFrameSource(),
+            overlayCanvas: this.elements.gridOverlay,
+            onStateChange: this.updateRecorderControls.bind(this),
+            onTimeUpdate: this.updateRecordTime.bind(this)
+        });
+        
+        // Session Log (işlenen frame'lerin zaman çizelgesi) ve kamerasız tekrar oynatma
+        this.sessionLog = new SessionLog({
+            onUpdate: this.updateSessionLogStatus.bind(this)
+        });
+        this.sessionReplay = new SessionReplay({
+            onFrame: this.handleReplayFrame.bind(this),
+            onStateChange: this.updateReplayControls.bind(this)
+        });
+        
+        // Dataset Capture (oturum boyunca görsel + detection toplama)
+        this.datasetCapture = new DatasetCapture({
+            onUpdate: this.updateDatasetControls.bind(this)
         });
         
         // UI Components
@@ -176,18 +418,103 @@ class YOLOGridApp {
         this.addEventListeners([
             [this.elements.startCamera, 'click', this.startCamera.bind(this)],
             [this.elements.stopCamera, 'click', this.stopCamera.bind(this)],
+            [this.elements.cameraDevice, 'change', this.handleCameraDeviceChange.bind(this)],
+            [this.elements.videoQuality, 'change', this.handleVideoQualityChange.bind(this)],
+            
+            // File source controls
+            [this.elements.openFile, 'click', () => this.elements.sourceFile.click()],
+            [this.elements.sourceFile, 'change', this.handleSourceFileChange.bind(this)],
+            [this.elements.openModelFile, 'click', () => this.elements.modelFile.click()],
+            [this.elements.modelFile, 'change', this.handleModelFileChange.bind(this)],
+            [this.elements.openModelFolder, 'click', () => this.elements.modelFolder.click()],
+            [this.elements.modelFolder, 'change', this.handleModelFolderChange.bind(this)],
+            [this.elements.startScreen, 'click', this.startScreenCapture.bind(this)],
+            [this.elements.startSynthetic, 'click', () => this.startSyntheticScene()],
+            [this.elements.mediaPlayPause, 'click', this.toggleMediaPlayback.bind(this)],
+            [this.elements.mediaPrev, 'click', () => this.cameraHandler.previousImage()],
+            [this.elements.mediaNext, 'click', () => this.cameraHandler.nextImage()],
+            [this.elements.mediaSeek, 'input', this.handleMediaSeek.bind(this)],
+            
+            // Session recorder controls
+            [this.elements.recordStart, 'click', this.startRecording.bind(this)],
+            [this.elements.recordPause, 'click', this.toggleRecordingPause.bind(this)],
+            [this.elements.recordStop, 'click', this.stopRecording.bind(this)],
+            
+            // Dataset export controls
+            [this.elements.exportFormat, 'change', this.handleExportFormatChange.bind(this)],
+            [this.elements.exportNormalized, 'change', event => { this.state.exportNormalized = event.target.checked; }],
+            [this.elements.exportFrame, 'click', this.exportCurrentFrame.bind(this)],
+            [this.elements.datasetCapture, 'click', this.toggleDatasetCapture.bind(this)],
+            [this.elements.exportSession, 'click', this.exportDatasetSession.bind(this)],
+            
+            // Session replay controls
+            [this.elements.sessionList, 'change', this.updateSessionListControls.bind(this)],
+            [this.elements.replayStart, 'click', this.startReplay.bind(this)],
+            [this.elements.sessionDelete, 'click', this.deleteSelectedSession.bind(this)],
+            [this.elements.replayPlayPause, 'click', this.toggleReplayPlayback.bind(this)],
+            [this.elements.replaySeek, 'input', event => this.sessionReplay.seek(parseFloat(event.target.value))],
+            [this.elements.replaySpeed, 'change', event => this.sessionReplay.setSpeed(parseFloat(event.target.value))],
+            [this.elements.replayExit, 'click', this.exitReplay.bind(this)],
             
             // Grid controls
             [this.elements.gridSize, 'change', this.handleGridSizeChange.bind(this)],
             [this.elements.showConfidence, 'change', this.handleConfidenceToggle.bind(this)],
+            [this.elements.detectorBackend, 'change', this.handleDetectorBackendChange.bind(this)],
+            [this.elements.schedulerPolicy, 'change', this.handleSchedulerPolicyChange.bind(this)],
+            [this.elements.schedulerQueueSize, 'change', this.handleSchedulerPolicyChange.bind(this)],
+            [this.elements.schedulerMaxFps, 'change', this.handleSchedulerPolicyChange.bind(this)],
+            [this.elements.motionGating, 'change', this.handleMotionGatingToggle.bind(this)],
+            [this.elements.showMotionMap, 'change', this.handleMotionMapToggle.bind(this)],
+            [this.elements.nmsMethod, 'change', this.handleNMSMethodChange.bind(this)],
+            [this.elements.showSuppressed, 'change', this.handleSuppressedToggle.bind(this)],
+            [this.elements.objectTracking, 'change', this.handleObjectTrackingToggle.bind(this)],
+            [this.elements.showTrackTrails, 'change', this.handleTrackTrailsToggle.bind(this)],
+            [this.elements.temporalSmoothing, 'change', this.handleTemporalSmoothingToggle.bind(this)],
+            [this.elements.smoothingMethod, 'change', this.handleSmoothingOptionsChange.bind(this)],
+            [this.elements.smoothingHoldTime, 'change', this.handleSmoothingOptionsChange.bind(this)],
+            [this.elements.smoothingAppearRatio, 'change', this.handleSmoothingOptionsChange.bind(this)],
+            [this.elements.smoothingDisappearRatio, 'change', this.handleSmoothingOptionsChange.bind(this)],
+            [this.elements.showRawDetections, 'change', this.handleRawDetectionsToggle.bind(this)],
+            [this.elements.showAnchors, 'change', this.handleAnchorsToggle.bind(this)],
+            [this.elements.anchorPreset, 'change', this.handleAnchorPresetChange.bind(this)],
+            [this.elements.multiScale, 'change', this.handleMultiScaleToggle.bind(this)],
+            [this.elements.scaleToggles, 'change', this.handleScaleVisibilityToggle.bind(this)],
+            
+            // Preprocessing controls
+            [this.elements.inputSize, 'change', this.handleInputSizeChange.bind(this)],
+            [this.elements.resizeMode, 'change', this.handleInputSizeChange.bind(this)],
+            [this.elements.preprocessSteps, 'change', this.handlePreprocessStepToggle.bind(this)],
+            [this.elements.preprocessBrightness, 'input', this.handleBrightnessContrastChange.bind(this)],
+            [this.elements.preprocessContrast, 'input', this.handleBrightnessContrastChange.bind(this)],
+            
+            // Class filter controls
+            [this.elements.classFilterScenario, 'change', this.handleClassFilterScenarioChange.bind(this)],
+            [this.elements.classChips, 'click', this.handleClassChipClick.bind(this)],
+            [this.elements.classThresholdClass, 'change', this.updateClassThresholdControls.bind(this)],
+            [this.elements.classThresholdValue, 'input', this.handleClassThresholdChange.bind(this)],
+            [this.elements.classThresholdClear, 'click', this.handleClassThresholdClear.bind(this)],
+            [this.elements.classFilterReset, 'click', this.handleClassFilterReset.bind(this)],
+            
+            // Evaluation controls
+            [this.elements.openEvaluationFiles, 'click', () => this.elements.evaluationFiles.click()],
+            [this.elements.evaluationFiles, 'change', this.handleEvaluationFilesChange.bind(this)],
+            [this.elements.evaluationRun, 'click', this.runEvaluation.bind(this)],
             
             // Tutorial controls
             [this.elements.tutorialMode, 'click', this.toggleTutorialMode.bind(this)],
+            
+            // Step-by-step pipeline controls
+            [this.elements.stepMode, 'change', this.handleStepModeToggle.bind(this)],
+            [this.elements.stepPrev, 'click', () => this.yoloSimulation.previousStep()],
+            [this.elements.stepNext, 'click', () => this.yoloSimulation.nextStep()],
+            [this.elements.stepRefreeze, 'click', () => this.yoloSimulation.releaseFrozenFrame()],
             [this.elements.prevStep, 'click', this.previousTutorialStep.bind(this)],
             [this.elements.nextStep, 'click', this.nextTutorialStep.bind(this)],
             
             // Window events
             [window, 'resize', this.handleWindowResize.bind(this)],
+            [window, 'pagehide', this.handlePageHide.bind(this)],
+            [document, 'visibilitychange', this.handlePageHide.bind(this)],
             [window, 'beforeunload', this.cleanup.bind(this)]
         ]);
         
@@ -245,16 +572,10 @@ class YOLOGridApp {
             this.showLoading('Kamera başlatılıyor...');
             
             await this.cameraHandler.start();
-            this.isRunning = true;
+            this.onSourceStarted();
             
-            // Grid'i başlat
-            this.gridManager.start();
-            
-            // YOLO simülasyonunu başlat
-            this.yoloSimulation.start();
-            
-            this.updateCameraControls(true);
-            this.hideLoading();
+            // İzin sonrası cihaz isimleri okunabilir
+            this.refreshCameraDevices();
             
             console.log('📹 Kamera başlatıldı');
             
@@ -265,17 +586,160 @@ class YOLOGridApp {
         }
     }
     
+    /**
+     * Video veya görsel dosyalarını frame kaynağı olarak başlatır
+     */
+    async startFileSource(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        
+        try {
+            this.showLoading('Dosya yükleniyor...');
+            
+            if (this.isRunning) {
+                await this.stopCamera();
+            }
+            
+            const videoFile = files.find(file => file.type.startsWith('video/'));
+            const sceneFile = files.find(file => file.name.endsWith('.json'));
+            
+            if (sceneFile) {
+                await this.startSyntheticScene(JSON.parse(await sceneFile.text()));
+                return;
+            }
+            
+            if (videoFile) {
+                await this.cameraHandler.startVideoFile(videoFile);
+            } else {
+                await this.cameraHandler.startImages(files.filter(file => file.type.startsWith('image/')));
+            }
+            
+            this.onSourceStarted();
+            
+            console.log(`📂 Dosya kaynağı başlatıldı (${this.cameraHandler.sourceType})`);
+            
+        } catch (error) {
+            console.error('❌ Dosya açılırken hata:', error);
+            this.showError('Dosya açılamadı. Lütfen MP4/WebM video veya PNG/JPEG görsel seçin.');
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * JSON senaryosundan sentetik sahne başlatır ve mock detector'ı etkinleştirir
+     */
+    async startSyntheticScene(script = DEFAULT_SCENE_SCRIPT) {
+        try {
+            this.showLoading('Sentetik sahne hazırlanıyor...');
+            
+            if (this.isRunning) {
+                await this.stopCamera();
+            }
+            
+            const scene = new SyntheticScene(script);
+            await this.cameraHandler.startSyntheticScene(scene);
+            
+            // Ground truth kutularını döndüren mock backend ile pipeline deterministik çalışır
+            await this.yoloSimulation.setBackend('mock', { scene });
+            
+            this.onSourceStarted();
+            
+            console.log('🧪 Sentetik sahne başlatıldı');
+            
+        } catch (error) {
+            console.error('❌ Sentetik sahne başlatılırken hata:', error);
+            this.showError('Sentetik sahne başlatılamadı. Lütfen senaryo dosyasını kontrol edin.');
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Ekran veya sekme paylaşımını kaynak olarak başlatır
+     */
+    async startScreenCapture() {
+        try {
+            this.showLoading('Paylaşılacak ekran seçiliyor...');
+            
+            if (this.isRunning) {
+                await this.stopCamera();
+            }
+            
+            await this.cameraHandler.startScreenCapture();
+            this.onSourceStarted();
+            
+            console.log('🖥️ Ekran paylaşımı başlatıldı');
+            
+        } catch (error) {
+            this.hideLoading();
+            
+            // Kullanıcı paylaşım penceresini kapattıysa hata gösterme
+            if (error.name === 'NotAllowedError') {
+                console.log('🖥️ Ekran paylaşımı iptal edildi');
+                return;
+            }
+            
+            console.error('❌ Ekran paylaşımı başlatılırken hata:', error);
+            this.showError('Ekran paylaşımı başlatılamadı.');
+        }
+    }
+    
+    /**
+     * Kaynak başladıktan sonra grid ve YOLO'yu çalıştırır
+     */
+    onSourceStarted() {
+        if (this.state.isReplaying) {
+            this.exitReplay();
+        }
+        
+        this.isRunning = true;
+        
+        // Yeni oturum günlüğü
+        this.sessionLog.start({ source: this.cameraHandler.sourceType });
+        
+        // Grid'i başlat
+        this.gridManager.start();
+        
+        // YOLO simülasyonunu başlat
+        this.yoloSimulation.start();
+        
+        this.updateCameraControls(true);
+        this.updateMediaControls(this.cameraHandler.getPlaybackState());
+        this.hideLoading();
+    }
+    
     /**
      * Kamerayı durdurur
      */
     async stopCamera() {
         try {
+            // Devam eden kayıt varsa kaynak kapanmadan önce bitir
+            if (this.sessionRecorder.state !== 'inactive') {
+                this.stopRecording();
+            }
+            
+            const usedSceneBackend = this.cameraHandler.sourceType === 'synthetic';
+            
             this.cameraHandler.stop();
             this.gridManager.stop();
             this.yoloSimulation.stop();
             
+            // Sentetik sahnenin mock backend'i bırakılır, seçili backend'e dönülür
+            if (usedSceneBackend) {
+                this.yoloSimulation.releaseBackend('mock');
+                this.yoloSimulation.setBackend(this.state.detectorBackend);
+            }
+            this.frameScheduler.reset();
+            this.motionDetector.reset();
+            this.resetTrackFlow();
+            this.lastProcessedFrame = null;
+            
+            // Oturum günlüğünün kalan kayıtları IndexedDB'ye yazılır
+            await this.sessionLog.stop();
+            this.refreshSessionList();
+            
             this.isRunning = false;
             this.updateCameraControls(false);
+            this.updateMediaControls(this.cameraHandler.getPlaybackState());
             
             // Sonuçları temizle
             this.clearDetections();
@@ -296,21 +760,46 @@ class YOLOGridApp {
         // Performance tracking
         const startTime = performance.now();
         
-        // Grid'i güncelle
-        this.gridManager.updateFrame(frameData);
+        // Grid'i güncelle (dondurulmuş frame incelenirken canlı aktivasyon gösterilmez)
+        if (!this.state.stepMode) {
+            this.gridManager.updateFrame(frameData);
+        }
+        
+        // Hareket analizi (kapı veya harita açıksa)
+        if (this.state.motionGating || this.state.showMotionMap) {
+            frameData.motion = this.motionDetector.analyze(frameData);
+            this.gridManager.setMotionMap(frameData.motion);
+        }
         
-        // YOLO simülasyonu çalıştır
-        this.yoloSimulation.processFrame(frameData);
+        // YOLO inferansı scheduler üzerinden (üst üste binmeden) çalışır
+        this.frameScheduler.submit(frameData);
         
         // Performance metrics güncelle
         const processTime = performance.now() - startTime;
         this.updatePerformanceMetrics(processTime);
     }
     
+    /**
+     * Video track değişince kamera ayarları panelini yeniler
+     */
+    handleTrackChange(track) {
+        const panel = this.elements.cameraControlsPanel;
+        
+        if (track && this.cameraHandler.sourceType === 'camera') {
+            this.cameraControls.attach(track);
+        } else {
+            this.cameraControls.detach();
+        }
+        
+        if (panel) {
+            panel.hidden = !this.cameraControls.hasControls();
+        }
+    }
+    
     /**
      * Kamera durumu değişikliğini işler
      */
-    handleCameraStatusChange(status) {
+    handleCameraStatusChange(status, details = null) {
         const statusElement = this.elements.cameraStatus;
         if (!statusElement) return;
         
@@ -323,11 +812,24 @@ class YOLOGridApp {
                 break;
                 
             case 'active':
-                statusElement.innerHTML = '<span class="status-dot"></span>Kamera Aktif';
+                statusElement.innerHTML = `<span class="status-dot"></span>${this.getActiveSourceLabel()}`;
                 statusElement.className = 'status active';
                 break;
                 
+            case 'reconnecting':
+                statusElement.innerHTML = `<span class="status-dot"></span>Kamera Yeniden Bağlanıyor${details ? ` (${details.attempt}/${details.maxAttempts})` : ''}...`;
+                statusElement.className = 'status reconnecting';
+                
+                // Kopma öncesi kalan eski tespitleri temizle
+                this.clearDetections();
+                this.motionDetector.reset();
+                break;
+                
             case 'error':
+                // Kaynak kurtarılamadı (ör. yeniden bağlanma denemeleri tükendi): pipeline da durdurulur
+                if (this.isRunning) {
+                    this.stopCamera();
+                }
                 statusElement.innerHTML = '<span class="status-dot"></span>Kamera Hatası';
                 statusElement.className = 'status error';
                 break;
@@ -336,162 +838,1435 @@ class YOLOGridApp {
                 statusElement.innerHTML = '<span class="status-dot"></span>Kamera Durduruldu';
                 statusElement.className = 'status';
                 break;
+                
+            case 'ended':
+                // Kaynak dışarıdan sonlandı (ör. ekran paylaşımı durduruldu)
+                if (this.isRunning) {
+                    this.stopCamera();
+                }
+                statusElement.innerHTML = '<span class="status-dot"></span>Paylaşım Sonlandı';
+                statusElement.className = 'status';
+                break;
         }
     }
     
     /**
-     * Nesne tespitini işler
+     * Aktif kaynak için durum metnini döndürür
      */
-    handleDetection(detections) {
-        this.state.detections = detections;
+    getActiveSourceLabel() {
+        const labels = {
+            camera: 'Kamera Aktif',
+            screen: 'Ekran Paylaşımı Aktif',
+            video: 'Video Dosyası Aktif',
+            image: 'Görsel Kaynağı Aktif',
+            synthetic: 'Sentetik Sahne Aktif'
+        };
         
-        // Grid'e detection'ları gönder
-        this.gridManager.updateDetections(detections);
+        return labels[this.cameraHandler.sourceType] || labels.camera;
+    }
+    
+    /**
+     * Dosya seçimini işler
+     */
+    handleSourceFileChange(event) {
+        this.startFileSource(event.target.files);
         
-        // UI'ı güncelle
-        this.updateDetectionResults(detections);
-        this.updateGridStatistics();
+        // Aynı dosyanın tekrar seçilebilmesi için input'u sıfırla
+        event.target.value = '';
     }
     
     /**
-     * İşlem güncellemesini işler
+     * Video dosyası oynat/duraklat
      */
-    handleProcessingUpdate(processingData) {
-        // Grid processing indicator'ı güncelle
-        this.gridManager.updateProcessingIndicator(processingData.isProcessing);
+    toggleMediaPlayback() {
+        const { paused } = this.cameraHandler.getPlaybackState();
         
-        // Performance metrics güncelle
-        if (processingData.metrics) {
-            this.updatePerformanceMetrics(processingData.metrics.processTime);
+        if (paused) {
+            this.cameraHandler.play();
+        } else {
+            this.cameraHandler.pause();
         }
     }
     
     /**
-     * Grid boyutu değişikliğini işler
+     * Video dosyasında seek işler
      */
-    handleGridSizeChange(event) {
-        const newSize = parseInt(event.target.value);
-        this.state.gridSize = newSize;
-        
-        // Grid'i güncelle
-        this.gridManager.setGridSize(newSize);
-        
-        // UI'ı güncelle
-        this.updateGridInfo();
-        
-        console.log(`📏 Grid boyutu değiştirildi: ${newSize}x${newSize}`);
+    handleMediaSeek(event) {
+        this.cameraHandler.seek(parseFloat(event.target.value));
     }
     
     /**
-     * Confidence gösterim toggle'ını işler
+     * Açıklamalı oturum kaydını başlatır
      */
-    handleConfidenceToggle(event) {
-        this.state.showConfidence = event.target.checked;
-        this.gridManager.setShowConfidence(this.state.showConfidence);
+    startRecording() {
+        if (!this.isRunning) return;
         
-        console.log(`📊 Confidence skorları: ${this.state.showConfidence ? 'açık' : 'kapalı'}`);
+        try {
+            const timeLimit = parseInt(this.elements.recordLimit.value) || 0;
+            
+            this.sessionRecorder.start({ timeLimit })
+                .then(blob => this.handleRecordingComplete(blob))
+                .catch(error => {
+                    console.error('❌ Kayıt hatası:', error);
+                    this.showError('Kayıt sırasında bir hata oluştu.');
+                });
+                
+        } catch (error) {
+            console.error('❌ Kayıt başlatılırken hata:', error);
+            this.showError('Kayıt başlatılamadı. Tarayıcınız MediaRecorder desteklemiyor olabilir.');
+        }
     }
     
     /**
-     * UI state değişikliğini işler
+     * Kaydı duraklatır / sürdürür
      */
-    handleUIStateChange(stateChange) {
-        Object.assign(this.state, stateChange);
-        this.updateUI();
+    toggleRecordingPause() {
+        if (this.sessionRecorder.state === 'paused') {
+            this.sessionRecorder.resume();
+        } else {
+            this.sessionRecorder.pause();
+        }
     }
     
     /**
-     * Keyboard shortcut'ları işler
+     * Kaydı bitirir (Blob startRecording promise'i ile teslim edilir)
      */
-    handleKeyboard(event) {
-        if (event.ctrlKey || event.metaKey) {
-            switch (event.key) {
-                case ' ':
-                    event.preventDefault();
-                    if (this.isRunning) {
-                        this.stopCamera();
-                    } else {
-                        this.startCamera();
-                    }
-                    break;
-                    
-                case 't':
-                    event.preventDefault();
-                    this.toggleTutorialMode();
-                    break;
-                    
-                case '1':
-                case '2':
-                case '3':
-                    event.preventDefault();
-                    const gridSizes = [7, 13, 19];
-                    const index = parseInt(event.key) - 1;
-                    if (gridSizes[index]) {
-                        this.elements.gridSize.value = gridSizes[index];
-                        this.handleGridSizeChange({target: {value: gridSizes[index]}});
-                    }
-                    break;
-            }
-        }
+    stopRecording() {
+        this.sessionRecorder.stop();
     }
     
     /**
-     * Window resize'ı işler
+     * Tamamlanan kaydı indirir
      */
-    handleWindowResize() {
-        // Grid'i yeniden boyutlandır
-        if (this.gridManager) {
-            this.gridManager.resize();
-        }
+    handleRecordingComplete(blob) {
+        if (!blob || blob.size === 0) return;
         
-        // Camera'yı yeniden ayarla
-        if (this.cameraHandler && this.isRunning) {
-            this.cameraHandler.resize();
-        }
+        const extension = blob.type.includes('mp4') ? 'mp4' : 'webm';
+        this.downloadBlob(blob, `yolo-grid-session-${Date.now()}.${extension}`);
     }
     
     /**
-     * Tutorial modunu toggle eder
+     * Scheduler'dan gelen frame'i işler; veri seti toplanıyorsa frame'i detection'larıyla saklar
      */
-    toggleTutorialMode() {
-        this.state.tutorialMode = !this.state.tutorialMode;
+    async processScheduledFrame(frameData) {
+        // Görüntü inferanstan önce kopyalanır (kamera canvas'ı bu sırada yeniden çizilir)
+        const snapshot = !this.state.stepMode && this.datasetCapture.isDue(frameData.timestamp)
+            ? snapshotCanvas(frameData.canvas)
+            : null;
         
-        const tutorialSection = this.elements.tutorialSection;
-        if (tutorialSection) {
-            if (this.state.tutorialMode) {
-                tutorialSection.style.display = 'block';
-                tutorialSection.classList.add('animate-fadeIn');
-                this.loadTutorialStep(0);
-            } else {
-                tutorialSection.classList.add('animate-fadeOut');
-                setTimeout(() => {
-                    tutorialSection.style.display = 'none';
-                    tutorialSection.classList.remove('animate-fadeOut');
-                }, 400);
-            }
+        await this.yoloSimulation.processFrame(frameData);
+        
+        // Yalnızca inferansı yapılan frame saklanır (atlanan frame'lerde önceki sonuç geçerli)
+        const frameInfo = this.yoloSimulation.lastFrameInfo;
+        if (frameInfo && frameInfo.frameNumber === frameData.frameNumber) {
+            this.storeProcessedFrame(frameData.canvas, frameInfo);
         }
         
-        console.log(`🎓 Tutorial modu: ${this.state.tutorialMode ? 'açık' : 'kapalı'}`);
+        if (snapshot) {
+            await this.datasetCapture.add(snapshot, frameData, this.yoloSimulation.detections);
+        }
     }
     
     /**
-     * Tutorial adımlarını yönetir
+     * İşlenen frame'i detection'larıyla birlikte saklar (canvas yeniden kullanılır)
      */
-    loadTutorialStep(stepIndex) {
-        // Tutorial steps component'e yönlendir
-        if (this.uiComponents) {
-            this.uiComponents.loadTutorialStep(stepIndex);
+    storeProcessedFrame(source, frameInfo) {
+        if (!this.lastFrameCanvas) {
+            this.lastFrameCanvas = document.createElement('canvas');
         }
+        
+        const canvas = this.lastFrameCanvas;
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        
+        this.lastProcessedFrame = {
+            frameInfo: frameInfo,
+            detections: this.yoloSimulation.detections
+        };
     }
     
-    nextTutorialStep() {
-        if (this.state.currentStep < 4) {
-            this.state.currentStep++;
-            this.loadTutorialStep(this.state.currentStep);
-        }
+    /**
+     * Dışa aktarma formatı değişikliğini işler (formatın varsayılan koordinat tipi seçilir)
+     */
+    handleExportFormatChange(event) {
+        const { exportNormalized } = this.elements;
+        
+        this.state.exportFormat = event.target.value;
+        this.state.exportNormalized = this.state.exportFormat === 'yolo';
+        
+        exportNormalized.checked = this.state.exportNormalized;
+        exportNormalized.disabled = this.state.exportFormat === 'voc'; // VOC her zaman piksel
     }
     
-    previousTutorialStep() {
+    /**
+     * Seçili formatta ZIP arşivini indirir
+     */
+    async downloadDataset(frames, name) {
+        const { exportFormat, exportNormalized } = this.state;
+        
+        const archive = await createDatasetArchive(frames, exportFormat, {
+            classNames: this.yoloSimulation.getClassNames(),
+            normalized: exportNormalized
+        });
+        
+        this.downloadBlob(archive, `${name}-${exportFormat}-${Date.now()}.zip`);
+        console.log(`📦 ${frames.length} frame dışa aktarıldı (${EXPORT_FORMATS[exportFormat]})`);
+    }
+    
+    /**
+     * Son işlenen frame'i görseli ve detection'larıyla dışa aktarır
+     */
+    async exportCurrentFrame() {
+        if (!this.isRunning || !this.lastProcessedFrame) return;
+        
+        // Görüntü ve detection'lar aynı anda alınır (sonraki frame canvas'ı yeniden çizer)
+        const { frameInfo, detections } = this.lastProcessedFrame;
+        const source = snapshotCanvas(this.lastFrameCanvas);
+        
+        try {
+            const image = await new Promise(resolve => {
+                source.toBlob(resolve, 'image/jpeg', 0.9);
+            });
+            const frame = createExportFrame(detections, { ...frameInfo, image });
+            
+            await this.downloadDataset([frame], 'yolo-grid-frame');
+            
+        } catch (error) {
+            console.error('❌ Frame dışa aktarılamadı:', error);
+            this.showError('Frame dışa aktarılamadı.');
+        }
+    }
+    
+    /**
+     * Oturum boyunca frame toplamayı başlatır/durdurur
+     */
+    toggleDatasetCapture() {
+        if (this.datasetCapture.isCapturing) {
+            this.datasetCapture.stop();
+        } else {
+            this.datasetCapture.start();
+        }
+    }
+    
+    /**
+     * Toplanan oturumu dışa aktarır
+     */
+    async exportDatasetSession() {
+        const frames = this.datasetCapture.getFrames();
+        if (frames.length === 0) return;
+        
+        try {
+            await this.downloadDataset(frames, 'yolo-grid-session');
+        } catch (error) {
+            console.error('❌ Oturum dışa aktarılamadı:', error);
+            this.showError('Oturum dışa aktarılamadı.');
+        }
+    }
+    
+    /**
+     * Nesne tespitini işler
+     */
+    handleDetection(detections) {
+        this.state.detections = detections;
+        
+        // Grid'e detection'ları ve track yörüngelerini gönder
+        this.gridManager.updateDetections(detections);
+        this.gridManager.setTracks(this.yoloSimulation.getTracks());
+        this.gridManager.setSuppressedDetections(this.yoloSimulation.getSuppressedDetections());
+        this.gridManager.setRawDetections(this.yoloSimulation.getRawDetections());
+        
+        // Zaman çizelgesine ekle
+        if (this.sessionLog.isActive()) {
+            const frameInfo = this.yoloSimulation.lastFrameInfo;
+            
+            this.sessionLog.append({
+                detections: detections,
+                gridActivation: this.gridManager.getCellActivations(),
+                settings: {
+                    ...this.yoloSimulation.getPipelineSettings(),
+                    gridSize: this.state.gridSize,
+                    detectorBackend: this.state.detectorBackend
+                },
+                width: frameInfo ? frameInfo.width : null,
+                height: frameInfo ? frameInfo.height : null
+            });
+        }
+        
+        // UI'ı güncelle
+        this.updateDetectionResults(detections);
+        this.updateGridStatistics();
+    }
+    
+    /**
+     * Kayıtlı oturumları listeler
+     */
+    async refreshSessionList() {
+        const { sessionList } = this.elements;
+        if (!sessionList) return;
+        
+        const sessions = await this.sessionLog.listSessions();
+        const selected = sessionList.value;
+        
+        sessionList.innerHTML = sessions.length > 0
+            ? sessions.map(session => `
+                <option value="${session.id}">${session.name} · ${session.entryCount} frame · ${this.formatTime(session.duration / 1000)}</option>
+            `).join('')
+            : '<option value="">Kayıtlı oturum yok</option>';
+        
+        if (sessions.some(session => session.id === selected)) {
+            sessionList.value = selected;
+        }
+        
+        this.updateSessionListControls();
+    }
+    
+    /**
+     * Oturum listesi butonlarını günceller
+     */
+    updateSessionListControls() {
+        const { sessionList, replayStart, sessionDelete } = this.elements;
+        if (!sessionList) return;
+        
+        const hasSelection = Boolean(sessionList.value);
+        
+        replayStart.disabled = !hasSelection || this.sessionLog.isActive();
+        sessionDelete.disabled = !hasSelection || this.state.isReplaying;
+    }
+    
+    /**
+     * Aktif oturum günlüğünün durumunu gösterir
+     */
+    updateSessionLogStatus({ isActive, entryCount, duration }) {
+        const { sessionLogStatus } = this.elements;
+        if (!sessionLogStatus) return;
+        
+        sessionLogStatus.textContent = isActive
+            ? `🔴 Kaydediliyor: ${entryCount} frame · ${this.formatTime(duration / 1000)}`
+            : 'Kaynak başlatılınca kayıt başlar';
+        
+        this.updateSessionListControls();
+    }
+    
+    /**
+     * Seçili oturumu kamerasız tekrar oynatır
+     */
+    async startReplay() {
+        const id = this.elements.sessionList.value;
+        if (!id || this.sessionLog.isActive()) return;
+        
+        try {
+            const session = await this.sessionLog.loadSession(id);
+            
+            this.state.isReplaying = true;
+            this.clearDetections();
+            this.gridManager.setGridPredictions(null);
+            this.gridManager.start();
+            
+            this.sessionReplay.load(session);
+            this.sessionReplay.setSpeed(parseFloat(this.elements.replaySpeed.value));
+            this.sessionReplay.play();
+            
+            console.log(`⏯️ Oturum oynatılıyor: ${session.name}`);
+            
+        } catch (error) {
+            console.error('❌ Oturum yüklenemedi:', error);
+            this.showError('Oturum yüklenemedi.');
+        }
+    }
+    
+    /**
+     * Tekrar oynatmadan çıkar
+     */
+    exitReplay() {
+        this.sessionReplay.stop();
+        this.state.isReplaying = false;
+        
+        if (!this.isRunning) {
+            this.gridManager.stop();
+        }
+        
+        this.clearDetections();
+        this.updateReplayControls({ isLoaded: false });
+        this.updateSessionListControls();
+    }
+    
+    /**
+     * Tekrar oynatmayı duraklatır / sürdürür
+     */
+    toggleReplayPlayback() {
+        if (this.sessionReplay.isPlaying) {
+            this.sessionReplay.pause();
+        } else {
+            this.sessionReplay.play();
+        }
+    }
+    
+    /**
+     * Kayıttaki frame'i grid'e uygular (kayıt anındaki grid boyutuyla)
+     */
+    handleReplayFrame(entry, settings) {
+        if (settings && settings.gridSize && settings.gridSize !== this.state.gridSize) {
+            this.applyGridSize(settings.gridSize);
+            this.elements.gridSize.value = settings.gridSize;
+        }
+        
+        this.state.detections = entry.detections;
+        this.gridManager.updateDetections(entry.detections);
+        
+        this.updateDetectionResults(entry.detections);
+        this.updateGridStatistics();
+    }
+    
+    /**
+     * Tekrar oynatma kontrollerini günceller
+     */
+    updateReplayControls({ isLoaded, isPlaying, currentTime, duration }) {
+        const { replayControls, replayPlayPause, replaySeek, replayTime } = this.elements;
+        if (!replayControls) return;
+        
+        replayControls.hidden = !isLoaded;
+        if (!isLoaded) return;
+        
+        replayPlayPause.textContent = isPlaying ? '⏸️' : '▶️';
+        replaySeek.max = duration;
+        replaySeek.value = currentTime;
+        replayTime.textContent = `${this.formatTime(currentTime / 1000)} / ${this.formatTime(duration / 1000)}`;
+    }
+    
+    /**
+     * Seçili oturumu siler
+     */
+    async deleteSelectedSession() {
+        const id = this.elements.sessionList.value;
+        if (!id || this.state.isReplaying) return;
+        
+        await this.sessionLog.deleteSession(id);
+        await this.refreshSessionList();
+    }
+    
+    /**
+     * İşlem güncellemesini işler
+     */
+    handleProcessingUpdate(processingData) {
+        // Grid processing indicator'ı güncelle
+        this.gridManager.updateProcessingIndicator(processingData.isProcessing);
+        
+        // Model indirme ilerlemesi
+        if (processingData.isLoading !== undefined) {
+            this.updateModelLoadProgress(processingData);
+            
+            // Yeni modelin sınıf listesi
+            if (!processingData.isLoading && !processingData.error) {
+                this.renderClassChips();
+            }
+        }
+        
+        // Performance metrics güncelle
+        if (processingData.metrics) {
+            this.updatePerformanceMetrics(processingData.metrics.processTime);
+            
+            if (this.elements.skippedInferences) {
+                this.elements.skippedInferences.textContent = processingData.metrics.skippedFrames;
+            }
+        }
+    }
+    
+    /**
+     * Grid boyutu değişikliğini işler
+     */
+    handleGridSizeChange(event) {
+        this.applyGridSize(parseInt(event.target.value));
+    }
+    
+    /**
+     * Grid boyutunu tüm modüllere uygular
+     */
+    applyGridSize(newSize) {
+        this.state.gridSize = newSize;
+        
+        // Grid'i güncelle
+        this.gridManager.setGridSize(newSize);
+        this.motionDetector.setGridSize(newSize);
+        
+        // UI'ı güncelle
+        this.updateGridInfo();
+        
+        console.log(`📏 Grid boyutu değiştirildi: ${newSize}x${newSize}`);
+    }
+    
+    /**
+     * Confidence gösterim toggle'ını işler
+     */
+    handleConfidenceToggle(event) {
+        this.state.showConfidence = event.target.checked;
+        this.gridManager.setShowConfidence(this.state.showConfidence);
+        
+        console.log(`📊 Confidence skorları: ${this.state.showConfidence ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Hareket kapısı toggle'ını işler
+     */
+    handleMotionGatingToggle(event) {
+        this.state.motionGating = event.target.checked;
+        this.yoloSimulation.setMotionGating(this.state.motionGating);
+        this.motionDetector.reset();
+    }
+    
+    /**
+     * Hareket haritası toggle'ını işler
+     */
+    handleMotionMapToggle(event) {
+        this.state.showMotionMap = event.target.checked;
+        this.gridManager.setShowMotionMap(this.state.showMotionMap);
+        
+        if (!this.state.showMotionMap) {
+            this.gridManager.setMotionMap(null);
+        }
+    }
+    
+    /**
+     * NMS yöntemi değişikliğini işler
+     */
+    handleNMSMethodChange(event) {
+        this.state.nmsMethod = event.target.value;
+        this.yoloSimulation.setNMSMethod(this.state.nmsMethod);
+    }
+    
+    /**
+     * Elenen kutu katmanı toggle'ını işler
+     */
+    handleSuppressedToggle(event) {
+        this.state.showSuppressed = event.target.checked;
+        this.gridManager.setShowSuppressed(this.state.showSuppressed);
+    }
+    
+    /**
+     * Adım adım pipeline toggle'ını işler
+     */
+    handleStepModeToggle(event) {
+        this.yoloSimulation.setStepByStepMode(event.target.checked);
+        
+        if (!event.target.checked) {
+            this.clearDetections();
+        }
+    }
+    
+    /**
+     * Adım adım pipeline durumunu overlay'e ve kontrollere yansıtır
+     */
+    handleStepUpdate(update) {
+        const { stepperControls, stepMode, stepPrev, stepNext, stepLabel } = this.elements;
+        
+        // Senaryo (loadDemoScenario) modu kendisi de açabilir
+        this.state.stepMode = update.active;
+        if (stepMode) {
+            stepMode.checked = update.active;
+        }
+        
+        // Yeni dondurulan frame: önceki sonuçlar temizlenir
+        if (update.frozen && update.stageIndex === -1) {
+            this.clearDetections();
+        }
+        
+        this.gridManager.setStepView(update);
+        
+        if (!stepperControls) return;
+        
+        stepperControls.hidden = !update.active;
+        
+        const { stages } = update;
+        const isLast = update.frozen && update.stageIndex >= stages.length - 1;
+        
+        stepPrev.disabled = !update.frozen || update.isRunning || update.stageIndex < 0;
+        stepNext.disabled = !update.frozen || update.isRunning || isLast;
+        
+        if (!update.frozen) {
+            stepLabel.textContent = 'Frame bekleniyor...';
+        } else if (update.stage) {
+            stepLabel.textContent = `${update.stageIndex + 1}/${stages.length} ${update.stage.title}`;
+        } else {
+            stepLabel.textContent = `Frame #${update.frame.frameNumber} donduruldu`;
+        }
+    }
+    
+    /**
+     * Nesne takibi toggle'ını işler
+     */
+    handleObjectTrackingToggle(event) {
+        this.state.objectTracking = event.target.checked;
+        this.yoloSimulation.setTracking(this.state.objectTracking);
+        this.gridManager.setTracks([]);
+        this.resetTrackFlow();
+    }
+    
+    /**
+     * Track yörüngesi toggle'ını işler
+     */
+    handleTrackTrailsToggle(event) {
+        this.state.showTrackTrails = event.target.checked;
+        this.gridManager.setShowTrackTrails(this.state.showTrackTrails);
+    }
+    
+    /**
+     * Zamansal yumuşatma toggle'ını işler
+     */
+    handleTemporalSmoothingToggle(event) {
+        this.state.temporalSmoothing = event.target.checked;
+        this.yoloSimulation.setTemporalSmoothing(this.state.temporalSmoothing);
+    }
+    
+    /**
+     * Zamansal filtre yöntemi, bekletme süresi ve histerezis eşiği değişikliğini işler
+     */
+    handleSmoothingOptionsChange() {
+        this.state.smoothingMethod = this.elements.smoothingMethod.value;
+        this.state.smoothingHoldTime = parseInt(this.elements.smoothingHoldTime.value);
+        this.state.smoothingAppearRatio = parseFloat(this.elements.smoothingAppearRatio.value);
+        this.state.smoothingDisappearRatio = parseFloat(this.elements.smoothingDisappearRatio.value);
+        
+        this.yoloSimulation.setTemporalFilterOptions({
+            method: this.state.smoothingMethod,
+            holdTime: this.state.smoothingHoldTime,
+            appearRatio: this.state.smoothingAppearRatio,
+            disappearRatio: this.state.smoothingDisappearRatio
+        });
+    }
+    
+    /**
+     * Ham kutu karşılaştırma katmanı toggle'ını işler
+     */
+    handleRawDetectionsToggle(event) {
+        this.state.showRawDetections = event.target.checked;
+        this.gridManager.setShowRawDetections(this.state.showRawDetections);
+    }
+    
+    /**
+     * Anchor katmanı toggle'ını işler
+     */
+    handleAnchorsToggle(event) {
+        this.state.showAnchors = event.target.checked;
+        this.gridManager.setShowAnchors(this.state.showAnchors);
+    }
+    
+    /**
+     * Anchor seti değişikliğini işler
+     */
+    handleAnchorPresetChange(event) {
+        this.state.anchorPreset = event.target.value;
+        this.gridManager.setAnchorPreset(this.state.anchorPreset);
+    }
+    
+    /**
+     * Çok ölçekli grid modu toggle'ını işler
+     */
+    handleMultiScaleToggle(event) {
+        this.state.multiScale = event.target.checked;
+        this.gridManager.setMultiScale(this.state.multiScale);
+        
+        console.log(`🔭 Çok ölçekli grid: ${this.state.multiScale ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Tek bir ölçeğin (13/26/52) görünürlüğünü işler
+     */
+    handleScaleVisibilityToggle(event) {
+        const gridSize = parseInt(event.target.dataset.gridSize);
+        if (!gridSize) return;
+        
+        this.gridManager.setScaleVisible(gridSize, event.target.checked);
+    }
+    
+    /**
+     * Track giriş/çıkış olaylarını işler
+     */
+    handleObjectTrackEvent(event) {
+        this.state.trackFlow[event.type]++;
+        
+        if (event.type === 'enter') {
+            console.log(`➡️ Track #${event.trackId} (${event.class}) sahneye girdi`);
+        } else {
+            console.log(`⬅️ Track #${event.trackId} (${event.class}) sahneden çıktı (${(event.duration / 1000).toFixed(1)} sn)`);
+        }
+        
+        this.updateGridStatistics();
+    }
+    
+    /**
+     * Track giriş/çıkış sayaçlarını sıfırlar
+     */
+    resetTrackFlow() {
+        this.state.trackFlow = { enter: 0, exit: 0 };
+        this.updateGridStatistics();
+    }
+    
+    /**
+     * Kayıtlı kamera cihazı ve kalite tercihlerini uygular
+     */
+    async restoreCameraPreferences() {
+        const quality = this.preferences.get('videoQuality');
+        if (quality && this.elements.videoQuality &&
+            Array.from(this.elements.videoQuality.options).some(option => option.value === quality)) {
+            this.state.videoQuality = quality;
+            this.elements.videoQuality.value = quality;
+            await this.cameraHandler.setVideoQuality(quality);
+        }
+        
+        const deviceId = this.preferences.get('cameraDeviceId');
+        if (deviceId) {
+            // Cihaz artık yoksa CameraHandler başlatırken varsayılan kameraya döner
+            this.state.cameraDeviceId = deviceId;
+            await this.cameraHandler.selectCamera(deviceId);
+        }
+        
+        await this.refreshCameraDevices();
+    }
+    
+    /**
+     * Kamera cihaz listesini yeniler
+     */
+    async refreshCameraDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+        
+        const cameras = await this.cameraHandler.getCameraDevices();
+        this.updateCameraDeviceList(cameras);
+    }
+    
+    /**
+     * Kamera seçim listesini günceller
+     */
+    updateCameraDeviceList(cameras) {
+        const select = this.elements.cameraDevice;
+        if (!select) return;
+        
+        // İzin verilmeden önce cihaz ID'leri boş gelebilir
+        const available = cameras.filter(camera => camera.deviceId);
+        
+        select.innerHTML = '<option value="">Varsayılan kamera</option>';
+        available.forEach((camera, index) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Kamera ${index + 1}`;
+            select.appendChild(option);
+        });
+        
+        const activeDeviceId = this.cameraHandler.isCameraActive() ? this.cameraHandler.getActiveDeviceId() : null;
+        const selectedId = activeDeviceId || this.state.cameraDeviceId;
+        
+        if (selectedId && available.some(camera => camera.deviceId === selectedId)) {
+            select.value = selectedId;
+        } else {
+            if (this.state.cameraDeviceId && available.length > 0) {
+                console.warn('⚠️ Kayıtlı kamera bulunamadı, varsayılan kamera kullanılıyor');
+            }
+            select.value = '';
+        }
+    }
+    
+    /**
+     * Kamera cihazı seçimini işler
+     */
+    async handleCameraDeviceChange(event) {
+        const deviceId = event.target.value;
+        
+        this.state.cameraDeviceId = deviceId;
+        if (deviceId) {
+            this.preferences.set('cameraDeviceId', deviceId);
+        } else {
+            this.preferences.remove('cameraDeviceId');
+        }
+        
+        try {
+            await this.cameraHandler.selectCamera(deviceId);
+        } catch (error) {
+            console.error('❌ Kamera değiştirilemedi:', error);
+            this.showError('Seçilen kamera açılamadı.');
+        }
+    }
+    
+    /**
+     * Video kalitesi değişikliğini işler
+     */
+    async handleVideoQualityChange(event) {
+        this.state.videoQuality = event.target.value;
+        this.preferences.set('videoQuality', this.state.videoQuality);
+        
+        try {
+            await this.cameraHandler.setVideoQuality(this.state.videoQuality);
+        } catch (error) {
+            console.error('❌ Video kalitesi uygulanamadı:', error);
+            this.showError('Seçilen video kalitesiyle kamera yeniden başlatılamadı.');
+            
+            // Yeniden başlatma kamerayı kapattıysa pipeline da durdurulur
+            if (this.isRunning && !this.cameraHandler.isCameraActive()) {
+                this.stopCamera();
+            }
+        }
+    }
+    
+    /**
+     * Model girdi boyutu veya resize modu değişikliğini işler
+     */
+    handleInputSizeChange() {
+        this.yoloSimulation.setInputSize(
+            parseInt(this.elements.inputSize.value),
+            this.elements.resizeMode.value
+        );
+    }
+    
+    /**
+     * Ön işleme adımı aç/kapa işlemini işler
+     */
+    handlePreprocessStepToggle(event) {
+        const stepId = event.target.dataset.step;
+        if (!stepId) return;
+        
+        this.yoloSimulation.setPreprocessingStep(stepId, event.target.checked);
+    }
+    
+    /**
+     * Ön işleme parlaklık/kontrast değişikliğini işler
+     */
+    handleBrightnessContrastChange() {
+        this.yoloSimulation.setBrightnessContrast(
+            parseFloat(this.elements.preprocessBrightness.value),
+            parseFloat(this.elements.preprocessContrast.value)
+        );
+    }
+    
+    /**
+     * Modelin gerçek hücre tahminlerini grid'e aktarır
+     */
+    handleGridPredictions(gridPredictions) {
+        this.gridManager.setGridPredictions(gridPredictions);
+        
+        const modelGridSize = gridPredictions ? gridPredictions.gridSize : null;
+        if (modelGridSize === this.state.modelGridSize) return;
+        
+        // Yeni model: grid'i modelin S×S çıktısına eşitle (kullanıcı sonra değiştirebilir)
+        this.state.modelGridSize = modelGridSize;
+        if (!modelGridSize || modelGridSize === this.state.gridSize) return;
+        
+        const select = this.elements.gridSize;
+        if (select && !select.querySelector(`option[value="${modelGridSize}"]`)) {
+            const option = document.createElement('option');
+            option.value = modelGridSize;
+            option.textContent = `${modelGridSize}x${modelGridSize} (Model)`;
+            select.appendChild(option);
+        }
+        
+        if (select) {
+            select.value = modelGridSize;
+        }
+        
+        this.applyGridSize(modelGridSize);
+    }
+    
+    /**
+     * Kayıtlı detector backend'lerini seçim listesine ekler
+     */
+    renderBackendOptions() {
+        const select = this.elements.detectorBackend;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        getBackends().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        
+        select.value = this.state.detectorBackend;
+    }
+    
+    /**
+     * Detector backend değişikliğini işler
+     */
+    async handleDetectorBackendChange(event) {
+        this.state.detectorBackend = event.target.value;
+        
+        // Sentetik sahne kendi mock backend'ini kullanmaya devam eder
+        if (this.cameraHandler.sourceType === 'synthetic' && this.cameraHandler.isActive) {
+            return;
+        }
+        
+        await this.yoloSimulation.setBackend(this.state.detectorBackend);
+    }
+    
+    /**
+     * Sınıf filtresi senaryo listesini doldurur ('' = demo senaryosu yok)
+     */
+    renderClassFilterScenarios() {
+        const select = this.elements.classFilterScenario;
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">Serbest (tüm sınıflar)</option>';
+        Object.entries(SCENARIO_CLASS_FILTERS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Son seçilen demo senaryosunu (ve filtresini) yükler
+     */
+    restoreClassFilter() {
+        const scenarioId = this.preferences.get('classFilterScenario', '');
+        this.applyClassFilterScenario(SCENARIO_CLASS_FILTERS[scenarioId] ? scenarioId : '');
+    }
+    
+    /**
+     * Senaryo filtresinin tercih anahtarı (senaryo yoksa 'default')
+     */
+    getClassFilterKey(scenarioId) {
+        return `classFilter.${scenarioId || 'default'}`;
+    }
+    
+    /**
+     * Demo senaryosunu kayıtlı (yoksa hazır) sınıf filtresiyle yükler
+     */
+    applyClassFilterScenario(scenarioId) {
+        const saved = this.preferences.get(this.getClassFilterKey(scenarioId));
+        
+        this.state.classFilterScenario = scenarioId;
+        this.preferences.set('classFilterScenario', scenarioId);
+        
+        if (this.elements.classFilterScenario) {
+            this.elements.classFilterScenario.value = scenarioId;
+        }
+        
+        if (scenarioId) {
+            // Senaryo eşikleri, grid'i, adım modunu ve filtreyi birlikte ayarlar
+            const scenario = this.yoloSimulation.loadDemoScenario(scenarioId, { classFilter: saved });
+            
+            if (scenario.gridSize !== this.state.gridSize) {
+                this.applyGridSize(scenario.gridSize);
+                if (this.elements.gridSize) {
+                    this.elements.gridSize.value = scenario.gridSize;
+                }
+            }
+        } else {
+            this.yoloSimulation.setClassFilter(saved || createClassFilter());
+        }
+        
+        this.state.classFilter = createClassFilter(this.yoloSimulation.getClassFilter());
+        this.renderClassChips();
+    }
+    
+    /**
+     * Düzenlenen filtreyi pipeline'a uygular ve senaryo için saklar
+     */
+    commitClassFilter() {
+        this.preferences.set(this.getClassFilterKey(this.state.classFilterScenario), this.state.classFilter);
+        this.yoloSimulation.setClassFilter(this.state.classFilter);
+        this.renderClassChips();
+    }
+    
+    /**
+     * Sınıf çiplerini ve eşik sınıfı listesini çizer
+     */
+    renderClassChips() {
+        const { classChips, classThresholdClass } = this.elements;
+        if (!classChips) return;
+        
+        const { include, exclude, thresholds } = this.state.classFilter;
+        const modelClasses = this.yoloSimulation.getClassNames();
+        
+        // Senaryoda olup modelde olmayan sınıflar da gösterilir (ör. VOC'ta 'cell phone' yok)
+        const classNames = [...new Set([...modelClasses, ...include, ...exclude, ...Object.keys(thresholds)])];
+        
+        classChips.innerHTML = classNames.map(className => {
+            const stateClass = include.includes(className) ? ' class-chip--include'
+                : exclude.includes(className) ? ' class-chip--exclude' : '';
+            const missingClass = modelClasses.includes(className) ? '' : ' class-chip--missing';
+            const threshold = thresholds[className] !== undefined
+                ? `<span class="class-chip__threshold">${Math.round(thresholds[className] * 100)}%</span>`
+                : '';
+            
+            const name = escapeHTML(className);
+            
+            return `<button type="button" class="class-chip${stateClass}${missingClass}" data-class="${name}">${name}${threshold}</button>`;
+        }).join('');
+        
+        if (classThresholdClass) {
+            const selected = classThresholdClass.value;
+            classThresholdClass.innerHTML = classNames
+                .map(className => `<option value="${escapeHTML(className)}">${escapeHTML(className)}</option>`)
+                .join('');
+            classThresholdClass.value = classNames.includes(selected) ? selected : classNames[0];
+        }
+        
+        this.updateClassThresholdControls();
+    }
+    
+    /**
+     * Seçili sınıfın eşik kaydırıcısını günceller
+     */
+    updateClassThresholdControls() {
+        const { classThresholdClass, classThresholdValue, classThresholdLabel } = this.elements;
+        if (!classThresholdClass || !classThresholdValue) return;
+        
+        const className = classThresholdClass.value;
+        const threshold = getClassThreshold(this.state.classFilter, className, this.yoloSimulation.confidenceThreshold);
+        const isCustom = this.state.classFilter.thresholds[className] !== undefined;
+        
+        classThresholdValue.value = threshold;
+        
+        if (classThresholdLabel) {
+            classThresholdLabel.textContent = `${Math.round(threshold * 100)}% (${isCustom ? 'özel' : 'genel'})`;
+        }
+    }
+    
+    /**
+     * Senaryo değişikliğini işler
+     */
+    handleClassFilterScenarioChange(event) {
+        this.applyClassFilterScenario(event.target.value);
+    }
+    
+    /**
+     * Çip tıklamasını işler: nötr → izinli → engelli → nötr
+     */
+    handleClassChipClick(event) {
+        const chip = event.target.closest('[data-class]');
+        if (!chip) return;
+        
+        const className = chip.dataset.class;
+        const { include, exclude } = this.state.classFilter;
+        
+        if (include.includes(className)) {
+            include.splice(include.indexOf(className), 1);
+            exclude.push(className);
+        } else if (exclude.includes(className)) {
+            exclude.splice(exclude.indexOf(className), 1);
+        } else {
+            include.push(className);
+        }
+        
+        // Eşik kaydırıcısı son tıklanan sınıfı gösterir
+        if (this.elements.classThresholdClass) {
+            this.elements.classThresholdClass.value = className;
+        }
+        
+        this.commitClassFilter();
+    }
+    
+    /**
+     * Seçili sınıfın özel eşiğini ayarlar
+     */
+    handleClassThresholdChange(event) {
+        const className = this.elements.classThresholdClass.value;
+        if (!className) return;
+        
+        this.state.classFilter.thresholds[className] = parseFloat(event.target.value);
+        this.commitClassFilter();
+    }
+    
+    /**
+     * Seçili sınıfın özel eşiğini kaldırır (genel eşiğe döner)
+     */
+    handleClassThresholdClear() {
+        const className = this.elements.classThresholdClass.value;
+        
+        delete this.state.classFilter.thresholds[className];
+        this.commitClassFilter();
+    }
+    
+    /**
+     * Senaryodaki değişiklikleri silip hazır filtreye döner
+     */
+    handleClassFilterReset() {
+        this.preferences.remove(this.getClassFilterKey(this.state.classFilterScenario));
+        this.applyClassFilterScenario(this.state.classFilterScenario);
+    }
+    
+    /**
+     * Seçilen ONNX model dosyasını (ve isteğe bağlı sınıf listesini) yükler
+     */
+    async handleModelFileChange(event) {
+        const files = Array.from(event.target.files || []);
+        event.target.value = '';
+        
+        const modelFile = files.find(file => file.name.endsWith('.onnx'));
+        const namesFile = files.find(file => file.name.endsWith('.txt'));
+        if (!modelFile) return;
+        
+        // Sınıf listesi: satır başına bir isim
+        const classNames = namesFile
+            ? (await namesFile.text()).split(/\r?\n/).map(name => name.trim()).filter(Boolean)
+            : undefined;
+        
+        this.showLoading(`${modelFile.name} yükleniyor...`);
+        
+        const backend = await this.yoloSimulation.setBackend('yolov8-onnx', { modelFile, classNames });
+        
+        this.hideLoading();
+        
+        if (!backend) {
+            this.showError('ONNX modeli yüklenemedi. Lütfen YOLOv8/YOLO11 ONNX export dosyası seçin.');
+            return;
+        }
+        
+        this.state.detectorBackend = 'yolov8-onnx';
+        this.elements.detectorBackend.value = 'yolov8-onnx';
+    }
+    
+    /**
+     * Değerlendirme dosyalarının seçimini işler
+     */
+    handleEvaluationFilesChange(event) {
+        this.state.evaluationFiles = Array.from(event.target.files || []);
+        event.target.value = '';
+        
+        const count = this.state.evaluationFiles.length;
+        this.elements.evaluationStatus.textContent = count > 0 ? `${count} dosya seçildi` : 'Veri seçilmedi';
+        this.elements.evaluationRun.disabled = count === 0;
+    }
+    
+    /**
+     * Seçilen etiketli veriyi mevcut model ve ayarlarla işleyip metrikleri hesaplar
+     */
+    async runEvaluation() {
+        const { evaluationRun, evaluationStatus } = this.elements;
+        if (this.state.isEvaluating) return;
+        
+        if (!this.yoloSimulation.getActiveBackend()) {
+            this.showError('Değerlendirme için önce bir model yüklenmelidir.');
+            return;
+        }
+        
+        this.state.isEvaluating = true;
+        evaluationRun.disabled = true;
+        
+        try {
+            const dataset = await loadEvaluationDataset(this.state.evaluationFiles, {
+                classNames: this.yoloSimulation.getClassNames()
+            });
+            const evaluator = new DetectionEvaluator();
+            let processed = 0;
+            
+            for await (const { frameData, groundTruth } of readDatasetFrames(dataset)) {
+                const detections = await this.yoloSimulation.detectFrame(frameData);
+                evaluator.addFrame(detections, groundTruth);
+                
+                evaluationStatus.textContent = `İşleniyor: ${++processed}/${dataset.samples.length}`;
+            }
+            
+            this.state.evaluationReport = evaluator.evaluate();
+            this.renderEvaluationReport(this.state.evaluationReport);
+            
+            evaluationStatus.textContent = `${processed} frame değerlendirildi`;
+            console.log(`📐 Değerlendirme: mAP@0.5 ${(this.state.evaluationReport.map50 * 100).toFixed(1)}%`);
+            
+        } catch (error) {
+            console.error('❌ Değerlendirme hatası:', error);
+            evaluationStatus.textContent = `❌ ${error.message}`;
+        } finally {
+            this.state.isEvaluating = false;
+            evaluationRun.disabled = this.state.evaluationFiles.length === 0;
+        }
+    }
+    
+    /**
+     * Değerlendirme raporunu (özet, sınıf tablosu, PR eğrileri, confusion matrix) gösterir
+     */
+    renderEvaluationReport(report) {
+        const { evaluationResults, evaluationSummary, evaluationTable, confusionMatrix } = this.elements;
+        if (!evaluationResults) return;
+        
+        const percent = value => value === null ? '–' : `${(value * 100).toFixed(1)}`;
+        const { confidenceThreshold, iouThreshold, nmsMethod } = this.yoloSimulation;
+        
+        evaluationResults.hidden = false;
+        evaluationSummary.innerHTML = `
+            <strong>mAP@0.5:</strong> ${percent(report.map50)}%
+            <strong>mAP@[.5:.95]:</strong> ${percent(report.map5095)}%
+            <span class="evaluation-summary__settings">conf ${confidenceThreshold.toFixed(2)} · IoU ${iouThreshold.toFixed(2)} · ${nmsMethod}</span>
+        `;
+        
+        const rows = Object.entries(report.classes).map(([className, metrics]) => `
+            <tr>
+                <td>${className}</td>
+                <td>${metrics.gtCount}</td>
+                <td>${percent(metrics.precision)}</td>
+                <td>${percent(metrics.recall)}</td>
+                <td>${percent(metrics.ap50)}</td>
+                <td>${percent(metrics.ap5095)}</td>
+            </tr>
+        `).join('');
+        
+        evaluationTable.innerHTML = `
+            <thead><tr><th>Sınıf</th><th>GT</th><th>P</th><th>R</th><th>AP50</th><th>AP50-95</th></tr></thead>
+            <tbody>${rows}</tbody>
+        `;
+        
+        // Satır: gerçek sınıf, sütun: tahmin; renk yoğunluğu satır içi orana göre
+        const { labels, matrix } = report.confusionMatrix;
+        const header = labels.map(label => `<th title="${label}">${label}</th>`).join('');
+        const body = matrix.map((row, rowIndex) => {
+            const rowTotal = row.reduce((sum, count) => sum + count, 0);
+            const cells = row.map((count, columnIndex) => {
+                const ratio = rowTotal > 0 ? count / rowTotal : 0;
+                const diagonalClass = rowIndex === columnIndex ? ' confusion-matrix__cell--diagonal' : '';
+                return `<td class="confusion-matrix__cell${diagonalClass}" style="--ratio: ${ratio.toFixed(2)}">${count || ''}</td>`;
+            }).join('');
+            
+            return `<tr><th title="${labels[rowIndex]}">${labels[rowIndex]}</th>${cells}</tr>`;
+        }).join('');
+        
+        confusionMatrix.innerHTML = `
+            <thead><tr><th>Gerçek ↓ / Tahmin →</th>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        `;
+        
+        this.drawPRCurves(report);
+    }
+    
+    /**
+     * Sınıf bazlı PR eğrilerini (IoU 0.5) canvas'a çizer
+     */
+    drawPRCurves(report) {
+        const canvas = this.elements.evaluationPRCurve;
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 28;
+        const plotWidth = width - padding * 1.5;
+        const plotHeight = height - padding * 1.5;
+        const toX = recall => padding + recall * plotWidth;
+        const toY = precision => height - padding - precision * plotHeight;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // Eksenler
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(toX(0), toY(1), plotWidth, plotHeight);
+        
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('Recall', toX(0.5), height - 6);
+        ctx.fillText('1', toX(1), height - padding + 12);
+        ctx.fillText('0', toX(0), height - padding + 12);
+        ctx.save();
+        ctx.translate(10, toY(0.5));
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Precision', 0, 0);
+        ctx.restore();
+        
+        // Etiketi olan her sınıf için eğri
+        Object.entries(report.classes).forEach(([className, metrics]) => {
+            if (metrics.ap50 === null || metrics.prCurve.length === 0) return;
+            
+            ctx.strokeStyle = this.gridManager.getDetectionColor(className);
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(toX(0), toY(metrics.prCurve[0].precision));
+            metrics.prCurve.forEach(({ recall, precision }) => ctx.lineTo(toX(recall), toY(precision)));
+            ctx.stroke();
+        });
+    }
+    
+    /**
+     * Seçilen klasörü model/kütüphane kaynağı yapar ve aktif modeli oradan yeniden yükler
+     */
+    async handleModelFolderChange(event) {
+        const files = event.target.files;
+        if (!files || files.length === 0) return;
+        
+        await this.yoloSimulation.setAssetFolder(files);
+        event.target.value = '';
+        
+        await this.yoloSimulation.reloadModel();
+    }
+    
+    /**
+     * Model yükleme ilerleme çubuğunu günceller
+     */
+    updateModelLoadProgress({ isLoading, progress, error }) {
+        const { modelLoadProgress, modelLoadBar, modelLoadText } = this.elements;
+        if (!modelLoadProgress) return;
+        
+        if (!isLoading) {
+            modelLoadProgress.hidden = !error;
+            if (error && modelLoadText) {
+                modelLoadText.textContent = `❌ ${error}`;
+            }
+            return;
+        }
+        
+        modelLoadProgress.hidden = false;
+        if (!progress) {
+            modelLoadBar.style.width = '0%';
+            modelLoadText.textContent = 'Model yükleniyor...';
+            return;
+        }
+        
+        const { loaded, total, source } = progress;
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+        const sourceLabels = { folder: 'klasör', cache: 'önbellek', network: 'ağ' };
+        
+        modelLoadBar.style.width = `${percent}%`;
+        modelLoadText.textContent = `${this.formatBytes(loaded)} / ${this.formatBytes(total)} (${sourceLabels[source] || source})`;
+    }
+    
+    /**
+     * Byte sayısını okunabilir biçime çevirir
+     */
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    
+    /**
+     * Frame scheduler politikası, kuyruk uzunluğu ve hız sınırı değişikliğini işler
+     */
+    handleSchedulerPolicyChange() {
+        this.state.schedulerPolicy = this.elements.schedulerPolicy.value;
+        this.state.schedulerQueueSize = parseInt(this.elements.schedulerQueueSize.value);
+        this.state.schedulerMaxFps = parseFloat(this.elements.schedulerMaxFps.value);
+        
+        this.frameScheduler.setPolicy(this.state.schedulerPolicy, {
+            queueSize: this.state.schedulerQueueSize,
+            maxInferenceFps: this.state.schedulerMaxFps
+        });
+        this.updateSchedulerStatistics(this.frameScheduler.getStats());
+    }
+    
+    /**
+     * UI state değişikliğini işler
+     */
+    handleUIStateChange(stateChange) {
+        Object.assign(this.state, stateChange);
+        this.updateUI();
+    }
+    
+    /**
+     * Keyboard shortcut'ları işler
+     */
+    handleKeyboard(event) {
+        if (event.ctrlKey || event.metaKey) {
+            switch (event.key) {
+                case ' ':
+                    event.preventDefault();
+                    if (this.isRunning) {
+                        this.stopCamera();
+                    } else {
+                        this.startCamera();
+                    }
+                    break;
+                    
+                case 't':
+                    event.preventDefault();
+                    this.toggleTutorialMode();
+                    break;
+                    
+                case 'ArrowRight':
+                    if (this.state.stepMode) {
+                        event.preventDefault();
+                        this.yoloSimulation.nextStep();
+                    }
+                    break;
+                    
+                case 'ArrowLeft':
+                    if (this.state.stepMode) {
+                        event.preventDefault();
+                        this.yoloSimulation.previousStep();
+                    }
+                    break;
+                    
+                case '1':
+                case '2':
+                case '3':
+                    event.preventDefault();
+                    const gridSizes = [7, 13, 19];
+                    const index = parseInt(event.key) - 1;
+                    if (gridSizes[index]) {
+                        this.elements.gridSize.value = gridSizes[index];
+                        this.handleGridSizeChange({target: {value: gridSizes[index]}});
+                    }
+                    break;
+            }
+        }
+    }
+    
+    /**
+     * Sayfa gizlenince/kapanınca oturum günlüğünün bekleyen kayıtlarını yazar
+     */
+    handlePageHide(event) {
+        if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+        
+        if (this.sessionLog && this.sessionLog.isActive()) {
+            this.sessionLog.flush();
+        }
+    }
+    
+    /**
+     * Window resize'ı işler
+     */
+    handleWindowResize() {
+        // Grid'i yeniden boyutlandır
+        if (this.gridManager) {
+            this.gridManager.resize();
+        }
+        
+        // Camera'yı yeniden ayarla
+        if (this.cameraHandler && this.isRunning) {
+            this.cameraHandler.resize();
+        }
+    }
+    
+    /**
+     * Tutorial modunu toggle eder
+     */
+    toggleTutorialMode() {
+        this.state.tutorialMode = !this.state.tutorialMode;
+        
+        const tutorialSection = this.elements.tutorialSection;
+        if (tutorialSection) {
+            if (this.state.tutorialMode) {
+                tutorialSection.style.display = 'block';
+                tutorialSection.classList.add('animate-fadeIn');
+                this.loadTutorialStep(0);
+            } else {
+                tutorialSection.classList.add('animate-fadeOut');
+                setTimeout(() => {
+                    tutorialSection.style.display = 'none';
+                    tutorialSection.classList.remove('animate-fadeOut');
+                }, 400);
+            }
+        }
+        
+        console.log(`🎓 Tutorial modu: ${this.state.tutorialMode ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Tutorial adımlarını yönetir
+     */
+    loadTutorialStep(stepIndex) {
+        // Tutorial steps component'e yönlendir
+        if (this.uiComponents) {
+            this.uiComponents.loadTutorialStep(stepIndex);
+        }
+    }
+    
+    nextTutorialStep() {
+        if (this.state.currentStep < 4) {
+            this.state.currentStep++;
+            this.loadTutorialStep(this.state.currentStep);
+        }
+    }
+    
+    previousTutorialStep() {
         if (this.state.currentStep > 0) {
             this.state.currentStep--;
             this.loadTutorialStep(this.state.currentStep);
@@ -525,6 +2300,82 @@ class YOLOGridApp {
         if (this.elements.stopCamera) {
             this.elements.stopCamera.disabled = !isRunning;
         }
+        
+        if (this.elements.startScreen && this.cameraHandler) {
+            this.elements.startScreen.disabled = !this.cameraHandler.isScreenCaptureSupported();
+        }
+        
+        if (this.sessionRecorder) {
+            this.updateRecorderControls(this.sessionRecorder.state);
+        }
+        
+        if (this.datasetCapture) {
+            this.updateDatasetControls();
+        }
+    }
+    
+    updateMediaControls(playback) {
+        const { mediaControls, mediaPrev, mediaNext, mediaPlayPause, mediaSeek, mediaTime } = this.elements;
+        if (!mediaControls) return;
+        
+        const isFileSource = this.isRunning && ['video', 'image'].includes(playback.sourceType);
+        mediaControls.hidden = !isFileSource;
+        if (!isFileSource) return;
+        
+        const isVideo = playback.sourceType === 'video';
+        const hasMultipleImages = playback.sourceType === 'image' && playback.imageCount > 1;
+        
+        mediaPlayPause.hidden = !isVideo;
+        mediaSeek.hidden = !isVideo;
+        mediaPrev.hidden = !hasMultipleImages;
+        mediaNext.hidden = !hasMultipleImages;
+        
+        if (isVideo) {
+            mediaPlayPause.textContent = playback.paused ? '▶️' : '⏸️';
+            mediaSeek.max = playback.duration;
+            mediaSeek.value = playback.currentTime;
+            mediaTime.textContent = `${this.formatTime(playback.currentTime)} / ${this.formatTime(playback.duration)}`;
+        } else {
+            mediaTime.textContent = `${playback.imageIndex + 1} / ${playback.imageCount}`;
+        }
+    }
+    
+    updateRecorderControls(recorderState) {
+        const { recordStart, recordPause, recordStop, recordLimit } = this.elements;
+        if (!recordStart) return;
+        
+        const isRecording = recorderState !== 'inactive';
+        
+        recordStart.disabled = isRecording || !this.isRunning;
+        recordPause.disabled = !isRecording;
+        recordStop.disabled = !isRecording;
+        recordLimit.disabled = isRecording;
+        recordPause.textContent = recorderState === 'paused' ? '▶️ Devam' : '⏸️ Duraklat';
+        
+        if (recorderState === 'inactive') {
+            this.updateRecordTime(0);
+        }
+    }
+    
+    updateDatasetControls() {
+        const { exportFrame, datasetCapture, exportSession, datasetCount } = this.elements;
+        if (!datasetCapture) return;
+        
+        const { isCapturing, frames, maxFrames } = this.datasetCapture;
+        
+        exportFrame.disabled = !this.isRunning;
+        datasetCapture.disabled = !isCapturing && (!this.isRunning || frames.length >= maxFrames);
+        datasetCapture.textContent = isCapturing ? '⏹️ Durdur' : '📸 Topla';
+        exportSession.disabled = isCapturing || frames.length === 0;
+        datasetCount.textContent = `${frames.length} frame`;
+    }
+    
+    updateRecordTime(elapsed, timeLimit = 0) {
+        if (!this.elements.recordTime) return;
+        
+        this.elements.recordTime.textContent = timeLimit > 0
+            ? `${this.formatTime(elapsed)} / ${this.formatTime(timeLimit)}`
+            : this.formatTime(elapsed);
     }
     
     updateDetectionResults(detections) {
@@ -538,7 +2389,7 @@ class YOLOGridApp {
         
         const resultsHTML = detections.map(detection => `
             <div class="detection-item">
-                <span class="detection-name">${detection.class}</span>
+                <span class="detection-name">${detection.trackId ? `#${detection.trackId} ` : ''}${detection.class}</span>
                 <span class="detection-confidence">${Math.round(detection.score * 100)}%</span>
             </div>
         `).join('');
@@ -556,6 +2407,24 @@ class YOLOGridApp {
         if (this.elements.detectionCount) {
             this.elements.detectionCount.textContent = this.state.detections.length;
         }
+        
+        if (this.elements.activeTracks) {
+            this.elements.activeTracks.textContent = this.yoloSimulation ? this.yoloSimulation.getTracks().length : 0;
+        }
+        
+        if (this.elements.trackFlow) {
+            this.elements.trackFlow.textContent = `${this.state.trackFlow.enter} / ${this.state.trackFlow.exit}`;
+        }
+    }
+    
+    updateSchedulerStatistics(stats) {
+        if (this.elements.processedFrames) {
+            this.elements.processedFrames.textContent = stats.processed;
+        }
+        
+        if (this.elements.droppedFrames) {
+            this.elements.droppedFrames.textContent = stats.dropped;
+        }
     }
     
     updatePerformanceMetrics(processTime) {
@@ -582,6 +2451,50 @@ class YOLOGridApp {
         }
     }
     
+    updatePreprocessPreview(preprocessed) {
+        const preview = this.elements.preprocessPreview;
+        if (!preview) return;
+        
+        const { canvas, inputWidth, inputHeight, scaleX, scaleY, padX, padY, tensor } = preprocessed;
+        
+        if (preview.width !== inputWidth || preview.height !== inputHeight) {
+            preview.width = inputWidth;
+            preview.height = inputHeight;
+        }
+        
+        // Modele verilen görüntünün birebir kopyası
+        preview.getContext('2d').drawImage(canvas, 0, 0);
+        
+        if (this.elements.preprocessInfo) {
+            const scale = scaleX === scaleY ? scaleX.toFixed(3) : `${scaleX.toFixed(3)}×${scaleY.toFixed(3)}`;
+            const tensorInfo = tensor
+                ? ` · tensör [${tensor.shape.join(', ')}] ort. ${tensor.mean.toFixed(3)}`
+                : '';
+            
+            this.elements.preprocessInfo.textContent =
+                `${inputWidth}×${inputHeight} · ölçek ${scale} · pad ${padX},${padY}${tensorInfo}`;
+        }
+    }
+    
+    formatTime(seconds) {
+        const totalSeconds = Math.floor(seconds || 0);
+        const minutes = Math.floor(totalSeconds / 60);
+        const secs = totalSeconds % 60;
+        
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+    
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
     showWelcomeAnimation() {
         // Header animasyonu
         const header = document.querySelector('.header');
@@ -621,6 +2534,11 @@ class YOLOGridApp {
             this.stopCamera();
         }
         
+        this.sessionReplay.stop();
+        
+        // Inference worker'ını ve yüklü modelleri kapat
+        this.yoloSimulation.cleanup();
+        
         // Event listener'ları temizle
         this.eventListeners.forEach(({element, event, handler}) => {
             element.removeEventListener(event, handler);
@@ -0,0 +1,150 @@
+/**
+ * Motion Detector - Hücre Bazlı Hareket Analizi
+ * 
+ * Bu modül ardışık frame'ler arasındaki farkı grid hücrelerine göre ölçer:
+ * - Küçültülmüş gri tonlu frame farkı
+ * - GridManager hücreleriyle hizalı hareket enerjisi haritası
+ * - Statik frame'lerde inferansı atlamak için hareket kararı
+ * - Son hareketli frame'in zamanı (scheduler'ın attığı frame'lerdeki hareket de kaybolmaz)
+ */
+
+export class MotionDetector {
+    constructor(options = {}) {
+        this.gridSize = options.gridSize || 13;
+        
+        // Analiz çözünürlüğü (performans için küçültülmüş frame)
+        this.sampleWidth = options.sampleWidth || 160;
+        
+        // Eşikler
+        this.pixelThreshold = options.pixelThreshold || 25; // 0-255 gri ton farkı
+        this.cellThreshold = options.cellThreshold || 0.05; // Hücrede değişen piksel oranı
+        this.minActiveCells = options.minActiveCells || 1;
+        
+        // Analiz canvas'ı
+        this.sampleCanvas = document.createElement('canvas');
+        this.sampleContext = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        
+        // Önceki frame (gri ton)
+        this.previousGray = null;
+        this.lastResult = null;
+        this.lastMotionTimestamp = -Infinity;
+    }
+    
+    /**
+     * Frame'i analiz eder ve hücre bazlı hareket haritasını döndürür
+     */
+    analyze(frameData) {
+        const { canvas, width, height } = frameData;
+        
+        const sampleWidth = Math.min(this.sampleWidth, width);
+        const sampleHeight = Math.max(1, Math.round(height * sampleWidth / width));
+        
+        if (this.sampleCanvas.width !== sampleWidth || this.sampleCanvas.height !== sampleHeight) {
+            this.sampleCanvas.width = sampleWidth;
+            this.sampleCanvas.height = sampleHeight;
+            this.previousGray = null;
+        }
+        
+        this.sampleContext.drawImage(canvas, 0, 0, sampleWidth, sampleHeight);
+        const { data } = this.sampleContext.getImageData(0, 0, sampleWidth, sampleHeight);
+        
+        const gray = new Uint8Array(sampleWidth * sampleHeight);
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            gray[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+        }
+        
+        const cellCount = this.gridSize * this.gridSize;
+        const cells = new Float32Array(cellCount);
+        
+        // İlk frame: karşılaştırılacak frame yok, inferans çalışsın
+        if (!this.previousGray) {
+            this.previousGray = gray;
+            this.lastMotionTimestamp = frameData.timestamp;
+            this.lastResult = this.createResult(cells, 0, 0, true, frameData.timestamp);
+            return this.lastResult;
+        }
+        
+        const changed = new Uint32Array(cellCount);
+        const totals = new Uint32Array(cellCount);
+        let changedPixels = 0;
+        
+        for (let y = 0; y < sampleHeight; y++) {
+            const row = Math.min(this.gridSize - 1, Math.floor(y * this.gridSize / sampleHeight));
+            
+            for (let x = 0; x < sampleWidth; x++) {
+                const col = Math.min(this.gridSize - 1, Math.floor(x * this.gridSize / sampleWidth));
+                const cellIndex = row * this.gridSize + col;
+                const p = y * sampleWidth + x;
+                
+                totals[cellIndex]++;
+                
+                if (Math.abs(gray[p] - this.previousGray[p]) > this.pixelThreshold) {
+                    changed[cellIndex]++;
+                    changedPixels++;
+                }
+            }
+        }
+        
+        let activeCells = 0;
+        for (let i = 0; i < cellCount; i++) {
+            cells[i] = totals[i] > 0 ? changed[i] / totals[i] : 0;
+            if (cells[i] >= this.cellThreshold) {
+                activeCells++;
+            }
+        }
+        
+        this.previousGray = gray;
+        
+        const globalEnergy = changedPixels / gray.length;
+        const hasMotion = activeCells >= this.minActiveCells;
+        
+        if (hasMotion) {
+            this.lastMotionTimestamp = frameData.timestamp;
+        }
+        
+        this.lastResult = this.createResult(cells, activeCells, globalEnergy, hasMotion, frameData.timestamp);
+        return this.lastResult;
+    }
+    
+    /**
+     * Analiz sonucu objesi oluşturur
+     */
+    createResult(cells, activeCells, globalEnergy, hasMotion, timestamp) {
+        return {
+            gridSize: this.gridSize,
+            cells: cells,
+            activeCells: activeCells,
+            globalEnergy: globalEnergy,
+            hasMotion: hasMotion,
+            cellThreshold: this.cellThreshold,
+            timestamp: timestamp,
+            lastMotionTimestamp: this.lastMotionTimestamp // Bu frame dahil son hareketli frame
+        };
+    }
+    
+    /**
+     * Grid boyutunu değiştirir (hareket haritası GridManager ile hizalı kalır)
+     */
+    setGridSize(size) {
+        this.gridSize = size;
+        this.lastResult = null;
+    }
+    
+    /**
+     * Hassasiyet eşiklerini ayarlar
+     */
+    setThresholds({ pixelThreshold, cellThreshold, minActiveCells } = {}) {
+        if (pixelThreshold !== undefined) this.pixelThreshold = pixelThreshold;
+        if (cellThreshold !== undefined) this.cellThreshold = cellThreshold;
+        if (minActiveCells !== undefined) this.minActiveCells = minActiveCells;
+    }
+    
+    /**
+     * Önceki frame'i unutur
+     */
+    reset() {
+        this.previousGray = null;
+        this.lastResult = null;
+        this.lastMotionTimestamp = -Infinity;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Multi-Scale - YOLOv3 Tarzı Çok Ölçekli Grid'ler (13/26/52)
+ * 
+ * FPN tabanlı YOLO sürümlerinin üç çıkış başlığını tanımlar:
+ * - P5 (13×13, stride 32): büyük nesneler
+ * - P4 (26×26, stride 16): orta boy nesneler
+ * - P3 (52×52, stride 8): küçük nesneler
+ * - Her nesne, şekil IoU'su en yüksek anchor'ın bulunduğu ölçeğe atanır (YOLOv3 eşlemesi)
+ */
+
+import { calculateShapeIoU } from './anchors.js';
+
+/**
+ * YOLOv3 anchor'ları (416×416 girdi pikseli, ölçek başına 3 anchor)
+ */
+export const YOLO_V3_ANCHORS = {
+    13: [[116, 90], [156, 198], [373, 326]],
+    26: [[30, 61], [62, 45], [59, 119]],
+    52: [[10, 13], [16, 30], [33, 23]]
+};
+
+export const MULTI_SCALE_LEVELS = [
+    { gridSize: 13, stride: 32, name: 'P5', color: 'rgba(220, 53, 69, 1)' },
+    { gridSize: 26, stride: 16, name: 'P4', color: 'rgba(40, 167, 69, 1)' },
+    { gridSize: 52, stride: 8, name: 'P3', color: 'rgba(0, 123, 255, 1)' }
+];
+
+/**
+ * Detection'ı nesne boyutuna göre bir ölçeğe atar (bbox görüntü pikseli)
+ */
+export function assignScale(bbox, { width, height, inputSize = 416 }) {
+    const [x, y, boxWidth, boxHeight] = bbox;
+    
+    // Kutu boyutu model girdisi pikseline (anchor'ların birimi)
+    const size = [boxWidth * inputSize / width, boxHeight * inputSize / height];
+    
+    let best = null;
+    
+    MULTI_SCALE_LEVELS.forEach(level => {
+        YOLO_V3_ANCHORS[level.gridSize].forEach((anchor, anchorIndex) => {
+            const iou = calculateShapeIoU(anchor, size);
+            
+            if (!best || iou > best.iou) {
+                best = { level: level, anchorIndex: anchorIndex, iou: iou };
+            }
+        });
+    });
+    
+    // Seçilen ölçekte merkezin düştüğü hücre
+    const { gridSize } = best.level;
+    const col = Math.min(gridSize - 1, Math.max(0, Math.floor((x + boxWidth / 2) / width * gridSize)));
+    const row = Math.min(gridSize - 1, Math.max(0, Math.floor((y + boxHeight / 2) / height * gridSize)));
+    
+    return { ...best, row: row, col: col };
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * NMS - Non-Maximum Suppression Algoritmaları
+ * 
+ * Bu modül örtüşen aday kutuları eler veya skorlarını düşürür:
+ * - Klasik açgözlü NMS (sınıftan bağımsız) ve sınıf bazlı NMS
+ * - Soft-NMS (doğrusal / gaussian skor azaltma)
+ * - DIoU-NMS (merkez uzaklığı cezalı IoU)
+ * - NMS kapalı (tüm adaylar)
+ * 
+ * Elenen kutular, onları eleyen kutu ve IoU değeriyle birlikte döndürülür.
+ */
+
+export const NMS_METHODS = {
+    'class-aware': 'Sınıf bazlı NMS (farklı sınıflar birbirini elemez)',
+    'greedy': 'Klasik NMS (sınıftan bağımsız)',
+    'soft-linear': 'Soft-NMS (doğrusal skor azaltma)',
+    'soft-gaussian': 'Soft-NMS (gaussian skor azaltma)',
+    'diou': 'DIoU-NMS (merkez uzaklığı cezalı)',
+    'none': 'NMS kapalı'
+};
+
+/**
+ * Intersection over Union ([x, y, w, h] kutuları)
+ */
+export function calculateIoU(bbox1, bbox2) {
+    const [x1, y1, w1, h1] = bbox1;
+    const [x2, y2, w2, h2] = bbox2;
+    
+    const intersectWidth = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+    const intersectHeight = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+    const intersectArea = intersectWidth * intersectHeight;
+    const unionArea = w1 * h1 + w2 * h2 - intersectArea;
+    
+    return unionArea > 0 ? intersectArea / unionArea : 0;
+}
+
+/**
+ * Distance-IoU: IoU - (merkezler arası uzaklık² / kapsayan kutunun köşegeni²)
+ */
+export function calculateDIoU(bbox1, bbox2) {
+    const [x1, y1, w1, h1] = bbox1;
+    const [x2, y2, w2, h2] = bbox2;
+    
+    const centerDistance = (x1 + w1 / 2 - x2 - w2 / 2) ** 2 + (y1 + h1 / 2 - y2 - h2 / 2) ** 2;
+    
+    const enclosingWidth = Math.max(x1 + w1, x2 + w2) - Math.min(x1, x2);
+    const enclosingHeight = Math.max(y1 + h1, y2 + h2) - Math.min(y1, y2);
+    const diagonal = enclosingWidth ** 2 + enclosingHeight ** 2;
+    
+    return calculateIoU(bbox1, bbox2) - (diagonal > 0 ? centerDistance / diagonal : 0);
+}
+
+/**
+ * Seçilen yöntemle NMS uygular: { kept, suppressed }
+ * 
+ * Elenen her kutu `suppressedBy` (eleyen kutu) ve `suppressionIoU` alanlarını taşır.
+ * `scoreThreshold` sayı ya da detection başına eşik döndüren fonksiyon olabilir (Soft-NMS).
+ */
+export function applyNMS(detections, options = {}) {
+    const {
+        method = 'class-aware',
+        iouThreshold = 0.5,
+        scoreThreshold = 0,
+        sigma = 0.5
+    } = options;
+    
+    if (method === 'none' || detections.length === 0) {
+        return { kept: detections.slice(), suppressed: [] };
+    }
+    
+    // Klasik NMS tüm sınıfları birlikte işler, diğerleri her sınıfı ayrı
+    const groups = method === 'greedy' ? [detections] : groupByClass(detections);
+    const kept = [];
+    const suppressed = [];
+    
+    groups.forEach(group => {
+        const result = method.startsWith('soft-')
+            ? softSuppress(group, { iouThreshold, scoreThreshold, sigma, gaussian: method === 'soft-gaussian' })
+            : hardSuppress(group, { iouThreshold, overlap: method === 'diou' ? calculateDIoU : calculateIoU });
+        
+        kept.push(...result.kept);
+        suppressed.push(...result.suppressed);
+    });
+    
+    kept.sort((a, b) => b.score - a.score);
+    
+    return { kept, suppressed };
+}
+
+/**
+ * Detection'ları sınıflarına göre gruplar
+ */
+function groupByClass(detections) {
+    const groups = new Map();
+    
+    detections.forEach(detection => {
+        if (!groups.has(detection.class)) {
+            groups.set(detection.class, []);
+        }
+        groups.get(detection.class).push(detection);
+    });
+    
+    return [...groups.values()];
+}
+
+/**
+ * Açgözlü NMS: eşiği aşan örtüşmeler tamamen elenir
+ */
+function hardSuppress(detections, { iouThreshold, overlap }) {
+    const candidates = detections.slice().sort((a, b) => b.score - a.score);
+    const kept = [];
+    const suppressed = [];
+    
+    candidates.forEach(candidate => {
+        let suppressor = null;
+        let suppressionIoU = 0;
+        
+        for (const keeper of kept) {
+            const value = overlap(keeper.bbox, candidate.bbox);
+            if (value > iouThreshold) {
+                suppressor = keeper;
+                suppressionIoU = value;
+                break;
+            }
+        }
+        
+        if (suppressor) {
+            suppressed.push(createSuppressed(candidate, suppressor, suppressionIoU));
+        } else {
+            kept.push(candidate);
+        }
+    });
+    
+    return { kept, suppressed };
+}
+
+/**
+ * Soft-NMS: örtüşen kutuların skoru düşürülür, eşiğin altına inenler elenir
+ */
+function softSuppress(detections, { iouThreshold, scoreThreshold, sigma, gaussian }) {
+    const getThreshold = typeof scoreThreshold === 'function' ? scoreThreshold : () => scoreThreshold;
+    const pool = detections.map(detection => ({ ...detection, originalScore: detection.score }));
+    const kept = [];
+    const suppressed = [];
+    
+    while (pool.length > 0) {
+        // En yüksek (azaltılmış) skorlu kutu seçilir
+        let bestIndex = 0;
+        for (let i = 1; i < pool.length; i++) {
+            if (pool[i].score > pool[bestIndex].score) bestIndex = i;
+        }
+        
+        const keeper = pool.splice(bestIndex, 1)[0];
+        kept.push(keeper);
+        
+        for (let i = pool.length - 1; i >= 0; i--) {
+            const iou = calculateIoU(keeper.bbox, pool[i].bbox);
+            
+            // Örtüşmeyen kutunun skoru değişmez, eleme de yapılmaz
+            const decays = gaussian ? iou > 0 : iou > iouThreshold;
+            if (!decays) continue;
+            
+            pool[i].score *= gaussian ? Math.exp(-(iou * iou) / sigma) : 1 - iou;
+            
+            if (pool[i].score < getThreshold(pool[i])) {
+                suppressed.push(createSuppressed(pool[i], keeper, iou));
+                pool.splice(i, 1);
+            }
+        }
+    }
+    
+    return { kept, suppressed };
+}
+
+/**
+ * Elenen kutuyu eleme bilgisiyle işaretler
+ */
+function createSuppressed(detection, suppressor, suppressionIoU) {
+    return {
+        ...detection,
+        suppressedBy: {
+            class: suppressor.class,
+            score: suppressor.score,
+            bbox: suppressor.bbox
+        },
+        suppressionIoU: suppressionIoU
+    };
+}
\ No newline at end of file
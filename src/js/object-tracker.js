@@ -0,0 +1,360 @@
+/**
+ * Object Tracker - SORT Tarzı Çoklu Nesne Takibi
+ * 
+ * NMS sonrası detection'lara frame'ler arası kalıcı kimlik verir:
+ * - Her track için sabit hızlı Kalman filtresi ([cx, cy, alan, en-boy] + hızlar)
+ * - Tahmin edilen kutularla IoU eşleme (varsayılan olarak aynı sınıf içinde)
+ * - minHits eşleşmeden sonra onaylanan track için 'enter', kaybolunca 'exit' olayı
+ * - Kısa merkez noktası geçmişi (trail) ile yörünge çizimi
+ */
+
+/**
+ * Küçük yoğun matris yardımcıları (7x7 Kalman için yeterli)
+ */
+function multiply(a, b) {
+    return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+}
+
+function transpose(a) {
+    return a[0].map((_, j) => a.map(row => row[j]));
+}
+
+function add(a, b) {
+    return a.map((row, i) => row.map((value, j) => value + b[i][j]));
+}
+
+function subtract(a, b) {
+    return a.map((row, i) => row.map((value, j) => value - b[i][j]));
+}
+
+function identity(size) {
+    return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+}
+
+function diagonal(values) {
+    return values.map((value, i) => values.map((_, j) => (i === j ? value : 0)));
+}
+
+/**
+ * Gauss-Jordan ile matris tersi (kovaryans matrisleri için)
+ */
+function invert(a) {
+    const size = a.length;
+    const m = a.map((row, i) => [...row, ...identity(size)[i]]);
+    
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        
+        const divisor = m[col][col] || 1e-9;
+        for (let j = 0; j < size * 2; j++) m[col][j] /= divisor;
+        
+        for (let row = 0; row < size; row++) {
+            if (row === col) continue;
+            const factor = m[row][col];
+            for (let j = 0; j < size * 2; j++) m[row][j] -= factor * m[col][j];
+        }
+    }
+    
+    return m.map(row => row.slice(size));
+}
+
+/**
+ * [x, y, w, h] kutusunu ölçüm vektörüne çevirir: [cx, cy, alan, en-boy]
+ */
+function bboxToMeasurement([x, y, w, h]) {
+    return [[x + w / 2], [y + h / 2], [w * h], [w / Math.max(h, 1e-6)]];
+}
+
+/**
+ * Durum vektöründen [x, y, w, h] kutusu üretir
+ */
+function stateToBbox(state) {
+    const area = Math.max(state[2][0], 1e-6);
+    const ratio = Math.max(state[3][0], 1e-6);
+    const w = Math.sqrt(area * ratio);
+    const h = area / w;
+    
+    return [state[0][0] - w / 2, state[1][0] - h / 2, w, h];
+}
+
+/**
+ * Intersection over Union ([x, y, w, h] kutuları)
+ */
+function calculateIoU([x1, y1, w1, h1], [x2, y2, w2, h2]) {
+    const intersectWidth = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+    const intersectHeight = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+    const intersectArea = intersectWidth * intersectHeight;
+    const unionArea = w1 * h1 + w2 * h2 - intersectArea;
+    
+    return unionArea > 0 ? intersectArea / unionArea : 0;
+}
+
+/**
+ * Tek kutu için sabit hızlı Kalman filtresi (SORT parametreleri)
+ */
+class KalmanBoxFilter {
+    constructor(bbox) {
+        // Durum: [cx, cy, s, r, vcx, vcy, vs]; en-boy oranı sabit kabul edilir
+        this.F = identity(7);
+        this.F[0][4] = 1;
+        this.F[1][5] = 1;
+        this.F[2][6] = 1;
+        
+        this.H = identity(7).slice(0, 4);
+        this.R = diagonal([1, 1, 10, 10]);
+        this.Q = diagonal([1, 1, 1, 1, 0.01, 0.01, 0.0001]);
+        
+        // Başlangıç hızları bilinmediği için yüksek belirsizlik
+        this.P = diagonal([10, 10, 10, 10, 10000, 10000, 10000]);
+        this.x = [...bboxToMeasurement(bbox), [0], [0], [0]];
+    }
+    
+    /**
+     * Bir zaman adımı ileri tahmin eder
+     */
+    predict() {
+        // Alan negatife düşmesin
+        if (this.x[2][0] + this.x[6][0] <= 0) {
+            this.x[6][0] = 0;
+        }
+        
+        this.x = multiply(this.F, this.x);
+        this.P = add(multiply(multiply(this.F, this.P), transpose(this.F)), this.Q);
+        
+        return stateToBbox(this.x);
+    }
+    
+    /**
+     * Ölçülen kutuyla durumu düzeltir
+     */
+    update(bbox) {
+        const z = bboxToMeasurement(bbox);
+        const Ht = transpose(this.H);
+        
+        const y = subtract(z, multiply(this.H, this.x));
+        const S = add(multiply(multiply(this.H, this.P), Ht), this.R);
+        const K = multiply(multiply(this.P, Ht), invert(S));
+        
+        this.x = add(this.x, multiply(K, y));
+        this.P = multiply(subtract(identity(7), multiply(K, this.H)), this.P);
+    }
+    
+    /**
+     * Güncel kutu tahmini
+     */
+    getBbox() {
+        return stateToBbox(this.x);
+    }
+}
+
+export class ObjectTracker {
+    constructor(options = {}) {
+        this.onTrackEvent = options.onTrackEvent || null;
+        
+        // Eşleme ve yaşam döngüsü ayarları
+        this.iouThreshold = options.iouThreshold || 0.3;
+        this.maxMisses = options.maxMisses || 5; // Eşleşmeden geçebilecek güncelleme sayısı
+        this.minHits = options.minHits || 3; // Onay için gereken ardışık eşleşme
+        this.trailLength = options.trailLength || 30;
+        this.classAware = options.classAware !== false;
+        
+        // Tracker state
+        this.tracks = [];
+        this.nextId = 1;
+        this.frameCount = 0;
+    }
+    
+    /**
+     * Yeni frame'in detection'larını track'lerle eşler ve kimlik atar
+     */
+    update(detections, timestamp = performance.now()) {
+        this.frameCount++;
+        
+        // 1. Tüm track'lerin kutularını bir adım ileri tahmin et
+        this.tracks.forEach(track => {
+            track.predictedBbox = track.filter.predict();
+            track.age++;
+        });
+        
+        // 2. Tahmin edilen kutularla IoU eşleme
+        const { matches, unmatchedDetections } = this.associate(detections);
+        
+        matches.forEach(([trackIndex, detectionIndex]) => {
+            this.updateTrack(this.tracks[trackIndex], detections[detectionIndex], timestamp);
+        });
+        
+        // 3. Eşleşmeyen track'ler kaçırma sayacını artırır
+        const matchedTracks = new Set(matches.map(([trackIndex]) => trackIndex));
+        this.tracks.forEach((track, index) => {
+            if (!matchedTracks.has(index)) {
+                track.misses++;
+                track.hitStreak = 0;
+            }
+        });
+        
+        // 4. Eşleşmeyen detection'lar için yeni track
+        unmatchedDetections.forEach(detectionIndex => {
+            this.createTrack(detections[detectionIndex], timestamp);
+        });
+        
+        // 5. Uzun süre görülmeyen track'leri kaldır
+        this.tracks = this.tracks.filter(track => {
+            if (track.misses <= this.maxMisses) return true;
+            
+            if (track.confirmed) {
+                this.notifyTrackEvent('exit', track, timestamp);
+            }
+            return false;
+        });
+        
+        return detections;
+    }
+    
+    /**
+     * Açgözlü IoU eşleme (en yüksek IoU'lu çiftler önce)
+     * 
+     * Demo sahnelerindeki az sayıda nesnede genellikle Hungarian ile aynı eşlemeyi verir.
+     */
+    associate(detections) {
+        const candidates = [];
+        
+        this.tracks.forEach((track, trackIndex) => {
+            detections.forEach((detection, detectionIndex) => {
+                if (this.classAware && track.class !== detection.class) return;
+                
+                const iou = calculateIoU(track.predictedBbox, detection.bbox);
+                if (iou >= this.iouThreshold) {
+                    candidates.push({ trackIndex, detectionIndex, iou });
+                }
+            });
+        });
+        
+        candidates.sort((a, b) => b.iou - a.iou);
+        
+        const usedTracks = new Set();
+        const usedDetections = new Set();
+        const matches = [];
+        
+        candidates.forEach(({ trackIndex, detectionIndex }) => {
+            if (usedTracks.has(trackIndex) || usedDetections.has(detectionIndex)) return;
+            
+            usedTracks.add(trackIndex);
+            usedDetections.add(detectionIndex);
+            matches.push([trackIndex, detectionIndex]);
+        });
+        
+        const unmatchedDetections = detections
+            .map((_, index) => index)
+            .filter(index => !usedDetections.has(index));
+        
+        return { matches, unmatchedDetections };
+    }
+    
+    /**
+     * Yeni track oluşturur
+     */
+    createTrack(detection, timestamp) {
+        const track = {
+            id: this.nextId++,
+            class: detection.class,
+            score: detection.score,
+            filter: new KalmanBoxFilter(detection.bbox),
+            predictedBbox: detection.bbox,
+            bbox: detection.bbox,
+            trail: [],
+            hits: 0,
+            hitStreak: 0,
+            misses: 0,
+            age: 0,
+            confirmed: false,
+            firstSeen: timestamp,
+            lastSeen: timestamp
+        };
+        
+        this.tracks.push(track);
+        this.updateTrack(track, detection, timestamp, false);
+    }
+    
+    /**
+     * Track'i eşleşen detection ile günceller ve detection'a kimlik yazar
+     */
+    updateTrack(track, detection, timestamp, correct = true) {
+        if (correct) {
+            track.filter.update(detection.bbox);
+        }
+        
+        track.bbox = detection.bbox;
+        track.score = detection.score;
+        track.hits++;
+        track.hitStreak++;
+        track.misses = 0;
+        track.lastSeen = timestamp;
+        
+        track.trail.push(detection.center);
+        if (track.trail.length > this.trailLength) {
+            track.trail.shift();
+        }
+        
+        // İlk frame'lerde (tracker yeni başladıysa) beklemeden onaylanır
+        if (!track.confirmed && (track.hitStreak >= this.minHits || this.frameCount <= this.minHits)) {
+            track.confirmed = true;
+            this.notifyTrackEvent('enter', track, timestamp);
+        }
+        
+        detection.id = track.id;
+        detection.trackId = track.confirmed ? track.id : null;
+    }
+    
+    /**
+     * Track olayını bildirir
+     */
+    notifyTrackEvent(type, track, timestamp) {
+        if (this.onTrackEvent) {
+            this.onTrackEvent({
+                type: type,
+                trackId: track.id,
+                class: track.class,
+                bbox: track.bbox,
+                timestamp: timestamp,
+                duration: track.lastSeen - track.firstSeen
+            });
+        }
+    }
+    
+    /**
+     * Onaylanmış track'lerin çizilebilir özetini döndürür
+     */
+    getTracks() {
+        return this.tracks
+            .filter(track => track.confirmed)
+            .map(track => ({
+                id: track.id,
+                class: track.class,
+                score: track.score,
+                bbox: track.filter.getBbox(),
+                trail: track.trail.slice(),
+                misses: track.misses,
+                age: track.age
+            }));
+    }
+    
+    /**
+     * Onaylanmış aktif track sayısı
+     */
+    getActiveTrackCount() {
+        return this.tracks.filter(track => track.confirmed).length;
+    }
+    
+    /**
+     * Tüm track'leri unutur (kaynak değişimi vb.)
+     */
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+        this.frameCount = 0;
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Preferences - Kalıcı Kullanıcı Tercihleri
+ * 
+ * Bu modül kullanıcı tercihlerini localStorage'da saklar:
+ * - Uygulamaya özel anahtar öneki (diğer sitelerle çakışmaz)
+ * - JSON serileştirme
+ * - localStorage erişilemezse (gizli mod, kota) sessizce varsayılana döner
+ */
+
+export class PreferenceStore {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'yoloGridDemo.';
+        this.storage = this.getStorage();
+    }
+    
+    /**
+     * Kullanılabilir storage'ı döndürür
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            console.warn('⚠️ localStorage erişilemiyor, tercihler kaydedilmeyecek');
+            return null;
+        }
+    }
+    
+    /**
+     * Tercihi okur
+     */
+    get(key, defaultValue = null) {
+        if (!this.storage) return defaultValue;
+        
+        try {
+            const value = this.storage.getItem(this.prefix + key);
+            return value === null ? defaultValue : JSON.parse(value);
+        } catch (error) {
+            console.warn(`⚠️ Tercih okunamadı: ${key}`, error);
+            return defaultValue;
+        }
+    }
+    
+    /**
+     * Tercihi kaydeder
+     */
+    set(key, value) {
+        if (!this.storage) return false;
+        
+        try {
+            this.storage.setItem(this.prefix + key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Tercih kaydedilemedi: ${key}`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Tercihi siler
+     */
+    remove(key) {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.removeItem(this.prefix + key);
+        } catch (error) {
+            console.warn(`⚠️ Tercih silinemedi: ${key}`, error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,382 @@
+/**
+ * Preprocessing - Model Girdisi Ön İşleme Zinciri
+ * 
+ * Bu modül frame'i modele verilecek girdiye dönüştürür:
+ * - Letterbox / resize (seçilebilir girdi boyutu, ör. 416x416)
+ * - Parlaklık/kontrast, gri ton, histogram eşitleme, gürültü azaltma
+ * - [0,1] normalizasyon ile CHW Float32 tensör
+ * - Model çıktısındaki kutuları orijinal frame koordinatlarına geri çevirme
+ * 
+ * Adımlar sabit sırada çalışır, her biri ayrı ayrı açılıp kapatılabilir.
+ */
+
+/**
+ * Ön işleme adımları (çalışma sırasıyla)
+ */
+export const PREPROCESSING_STEPS = [
+    { id: 'resize', label: 'Letterbox / Resize', enabled: true },
+    { id: 'brightnessContrast', label: 'Parlaklık / Kontrast', enabled: false },
+    { id: 'grayscale', label: 'Gri Ton', enabled: false },
+    { id: 'equalize', label: 'Histogram Eşitleme', enabled: false },
+    { id: 'denoise', label: 'Gürültü Azaltma', enabled: false },
+    { id: 'normalize', label: 'Normalizasyon [0,1]', enabled: true }
+];
+
+export const INPUT_SIZES = [320, 416, 608, 640];
+
+/**
+ * Canvas oluşturur (DOM yoksa OffscreenCanvas kullanılır)
+ */
+export function createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    return new OffscreenCanvas(width, height);
+}
+
+export class PreprocessingPipeline {
+    constructor(options = {}) {
+        this.inputSize = options.inputSize || 416;
+        this.resizeMode = options.resizeMode || 'letterbox'; // 'letterbox' veya 'stretch'
+        this.padColor = options.padColor || 'rgb(114, 114, 114)';
+        
+        // Parlaklık [-1, 1], kontrast [0, 3]
+        this.brightness = options.brightness || 0;
+        this.contrast = options.contrast !== undefined ? options.contrast : 1;
+        
+        this.steps = PREPROCESSING_STEPS.map(step => ({
+            ...step,
+            enabled: options.steps && options.steps[step.id] !== undefined ? options.steps[step.id] : step.enabled
+        }));
+        
+        // Çıktı canvas'ı ve tensör tamponu her frame'de yeniden kullanılır
+        this.canvas = createCanvas(this.inputSize, this.inputSize);
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.tensorData = null;
+    }
+    
+    /**
+     * Adımın açık olup olmadığını döndürür
+     */
+    isEnabled(stepId) {
+        const step = this.steps.find(item => item.id === stepId);
+        return !!(step && step.enabled);
+    }
+    
+    /**
+     * Frame'i ön işleme zincirinden geçirir (createTensor: false ise tensör oluşturulmaz)
+     */
+    process(frameData, options = {}) {
+        const { createTensor = true } = options;
+        const { canvas, width, height } = frameData;
+        const geometry = this.getGeometry(width, height);
+        
+        if (this.canvas.width !== geometry.inputWidth || this.canvas.height !== geometry.inputHeight) {
+            this.canvas.width = geometry.inputWidth;
+            this.canvas.height = geometry.inputHeight;
+        }
+        
+        // 1. Letterbox / resize
+        const ctx = this.context;
+        if (geometry.padX > 0 || geometry.padY > 0) {
+            ctx.fillStyle = this.padColor;
+            ctx.fillRect(0, 0, geometry.inputWidth, geometry.inputHeight);
+        }
+        ctx.drawImage(
+            canvas,
+            geometry.padX,
+            geometry.padY,
+            width * geometry.scaleX,
+            height * geometry.scaleY
+        );
+        
+        const pixelSteps = ['brightnessContrast', 'grayscale', 'equalize', 'denoise']
+            .filter(stepId => this.isEnabled(stepId));
+        
+        let imageData = null;
+        const normalize = createTensor && this.isEnabled('normalize');
+        
+        // 2-5. Piksel adımları
+        if (pixelSteps.length > 0 || normalize) {
+            imageData = ctx.getImageData(0, 0, geometry.inputWidth, geometry.inputHeight);
+            
+            pixelSteps.forEach(stepId => {
+                switch (stepId) {
+                    case 'brightnessContrast':
+                        this.applyBrightnessContrast(imageData.data);
+                        break;
+                        
+                    case 'grayscale':
+                        this.applyGrayscale(imageData.data);
+                        break;
+                        
+                    case 'equalize':
+                        this.applyEqualization(imageData.data);
+                        break;
+                        
+                    case 'denoise':
+                        this.applyDenoise(imageData);
+                        break;
+                }
+            });
+            
+            if (pixelSteps.length > 0) {
+                ctx.putImageData(imageData, 0, 0);
+            }
+        }
+        
+        // 6. Normalizasyon
+        const tensor = normalize ? this.createTensor(imageData) : null;
+        
+        return {
+            canvas: this.canvas,
+            originalWidth: width,
+            originalHeight: height,
+            ...geometry,
+            scaleFactor: Math.min(geometry.scaleX, geometry.scaleY),
+            steps: this.steps.filter(step => step.enabled).map(step => step.id),
+            tensor: tensor
+        };
+    }
+    
+    /**
+     * Girdi boyutu, ölçek ve padding değerlerini hesaplar
+     */
+    getGeometry(width, height) {
+        if (!this.isEnabled('resize')) {
+            return { inputWidth: width, inputHeight: height, scaleX: 1, scaleY: 1, padX: 0, padY: 0 };
+        }
+        
+        const size = this.inputSize;
+        
+        if (this.resizeMode === 'stretch') {
+            return { inputWidth: size, inputHeight: size, scaleX: size / width, scaleY: size / height, padX: 0, padY: 0 };
+        }
+        
+        // Letterbox: en-boy oranı korunur, kalan alan gri ile doldurulur
+        const scale = Math.min(size / width, size / height);
+        
+        return {
+            inputWidth: size,
+            inputHeight: size,
+            scaleX: scale,
+            scaleY: scale,
+            padX: Math.round((size - width * scale) / 2),
+            padY: Math.round((size - height * scale) / 2)
+        };
+    }
+    
+    /**
+     * Parlaklık ve kontrastı uygular
+     */
+    applyBrightnessContrast(data) {
+        const lut = new Uint8ClampedArray(256);
+        const offset = this.brightness * 255;
+        
+        for (let v = 0; v < 256; v++) {
+            lut[v] = (v - 128) * this.contrast + 128 + offset;
+        }
+        
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = lut[data[i]];
+            data[i + 1] = lut[data[i + 1]];
+            data[i + 2] = lut[data[i + 2]];
+        }
+    }
+    
+    /**
+     * Gri tona çevirir
+     */
+    applyGrayscale(data) {
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+            data[i] = gray;
+            data[i + 1] = gray;
+            data[i + 2] = gray;
+        }
+    }
+    
+    /**
+     * Parlaklık histogramını eşitler (renk tonları korunur)
+     */
+    applyEqualization(data) {
+        const pixelCount = data.length / 4;
+        const histogram = new Uint32Array(256);
+        const luma = new Uint8Array(pixelCount);
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            luma[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+            histogram[luma[p]]++;
+        }
+        
+        // Kümülatif dağılımdan eşleme tablosu
+        const lut = new Uint8ClampedArray(256);
+        let cumulative = 0;
+        let cdfMin = 0;
+        
+        for (let v = 0; v < 256; v++) {
+            cumulative += histogram[v];
+            if (cdfMin === 0 && cumulative > 0) {
+                cdfMin = cumulative;
+            }
+            lut[v] = pixelCount > cdfMin ? ((cumulative - cdfMin) / (pixelCount - cdfMin)) * 255 : v;
+        }
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            const ratio = luma[p] > 0 ? lut[luma[p]] / luma[p] : 0;
+            data[i] = Math.min(255, data[i] * ratio);
+            data[i + 1] = Math.min(255, data[i + 1] * ratio);
+            data[i + 2] = Math.min(255, data[i + 2] * ratio);
+        }
+    }
+    
+    /**
+     * 3x3 ortalama filtresi ile gürültüyü azaltır (ayrılabilir iki geçiş)
+     */
+    applyDenoise(imageData) {
+        const { data, width, height } = imageData;
+        const temp = new Uint8ClampedArray(data.length);
+        
+        // Yatay geçiş
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const left = (y * width + Math.max(0, x - 1)) * 4;
+                const center = (y * width + x) * 4;
+                const right = (y * width + Math.min(width - 1, x + 1)) * 4;
+                
+                for (let c = 0; c < 3; c++) {
+                    temp[center + c] = (data[left + c] + data[center + c] + data[right + c]) / 3;
+                }
+                temp[center + 3] = data[center + 3];
+            }
+        }
+        
+        // Dikey geçiş
+        for (let y = 0; y < height; y++) {
+            const up = Math.max(0, y - 1) * width;
+            const down = Math.min(height - 1, y + 1) * width;
+            
+            for (let x = 0; x < width; x++) {
+                const center = (y * width + x) * 4;
+                
+                for (let c = 0; c < 3; c++) {
+                    data[center + c] = (temp[(up + x) * 4 + c] + temp[center + c] + temp[(down + x) * 4 + c]) / 3;
+                }
+            }
+        }
+    }
+    
+    /**
+     * [0,1] aralığında CHW Float32 tensör oluşturur
+     */
+    createTensor(imageData) {
+        const { data, width, height } = imageData;
+        const planeSize = width * height;
+        
+        if (!this.tensorData || this.tensorData.length !== planeSize * 3) {
+            this.tensorData = new Float32Array(planeSize * 3);
+        }
+        
+        const tensor = this.tensorData;
+        let sum = 0;
+        
+        for (let p = 0, i = 0; p < planeSize; p++, i += 4) {
+            tensor[p] = data[i] / 255;
+            tensor[planeSize + p] = data[i + 1] / 255;
+            tensor[planeSize * 2 + p] = data[i + 2] / 255;
+            sum += tensor[p] + tensor[planeSize + p] + tensor[planeSize * 2 + p];
+        }
+        
+        return {
+            data: tensor,
+            shape: [1, 3, height, width],
+            mean: sum / (planeSize * 3)
+        };
+    }
+    
+    /**
+     * Model girdisi koordinatındaki kutuyu orijinal frame koordinatına çevirir
+     */
+    unmapBox(bbox, preprocessed) {
+        const { scaleX, scaleY, padX, padY, originalWidth, originalHeight } = preprocessed;
+        
+        const x1 = Math.max(0, (bbox[0] - padX) / scaleX);
+        const y1 = Math.max(0, (bbox[1] - padY) / scaleY);
+        const x2 = Math.min(originalWidth, (bbox[0] + bbox[2] - padX) / scaleX);
+        const y2 = Math.min(originalHeight, (bbox[1] + bbox[3] - padY) / scaleY);
+        
+        return [x1, y1, Math.max(0, x2 - x1), Math.max(0, y2 - y1)];
+    }
+    
+    /**
+     * Adımı açar veya kapatır
+     */
+    setStepEnabled(stepId, enabled) {
+        const step = this.steps.find(item => item.id === stepId);
+        if (!step) {
+            console.warn('⚠️ Geçersiz ön işleme adımı:', stepId);
+            return;
+        }
+        
+        step.enabled = enabled;
+        console.log(`🧹 Ön işleme: ${step.label} ${enabled ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Model girdi boyutunu ayarlar
+     */
+    setInputSize(size) {
+        this.inputSize = Math.max(32, Math.round(size / 32) * 32); // YOLO stride'ı 32'nin katı
+        console.log(`🧹 Model girdi boyutu: ${this.inputSize}x${this.inputSize}`);
+    }
+    
+    /**
+     * Resize modunu ayarlar
+     */
+    setResizeMode(mode) {
+        this.resizeMode = mode === 'stretch' ? 'stretch' : 'letterbox';
+    }
+    
+    /**
+     * Parlaklık/kontrast değerlerini ayarlar
+     */
+    setBrightnessContrast(brightness, contrast) {
+        if (brightness !== undefined) this.brightness = brightness;
+        if (contrast !== undefined) this.contrast = contrast;
+    }
+    
+    /**
+     * getSettings() çıktısını log yazmadan uygular (worker senkronizasyonu)
+     */
+    applySettings(settings) {
+        if (!settings) return;
+        
+        this.inputSize = settings.inputSize;
+        this.resizeMode = settings.resizeMode;
+        this.brightness = settings.brightness;
+        this.contrast = settings.contrast;
+        
+        this.steps.forEach(step => {
+            if (settings.steps && settings.steps[step.id] !== undefined) {
+                step.enabled = settings.steps[step.id];
+            }
+        });
+    }
+    
+    /**
+     * Zincir ayarlarını döndürür
+     */
+    getSettings() {
+        return {
+            inputSize: this.inputSize,
+            resizeMode: this.resizeMode,
+            brightness: this.brightness,
+            contrast: this.contrast,
+            steps: Object.fromEntries(this.steps.map(step => [step.id, step.enabled]))
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,397 @@
+/**
+ * Session Log - Oturum Zaman Çizelgesi ve Kamerasız Tekrar Oynatma
+ * 
+ * İşlenen her frame'in detection'larını, grid aktivasyonlarını ve ayarlarını kaydeder:
+ * - Kayıtlar bellekte tutulur ve parçalar halinde IndexedDB'ye yazılır
+ * - Oturum başlar başlamaz indekse eklenir (sayfa kapanırsa yazılan parçalar kaybolmaz)
+ * - Ayarlar yalnızca değiştiğinde kayda eklenir (tekrar oynatmada son ayar geçerlidir)
+ * - SessionReplay kayıtları zaman çizelgesinde oynatır (oynat/duraklat/sarma/hız)
+ */
+
+import { AssetCache } from './asset-loader.js';
+
+const INDEX_KEY = 'index';
+
+export class SessionLog {
+    constructor(options = {}) {
+        this.cache = options.cache || new AssetCache({ dbName: 'yoloGridSessions', storeName: 'sessions' });
+        this.chunkSize = options.chunkSize || 100; // IndexedDB'ye tek seferde yazılan kayıt sayısı
+        this.maxEntries = options.maxEntries || 20000;
+        this.onUpdate = options.onUpdate || null;
+        
+        // Aktif oturum
+        this.session = null;
+        this.entries = [];
+        this.flushedCount = 0;
+        this.lastSettingsKey = null;
+        this.isFull = false;
+        this.flushPromise = Promise.resolve();
+    }
+    
+    /**
+     * Yeni oturum başlatır
+     */
+    start(meta = {}) {
+        const startedAt = Date.now();
+        
+        this.session = {
+            id: `session-${startedAt}`,
+            name: meta.name || new Date(startedAt).toLocaleString('tr-TR'),
+            source: meta.source || null,
+            startedAt: startedAt,
+            duration: 0,
+            entryCount: 0,
+            chunkCount: 0
+        };
+        this.entries = [];
+        this.flushedCount = 0;
+        this.lastSettingsKey = null;
+        this.isFull = false;
+        
+        // İndeks kaydı hemen yazılır, parçalar geldikçe güncellenir
+        const summary = { ...this.session };
+        this.flushPromise = this.flushPromise.then(() => this.updateIndex(summary));
+        
+        console.log(`🗂️ Oturum günlüğü başladı: ${this.session.name}`);
+        this.notifyUpdate();
+    }
+    
+    /**
+     * Frame kaydı ekler: { detections, gridActivation, settings, width, height }
+     */
+    append(record, timestamp = Date.now()) {
+        if (!this.session) return;
+        
+        if (this.entries.length >= this.maxEntries) {
+            if (!this.isFull) {
+                console.warn(`⚠️ Oturum günlüğü sınırına ulaşıldı (${this.maxEntries} kayıt)`);
+                this.isFull = true;
+            }
+            return;
+        }
+        
+        const entry = {
+            time: timestamp - this.session.startedAt,
+            width: record.width || null,
+            height: record.height || null,
+            detections: record.detections.map(({ class: className, score, bbox, trackId }) => ({
+                class: className,
+                score: score,
+                bbox: bbox.slice(),
+                trackId: trackId || null
+            })),
+            gridActivation: record.gridActivation || []
+        };
+        
+        // Ayarlar yalnızca değiştiğinde saklanır
+        const settingsKey = JSON.stringify(record.settings || null);
+        if (settingsKey !== this.lastSettingsKey) {
+            entry.settings = JSON.parse(settingsKey);
+            this.lastSettingsKey = settingsKey;
+        }
+        
+        this.entries.push(entry);
+        this.session.duration = entry.time;
+        this.session.entryCount = this.entries.length;
+        
+        if (this.entries.length - this.flushedCount >= this.chunkSize) {
+            this.flush();
+        }
+        
+        this.notifyUpdate();
+    }
+    
+    /**
+     * Yazılmamış kayıtları IndexedDB'ye parça olarak yazar (yazmalar sıralı)
+     */
+    flush() {
+        if (!this.session || this.flushedCount >= this.entries.length) {
+            return this.flushPromise;
+        }
+        
+        const session = this.session;
+        const chunk = this.entries.slice(this.flushedCount);
+        const chunkIndex = session.chunkCount;
+        
+        this.flushedCount += chunk.length;
+        session.chunkCount++;
+        
+        const summary = { ...session };
+        
+        this.flushPromise = this.flushPromise
+            .then(() => this.cache.set(`${session.id}:${chunkIndex}`, chunk))
+            .then(() => this.updateIndex(summary));
+        
+        return this.flushPromise;
+    }
+    
+    /**
+     * Oturumu bitirir ve kalan kayıtları yazar
+     */
+    async stop() {
+        if (!this.session) return null;
+        
+        const session = this.session;
+        await this.flush();
+        
+        console.log(`🗂️ Oturum günlüğü kaydedildi: ${session.entryCount} frame, ${(session.duration / 1000).toFixed(1)} sn`);
+        
+        this.session = null;
+        this.notifyUpdate();
+        
+        return session;
+    }
+    
+    /**
+     * Oturum özetini indekse yazar
+     */
+    async updateIndex(summary) {
+        const sessions = (await this.cache.get(INDEX_KEY)) || [];
+        const others = sessions.filter(session => session.id !== summary.id);
+        
+        await this.cache.set(INDEX_KEY, [summary, ...others]);
+    }
+    
+    /**
+     * Kayıtlı oturumların özetlerini döndürür (yeniden eskiye)
+     */
+    async listSessions() {
+        return (await this.cache.get(INDEX_KEY)) || [];
+    }
+    
+    /**
+     * Kayıtlı oturumu tüm kayıtlarıyla yükler
+     */
+    async loadSession(id) {
+        const sessions = await this.listSessions();
+        const summary = sessions.find(session => session.id === id);
+        
+        if (!summary) {
+            throw new Error(`Oturum bulunamadı: ${id}`);
+        }
+        
+        const chunks = await Promise.all(
+            Array.from({ length: summary.chunkCount }, (_, index) => this.cache.get(`${id}:${index}`))
+        );
+        
+        return { ...summary, entries: chunks.flatMap(chunk => chunk || []) };
+    }
+    
+    /**
+     * Kayıtlı oturumu siler
+     */
+    async deleteSession(id) {
+        const sessions = await this.listSessions();
+        const summary = sessions.find(session => session.id === id);
+        if (!summary) return;
+        
+        await Promise.all(
+            Array.from({ length: summary.chunkCount }, (_, index) => this.cache.delete(`${id}:${index}`))
+        );
+        await this.cache.set(INDEX_KEY, sessions.filter(session => session.id !== id));
+        
+        console.log(`🗑️ Oturum silindi: ${summary.name}`);
+    }
+    
+    /**
+     * Aktif oturumun durumu
+     */
+    isActive() {
+        return this.session !== null;
+    }
+    
+    /**
+     * Durum değişikliğini bildirir
+     */
+    notifyUpdate() {
+        if (this.onUpdate) {
+            this.onUpdate({
+                isActive: this.isActive(),
+                entryCount: this.session ? this.session.entryCount : 0,
+                duration: this.session ? this.session.duration : 0
+            });
+        }
+    }
+}
+
+export class SessionReplay {
+    constructor(options = {}) {
+        this.onFrame = options.onFrame || null;
+        this.onStateChange = options.onStateChange || null;
+        
+        // Replay state
+        this.session = null;
+        this.isPlaying = false;
+        this.speed = 1;
+        this.currentTime = 0; // ms (oturum başına göre)
+        this.currentIndex = -1;
+        this.lastTick = 0;
+        this.animationFrame = null;
+    }
+    
+    /**
+     * Oturumu yükler ve başa sarar
+     */
+    load(session) {
+        this.stop();
+        this.session = session;
+        this.seek(0);
+    }
+    
+    /**
+     * Oturum süresi (ms)
+     */
+    getDuration() {
+        const entries = this.session ? this.session.entries : [];
+        return entries.length > 0 ? entries[entries.length - 1].time : 0;
+    }
+    
+    /**
+     * Oynatmayı başlatır (sondaysa baştan)
+     */
+    play() {
+        if (!this.session || this.isPlaying) return;
+        
+        if (this.currentTime >= this.getDuration()) {
+            this.seek(0);
+        }
+        
+        this.isPlaying = true;
+        this.lastTick = performance.now();
+        this.tick();
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Oynatmayı duraklatır
+     */
+    pause() {
+        this.isPlaying = false;
+        
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Oynatmayı durdurur ve oturumu bırakır
+     */
+    stop() {
+        this.pause();
+        this.session = null;
+        this.currentTime = 0;
+        this.currentIndex = -1;
+    }
+    
+    /**
+     * Zaman çizelgesinde belirli bir ana gider (ms)
+     */
+    seek(time) {
+        if (!this.session) return;
+        
+        this.currentTime = Math.max(0, Math.min(this.getDuration(), time));
+        this.currentIndex = -1; // Aynı kayıt olsa da yeniden çizilsin
+        this.emitFrame();
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Oynatma hızını ayarlar
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Animasyon döngüsü: zamanı ilerletir ve sıradaki kaydı yayınlar
+     */
+    tick() {
+        if (!this.isPlaying) return;
+        
+        const now = performance.now();
+        this.currentTime += (now - this.lastTick) * this.speed;
+        this.lastTick = now;
+        
+        if (this.currentTime >= this.getDuration()) {
+            this.currentTime = this.getDuration();
+            this.emitFrame();
+            this.pause();
+            return;
+        }
+        
+        this.emitFrame();
+        this.notifyStateChange();
+        
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+    }
+    
+    /**
+     * Geçerli zamana karşılık gelen kaydı (ve o ana kadarki son ayarları) yayınlar
+     */
+    emitFrame() {
+        const index = this.findEntryIndex(this.currentTime);
+        if (index < 0 || index === this.currentIndex) return;
+        
+        this.currentIndex = index;
+        
+        if (this.onFrame) {
+            this.onFrame(this.session.entries[index], this.getSettingsAt(index), index);
+        }
+    }
+    
+    /**
+     * Zamanı geçmemiş son kaydın indeksi (ikili arama)
+     */
+    findEntryIndex(time) {
+        const entries = this.session ? this.session.entries : [];
+        let low = 0;
+        let high = entries.length - 1;
+        let result = -1;
+        
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            
+            if (entries[middle].time <= time) {
+                result = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Kayıtta geçerli olan ayarlar (en son ayar içeren kayıt)
+     */
+    getSettingsAt(index) {
+        for (let i = index; i >= 0; i--) {
+            if (this.session.entries[i].settings !== undefined) {
+                return this.session.entries[i].settings;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Durum değişikliğini bildirir
+     */
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange({
+                isLoaded: this.session !== null,
+                isPlaying: this.isPlaying,
+                currentTime: this.currentTime,
+                duration: this.getDuration(),
+                speed: this.speed,
+                index: this.currentIndex,
+                entryCount: this.session ? this.session.entries.length : 0
+            });
+        }
+    }
+}
\ No newline at end of file
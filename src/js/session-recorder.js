@@ -0,0 +1,284 @@
+/**
+ * Session Recorder - Açıklamalı Oturum Kaydı
+ * 
+ * Bu modül videoyu, grid overlay'ini ve detection kutularını tek bir
+ * canvas stream'inde birleştirerek kaydeder:
+ * - Başlat/duraklat/devam/bitir kontrolü
+ * - Opsiyonel süre sınırı
+ * - Kayıt sonucu Blob olarak çağırana döner (otomatik indirme yok)
+ */
+
+export class SessionRecorder {
+    constructor(options = {}) {
+        this.getFrameSource = options.getFrameSource || null;
+        this.overlayCanvas = options.overlayCanvas || null;
+        this.frameRate = options.frameRate || 30;
+        this.onStateChange = options.onStateChange || null;
+        this.onTimeUpdate = options.onTimeUpdate || null;
+        
+        // Kompozit canvas
+        this.compositeCanvas = document.createElement('canvas');
+        this.compositeContext = this.compositeCanvas.getContext('2d');
+        
+        // Recorder state
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.state = 'inactive'; // inactive, recording, paused
+        this.mimeType = '';
+        this.timeLimit = 0;
+        this.drawFrame = null;
+        this.completion = null;
+        
+        // Süre takibi (duraklatmalar hariç)
+        this.elapsedBeforePause = 0;
+        this.segmentStart = 0;
+        this.lastReportedSecond = -1;
+    }
+    
+    /**
+     * Desteklenen kayıt formatını seçer
+     */
+    static getSupportedMimeType() {
+        const candidates = [
+            'video/webm;codecs=vp9',
+            'video/webm;codecs=vp8',
+            'video/webm',
+            'video/mp4'
+        ];
+        
+        if (typeof MediaRecorder === 'undefined') {
+            return null;
+        }
+        
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+    
+    /**
+     * Kaydı başlatır; kayıt bittiğinde Blob ile resolve olan Promise döndürür
+     */
+    start(options = {}) {
+        if (this.state !== 'inactive') {
+            throw new Error('Kayıt zaten devam ediyor');
+        }
+        
+        const mimeType = options.mimeType || SessionRecorder.getSupportedMimeType();
+        if (mimeType === null) {
+            throw new Error('MediaRecorder bu tarayıcıda desteklenmiyor');
+        }
+        
+        this.timeLimit = Math.max(0, options.timeLimit || 0);
+        this.chunks = [];
+        this.elapsedBeforePause = 0;
+        this.segmentStart = performance.now();
+        this.lastReportedSecond = -1;
+        
+        this.resizeComposite();
+        this.drawComposite();
+        
+        const stream = this.compositeCanvas.captureStream(this.frameRate);
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        this.mimeType = this.mediaRecorder.mimeType || mimeType || 'video/webm';
+        
+        this.completion = new Promise((resolve, reject) => {
+            this.mediaRecorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    this.chunks.push(event.data);
+                }
+            };
+            
+            this.mediaRecorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                
+                const blob = new Blob(this.chunks, { type: this.mimeType });
+                this.chunks = [];
+                this.setState('inactive');
+                
+                console.log(`📼 Oturum kaydı tamamlandı (${(blob.size / 1024 / 1024).toFixed(1)} MB)`);
+                resolve(blob);
+            };
+            
+            this.mediaRecorder.onerror = (event) => {
+                this.stopDrawLoop();
+                this.setState('inactive');
+                reject(event.error || new Error('Kayıt hatası'));
+            };
+        });
+        
+        this.mediaRecorder.start(1000); // 1 saniye chunk'lar
+        this.setState('recording');
+        this.startDrawLoop();
+        
+        console.log(`🔴 Oturum kaydı başlatıldı${this.timeLimit ? ` (limit: ${this.timeLimit} sn)` : ''}`);
+        return this.completion;
+    }
+    
+    /**
+     * Kaydı duraklatır
+     */
+    pause() {
+        if (this.state !== 'recording') return;
+        
+        this.mediaRecorder.pause();
+        this.elapsedBeforePause = this.getElapsedTime() * 1000;
+        this.stopDrawLoop();
+        this.setState('paused');
+        
+        console.log('⏸️ Oturum kaydı duraklatıldı');
+    }
+    
+    /**
+     * Duraklatılmış kaydı sürdürür
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        
+        this.segmentStart = performance.now();
+        this.mediaRecorder.resume();
+        this.setState('recording');
+        this.startDrawLoop();
+        
+        console.log('▶️ Oturum kaydı devam ediyor');
+    }
+    
+    /**
+     * Kaydı bitirir; Blob ile resolve olan Promise döndürür
+     */
+    stop() {
+        if (this.state === 'inactive') {
+            return this.completion || Promise.resolve(null);
+        }
+        
+        this.stopDrawLoop();
+        
+        if (this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        
+        return this.completion;
+    }
+    
+    /**
+     * Duraklatmalar hariç geçen kayıt süresini (saniye) döndürür
+     */
+    getElapsedTime() {
+        if (this.state === 'recording') {
+            return (this.elapsedBeforePause + performance.now() - this.segmentStart) / 1000;
+        }
+        
+        return this.elapsedBeforePause / 1000;
+    }
+    
+    /**
+     * Kompozit çizim döngüsünü başlatır
+     */
+    startDrawLoop() {
+        const draw = () => {
+            if (this.state !== 'recording') return;
+            
+            this.drawComposite();
+            this.checkTime();
+            
+            this.drawFrame = requestAnimationFrame(draw);
+        };
+        
+        this.drawFrame = requestAnimationFrame(draw);
+    }
+    
+    /**
+     * Kompozit çizim döngüsünü durdurur
+     */
+    stopDrawLoop() {
+        if (this.drawFrame) {
+            cancelAnimationFrame(this.drawFrame);
+            this.drawFrame = null;
+        }
+    }
+    
+    /**
+     * Süre sınırını ve süre bildirimini kontrol eder
+     */
+    checkTime() {
+        const elapsed = this.getElapsedTime();
+        const second = Math.floor(elapsed);
+        
+        if (second !== this.lastReportedSecond) {
+            this.lastReportedSecond = second;
+            if (this.onTimeUpdate) {
+                this.onTimeUpdate(elapsed, this.timeLimit);
+            }
+        }
+        
+        if (this.timeLimit > 0 && elapsed >= this.timeLimit) {
+            console.log('⏱️ Kayıt süre sınırına ulaştı');
+            this.stop();
+        }
+    }
+    
+    /**
+     * Kompozit canvas'ı ekranda görünen overlay boyutuna eşitler
+     */
+    resizeComposite() {
+        const source = this.getFrameSource ? this.getFrameSource() : null;
+        
+        const width = (this.overlayCanvas && this.overlayCanvas.width) || (source && source.width) || 640;
+        const height = (this.overlayCanvas && this.overlayCanvas.height) || (source && source.height) || 480;
+        
+        this.compositeCanvas.width = width;
+        this.compositeCanvas.height = height;
+    }
+    
+    /**
+     * Video + grid overlay + detection kutularını tek frame'de birleştirir
+     */
+    drawComposite() {
+        const ctx = this.compositeContext;
+        const { width, height } = this.compositeCanvas;
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Video (ekrandaki object-fit: cover görünümü ile aynı kırpma)
+        const source = this.getFrameSource ? this.getFrameSource() : null;
+        if (source && source.width > 0 && source.height > 0) {
+            const scale = Math.max(width / source.width, height / source.height);
+            const drawWidth = source.width * scale;
+            const drawHeight = source.height * scale;
+            
+            ctx.drawImage(
+                source.element,
+                (width - drawWidth) / 2,
+                (height - drawHeight) / 2,
+                drawWidth,
+                drawHeight
+            );
+        }
+        
+        // GridManager overlay'i (grid hücreleri + detection kutuları)
+        if (this.overlayCanvas && this.overlayCanvas.width > 0) {
+            ctx.drawImage(this.overlayCanvas, 0, 0, width, height);
+        }
+    }
+    
+    /**
+     * Kayıt durumunu değiştirir ve bildirir
+     */
+    setState(state) {
+        this.state = state;
+        
+        if (this.onStateChange) {
+            this.onStateChange(state);
+        }
+    }
+    
+    /**
+     * Kayıt durumunu döndürür
+     */
+    getState() {
+        return {
+            state: this.state,
+            elapsed: this.getElapsedTime(),
+            timeLimit: this.timeLimit,
+            mimeType: this.mimeType
+        };
+    }
+}
\ No newline at end of file
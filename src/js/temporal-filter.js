@@ -0,0 +1,248 @@
+/**
+ * Temporal Filter - Detection'ların Zamansal Yumuşatılması
+ * 
+ * Frame'ler arasında yanıp sönen kutuları ve titreyen koordinatları yumuşatır:
+ * - Kutu ve skor için EMA veya sabit hız (alpha-beta) modeli
+ * - Histerezis: eşikler aktif confidence eşiğine göreli (görünme: appearRatio ×, kaybolma: disappearRatio ×)
+ * - Hold time: görülmeyen nesne bu süre boyunca son konumunda tutulur
+ * - Eşleme: track ID'si varsa onunla, yoksa aynı sınıf içinde IoU ile
+ */
+
+export const TEMPORAL_FILTER_METHODS = {
+    'ema': 'Üstel hareketli ortalama (EMA)',
+    'velocity': 'Sabit hız modeli (alpha-beta)'
+};
+
+/**
+ * Intersection over Union ([x, y, w, h] kutuları)
+ */
+function calculateIoU([x1, y1, w1, h1], [x2, y2, w2, h2]) {
+    const intersectWidth = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+    const intersectHeight = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+    const intersectArea = intersectWidth * intersectHeight;
+    const unionArea = w1 * h1 + w2 * h2 - intersectArea;
+    
+    return unionArea > 0 ? intersectArea / unionArea : 0;
+}
+
+export class TemporalFilter {
+    constructor(options = {}) {
+        this.method = options.method || 'ema';
+        
+        // Yumuşatma katsayıları (alpha: yeni ölçümün ağırlığı, beta: hız düzeltmesi)
+        this.alpha = options.alpha || 0.5;
+        this.beta = options.beta || 0.1;
+        
+        // Histerezis (confidence eşiğinin katları) ve bekletme
+        this.appearRatio = options.appearRatio || 0.9;
+        this.disappearRatio = options.disappearRatio || 0.5;
+        this.holdTime = options.holdTime !== undefined ? options.holdTime : 300; // ms
+        
+        this.iouThreshold = options.iouThreshold || 0.3;
+        
+        // Filtre state
+        this.entries = [];
+        this.nextKey = 1;
+    }
+    
+    /**
+     * Frame'in (NMS ve takip sonrası) detection'larını yumuşatır; görünür olanları döndürür
+     */
+    update(detections, timestamp = performance.now(), confidenceThreshold = 0.5) {
+        const matched = new Set();
+        const { appearThreshold, disappearThreshold } = this.getThresholds(confidenceThreshold);
+        
+        detections.forEach(detection => {
+            const entry = this.findEntry(detection, matched);
+            
+            if (entry) {
+                matched.add(entry);
+                this.correctEntry(entry, detection, timestamp);
+            } else {
+                matched.add(this.createEntry(detection, timestamp));
+            }
+        });
+        
+        // Bu frame'de görülmeyenler: skor azalır, hız modelinde kutu ilerler
+        this.entries.forEach(entry => {
+            if (!matched.has(entry)) {
+                this.coastEntry(entry, timestamp);
+            }
+        });
+        
+        // Histerezis + hold time ile görünürlük
+        this.entries.forEach(entry => {
+            const unseenFor = timestamp - entry.lastSeen;
+            
+            if (!entry.visible && entry.score >= appearThreshold) {
+                entry.visible = true;
+            } else if (entry.visible && entry.score < disappearThreshold && unseenFor > this.holdTime) {
+                entry.visible = false;
+            }
+        });
+        
+        // Görünmeyen ve uzun süredir ölçülmeyen kayıtlar silinir
+        this.entries = this.entries.filter(entry =>
+            entry.visible || timestamp - entry.lastSeen <= this.holdTime
+        );
+        
+        return this.entries
+            .filter(entry => entry.visible)
+            .map(entry => this.toDetection(entry, timestamp))
+            .sort((a, b) => b.score - a.score);
+    }
+    
+    /**
+     * Confidence eşiğine göre mutlak histerezis eşikleri (kaybolma görünmeyi aşmaz)
+     */
+    getThresholds(confidenceThreshold) {
+        const appearThreshold = Math.min(1, this.appearRatio * confidenceThreshold);
+        
+        return {
+            appearThreshold: appearThreshold,
+            disappearThreshold: Math.min(appearThreshold, this.disappearRatio * confidenceThreshold)
+        };
+    }
+    
+    /**
+     * Detection'a karşılık gelen kaydı bulur (track ID → IoU)
+     */
+    findEntry(detection, matched) {
+        if (detection.id !== null && detection.id !== undefined) {
+            const byId = this.entries.find(entry => entry.id === detection.id && !matched.has(entry));
+            if (byId) return byId;
+        }
+        
+        let best = null;
+        let bestIoU = this.iouThreshold;
+        
+        this.entries.forEach(entry => {
+            if (matched.has(entry) || entry.class !== detection.class) return;
+            
+            const iou = calculateIoU(entry.bbox, detection.bbox);
+            if (iou >= bestIoU) {
+                best = entry;
+                bestIoU = iou;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Yeni kayıt oluşturur (skor sıfırdan yükselir, histerezis ilk frame'de göstermez)
+     */
+    createEntry(detection, timestamp) {
+        const entry = {
+            key: this.nextKey++,
+            id: detection.id,
+            class: detection.class,
+            bbox: detection.bbox.slice(),
+            velocity: [0, 0, 0, 0], // px/ms
+            score: this.alpha * detection.score,
+            detection: detection,
+            visible: false,
+            lastSeen: timestamp,
+            lastUpdate: timestamp
+        };
+        
+        this.entries.push(entry);
+        return entry;
+    }
+    
+    /**
+     * Kaydı yeni ölçümle düzeltir
+     */
+    correctEntry(entry, detection, timestamp) {
+        const { alpha, beta } = this;
+        const dt = Math.max(1, timestamp - entry.lastUpdate);
+        
+        if (this.method === 'velocity') {
+            entry.bbox = entry.bbox.map((value, i) => {
+                const predicted = value + entry.velocity[i] * dt;
+                const residual = detection.bbox[i] - predicted;
+                
+                entry.velocity[i] += beta * residual / dt;
+                return predicted + alpha * residual;
+            });
+        } else {
+            entry.bbox = entry.bbox.map((value, i) => alpha * detection.bbox[i] + (1 - alpha) * value);
+        }
+        
+        entry.score = alpha * detection.score + (1 - alpha) * entry.score;
+        entry.id = detection.id;
+        entry.detection = detection;
+        entry.lastSeen = timestamp;
+        entry.lastUpdate = timestamp;
+    }
+    
+    /**
+     * Ölçüm gelmeyen kaydı günceller (skor sıfıra doğru, kutu hız modeline göre)
+     */
+    coastEntry(entry, timestamp) {
+        const dt = Math.max(1, timestamp - entry.lastUpdate);
+        
+        if (this.method === 'velocity') {
+            entry.bbox = entry.bbox.map((value, i) => value + entry.velocity[i] * dt);
+        }
+        
+        entry.score *= 1 - this.alpha;
+        entry.lastUpdate = timestamp;
+    }
+    
+    /**
+     * Kaydı standart detection formatına çevirir (ham değerler de korunur)
+     */
+    toDetection(entry, timestamp) {
+        const { detection, bbox } = entry;
+        
+        return {
+            ...detection,
+            bbox: bbox.slice(),
+            center: [bbox[0] + bbox[2] / 2, bbox[1] + bbox[3] / 2],
+            score: entry.score,
+            rawScore: detection.score,
+            rawBbox: detection.bbox,
+            held: entry.lastSeen < timestamp // Bu frame'de görülmedi, hold time ile tutuluyor
+        };
+    }
+    
+    /**
+     * Ayarları günceller
+     */
+    configure(options = {}) {
+        if (options.method !== undefined) {
+            if (!TEMPORAL_FILTER_METHODS[options.method]) {
+                throw new Error(`Bilinmeyen zamansal filtre: ${options.method}`);
+            }
+            this.method = options.method;
+        }
+        
+        if (options.alpha !== undefined) this.alpha = options.alpha;
+        if (options.beta !== undefined) this.beta = options.beta;
+        if (options.appearRatio !== undefined) this.appearRatio = options.appearRatio;
+        if (options.disappearRatio !== undefined) this.disappearRatio = options.disappearRatio;
+        if (options.holdTime !== undefined) this.holdTime = options.holdTime;
+    }
+    
+    /**
+     * Ayarları döndürür
+     */
+    getSettings() {
+        return {
+            method: this.method,
+            alpha: this.alpha,
+            beta: this.beta,
+            appearRatio: this.appearRatio,
+            disappearRatio: this.disappearRatio,
+            holdTime: this.holdTime
+        };
+    }
+    
+    /**
+     * Tüm kayıtları unutur
+     */
+    reset() {
+        this.entries = [];
+    }
+}
\ No newline at end of file
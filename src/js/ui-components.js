@@ -670,6 +670,10 @@ export class UIComponents {
                         <kbd>Ctrl + 1/2/3</kbd>
                         <span>Grid boyutu değiştir</span>
                     </div>
+                    <div class="shortcut">
+                        <kbd>Ctrl + ←/→</kbd>
+                        <span>Adım adım pipeline: önceki/sonraki aşama</span>
+                    </div>
                     <div class="shortcut">
                         <kbd>←/→</kbd>
                         <span>Tutorial navigation</span>
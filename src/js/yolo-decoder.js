@@ -0,0 +1,345 @@
+/**
+ * YOLO Decoder - Ham YOLO Çıktı Tensörünün Çözümlenmesi
+ * 
+ * YOLOv1/v2 tarzı modellerin S×S grid çıktısını JavaScript'te çözer:
+ * - v1: hücre başına [B × (x, y, w, h, conf)] + C sınıf olasılığı (S×S×(B·5+C))
+ * - v2: hücre başına B anchor × (tx, ty, tw, th, to, C sınıf) (S×S×B·(5+C))
+ * - v8/YOLO11 (anchor-free): [1, 4+C, N] çıktı, N = stride 8/16/32 grid'lerinin hücreleri
+ * - Her hücrenin gerçek objectness, kutu ve sınıf olasılıkları
+ * - Skor eşiğini geçen kutuların COCO-SSD formatında listesi
+ * 
+ * v1/v2 çıktısı NHWC düzenindedir (TF.js graph modellerinin varsayılanı);
+ * kutular model girdisi piksel koordinatında döndürülür.
+ */
+
+/**
+ * YOLOv2 VOC anchor'ları (grid hücresi biriminde, genişlik/yükseklik çiftleri)
+ */
+export const YOLO_V2_VOC_ANCHORS = [
+    [1.3221, 1.73145], [3.19275, 4.00944], [5.05587, 8.09892],
+    [9.47112, 4.84053], [11.2364, 10.0071]
+];
+
+/**
+ * YOLOv2 COCO anchor'ları (grid hücresi biriminde)
+ */
+export const YOLO_V2_COCO_ANCHORS = [
+    [0.57273, 0.677385], [1.87446, 2.06253], [3.33843, 5.47434],
+    [7.88282, 3.52778], [9.77052, 9.16828]
+];
+
+function sigmoid(value) {
+    return 1 / (1 + Math.exp(-value));
+}
+
+function softmax(values) {
+    const max = Math.max(...values);
+    const exps = values.map(value => Math.exp(value - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    
+    return exps.map(value => value / sum);
+}
+
+function argmax(values) {
+    let bestIndex = 0;
+    
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[bestIndex]) {
+            bestIndex = i;
+        }
+    }
+    
+    return bestIndex;
+}
+
+/**
+ * Hücre başına kanal sayısını döndürür
+ */
+export function getChannelCount({ version = 'v2', boxesPerCell, numClasses }) {
+    return version === 'v1'
+        ? boxesPerCell * 5 + numClasses
+        : boxesPerCell * (5 + numClasses);
+}
+
+/**
+ * Ham S×S çıktıyı hücre tahminlerine ve kutulara çözer
+ */
+export function decodeYoloOutput(output, options = {}) {
+    const {
+        version = 'v2',
+        gridSize,
+        boxesPerCell,
+        numClasses,
+        inputWidth,
+        inputHeight,
+        classNames = [],
+        anchors = YOLO_V2_VOC_ANCHORS,
+        sqrtSize = true, // v1 w/h'nin karekökünü tahmin eder
+        scoreThreshold = 0.05
+    } = options;
+    
+    const channels = getChannelCount({ version, boxesPerCell, numClasses });
+    
+    if (output.length !== gridSize * gridSize * channels) {
+        throw new Error(
+            `YOLO çıktı boyutu uyumsuz: ${output.length} ≠ ${gridSize}×${gridSize}×${channels}`
+        );
+    }
+    
+    const cells = [];
+    const detections = [];
+    
+    for (let row = 0; row < gridSize; row++) {
+        for (let col = 0; col < gridSize; col++) {
+            const index = row * gridSize + col;
+            const offset = index * channels;
+            
+            const cell = version === 'v1'
+                ? decodeV1Cell(output, offset, { row, col, gridSize, boxesPerCell, numClasses, sqrtSize })
+                : decodeV2Cell(output, offset, { row, col, gridSize, boxesPerCell, numClasses, anchors });
+            
+            cell.index = index;
+            cell.row = row;
+            cell.col = col;
+            cell.className = classNames[cell.classId] || `class_${cell.classId}`;
+            
+            // Kutuları girdi piksel koordinatına çevir (merkez → sol üst köşe)
+            cell.boxes.forEach((box, boxIndex) => {
+                box.bbox = [
+                    (box.x - box.w / 2) * inputWidth,
+                    (box.y - box.h / 2) * inputHeight,
+                    box.w * inputWidth,
+                    box.h * inputHeight
+                ];
+                
+                if (box.score >= scoreThreshold) {
+                    detections.push({
+                        bbox: [...box.bbox],
+                        class: classNames[box.classId] || `class_${box.classId}`,
+                        score: box.score,
+                        cellIndex: index,
+                        boxIndex: boxIndex
+                    });
+                }
+            });
+            
+            cells.push(cell);
+        }
+    }
+    
+    detections.sort((a, b) => b.score - a.score);
+    
+    return {
+        gridSize,
+        boxesPerCell,
+        numClasses,
+        version,
+        cells,
+        detections
+    };
+}
+
+/**
+ * YOLOv1 hücresi: B kutu + hücre başına tek sınıf dağılımı
+ */
+function decodeV1Cell(output, offset, { row, col, gridSize, boxesPerCell, numClasses, sqrtSize }) {
+    const classOffset = offset + boxesPerCell * 5;
+    const classProbabilities = Array.from(output.slice(classOffset, classOffset + numClasses));
+    const classId = argmax(classProbabilities);
+    const classProbability = classProbabilities[classId];
+    
+    const boxes = [];
+    
+    for (let b = 0; b < boxesPerCell; b++) {
+        const boxOffset = offset + b * 5;
+        const offsetX = output[boxOffset];
+        const offsetY = output[boxOffset + 1];
+        const w = sqrtSize ? output[boxOffset + 2] ** 2 : output[boxOffset + 2];
+        const h = sqrtSize ? output[boxOffset + 3] ** 2 : output[boxOffset + 3];
+        const confidence = output[boxOffset + 4];
+        
+        boxes.push({
+            x: (col + offsetX) / gridSize,
+            y: (row + offsetY) / gridSize,
+            w: w,
+            h: h,
+            offsetX: offsetX,
+            offsetY: offsetY,
+            confidence: confidence,
+            classId: classId,
+            score: confidence * classProbability
+        });
+    }
+    
+    return createCellPrediction(boxes, classProbabilities, classId);
+}
+
+/**
+ * YOLOv2 hücresi: anchor başına kutu, objectness ve sınıf dağılımı
+ */
+function decodeV2Cell(output, offset, { row, col, gridSize, boxesPerCell, numClasses, anchors }) {
+    const stride = 5 + numClasses;
+    const boxes = [];
+    const cellClassProbabilities = new Array(numClasses).fill(0);
+    
+    for (let b = 0; b < boxesPerCell; b++) {
+        const boxOffset = offset + b * stride;
+        const [anchorW, anchorH] = anchors[b] || [1, 1];
+        
+        const offsetX = sigmoid(output[boxOffset]);
+        const offsetY = sigmoid(output[boxOffset + 1]);
+        const confidence = sigmoid(output[boxOffset + 4]);
+        const classProbabilities = softmax(Array.from(output.slice(boxOffset + 5, boxOffset + stride)));
+        const classId = argmax(classProbabilities);
+        
+        // Hücrenin sınıf dağılımı: objectness ile ağırlıklı ortalama
+        classProbabilities.forEach((probability, c) => {
+            cellClassProbabilities[c] += probability * confidence;
+        });
+        
+        boxes.push({
+            x: (col + offsetX) / gridSize,
+            y: (row + offsetY) / gridSize,
+            w: anchorW * Math.exp(output[boxOffset + 2]) / gridSize,
+            h: anchorH * Math.exp(output[boxOffset + 3]) / gridSize,
+            offsetX: offsetX,
+            offsetY: offsetY,
+            confidence: confidence,
+            anchor: b,
+            classId: classId,
+            score: confidence * classProbabilities[classId]
+        });
+    }
+    
+    const total = cellClassProbabilities.reduce((sum, value) => sum + value, 0);
+    const normalized = total > 0
+        ? cellClassProbabilities.map(value => value / total)
+        : cellClassProbabilities;
+    
+    return createCellPrediction(boxes, normalized, argmax(normalized));
+}
+
+/**
+ * Hücre tahmin nesnesini oluşturur (sorumlu kutu: en yüksek objectness)
+ */
+function createCellPrediction(boxes, classProbabilities, classId) {
+    const bestBox = boxes.reduce((best, box) => (box.confidence > best.confidence ? box : best), boxes[0]);
+    
+    return {
+        objectness: bestBox.confidence,
+        bestBox: boxes.indexOf(bestBox),
+        boxes: boxes,
+        classProbabilities: classProbabilities,
+        classId: classId,
+        classScore: bestBox.confidence * classProbabilities[classId]
+    };
+}
+
+/**
+ * YOLOv8 varsayılan stride'ları (P3, P4, P5)
+ */
+export const YOLO_V8_STRIDES = [8, 16, 32];
+
+/**
+ * Anchor-free çıktı indeksinin hangi stride grid'ine ve hücresine düştüğünü bulur
+ * 
+ * Ultralytics çıktısı grid'leri sırayla birleştirir: önce stride 8 (80×80),
+ * sonra 16 (40×40), sonra 32 (20×20) - 640 girdide toplam 8400 hücre.
+ */
+export function getAnchorGridPosition(anchorIndex, inputWidth, inputHeight, strides = YOLO_V8_STRIDES) {
+    let start = 0;
+    
+    for (const stride of strides) {
+        const gridWidth = Math.ceil(inputWidth / stride);
+        const gridHeight = Math.ceil(inputHeight / stride);
+        const count = gridWidth * gridHeight;
+        
+        if (anchorIndex < start + count) {
+            const local = anchorIndex - start;
+            
+            return {
+                stride: stride,
+                gridX: local % gridWidth,
+                gridY: Math.floor(local / gridWidth),
+                gridWidth: gridWidth,
+                gridHeight: gridHeight
+            };
+        }
+        
+        start += count;
+    }
+    
+    return null;
+}
+
+/**
+ * Anchor sayısını girdi boyutu ve stride'lardan hesaplar
+ */
+export function getAnchorCount(inputWidth, inputHeight, strides = YOLO_V8_STRIDES) {
+    return strides.reduce(
+        (total, stride) => total + Math.ceil(inputWidth / stride) * Math.ceil(inputHeight / stride),
+        0
+    );
+}
+
+/**
+ * YOLOv8/YOLO11 anchor-free çıktısını kutulara çözer
+ * 
+ * Çıktı [1, 4+C, N] düzenindedir: her anchor için (cx, cy, w, h) girdi pikseli
+ * ve sigmoid uygulanmış C sınıf skoru (ayrı objectness yoktur).
+ */
+export function decodeYoloV8Output(output, options = {}) {
+    const {
+        numAnchors,
+        inputWidth,
+        inputHeight,
+        classNames = [],
+        strides = YOLO_V8_STRIDES,
+        scoreThreshold = 0.25
+    } = options;
+    
+    const numClasses = output.length / numAnchors - 4;
+    
+    if (!Number.isInteger(numClasses) || numClasses < 1) {
+        throw new Error(`YOLOv8 çıktı boyutu uyumsuz: ${output.length} değer, ${numAnchors} anchor`);
+    }
+    
+    const detections = [];
+    
+    for (let i = 0; i < numAnchors; i++) {
+        // Kanal c'nin i. anchor değeri: output[c * N + i]
+        let classId = 0;
+        let score = output[4 * numAnchors + i];
+        
+        for (let c = 1; c < numClasses; c++) {
+            const value = output[(4 + c) * numAnchors + i];
+            if (value > score) {
+                score = value;
+                classId = c;
+            }
+        }
+        
+        if (score < scoreThreshold) continue;
+        
+        const centerX = output[i];
+        const centerY = output[numAnchors + i];
+        const width = output[2 * numAnchors + i];
+        const height = output[3 * numAnchors + i];
+        
+        detections.push({
+            bbox: [centerX - width / 2, centerY - height / 2, width, height],
+            class: classNames[classId] || `class_${classId}`,
+            score: score,
+            anchorIndex: i,
+            grid: getAnchorGridPosition(i, inputWidth, inputHeight, strides)
+        });
+    }
+    
+    detections.sort((a, b) => b.score - a.score);
+    
+    return {
+        numClasses,
+        numAnchors,
+        detections
+    };
+}
\ No newline at end of file
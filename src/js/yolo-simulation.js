@@ -2,44 +2,113 @@
  * YOLO Simulation - YOLO Algoritması Simülasyonu
  * 
  * Bu modül YOLO nesne tespit algoritmasını simüle eder:
- * - TensorFlow.js ile gerçek nesne tespiti
- * - YOLO grid mantığının görselleştirilmesi
+ * - Değiştirilebilir detector backend'leri ile gerçek nesne tespiti (COCO-SSD, mock...)
+ * - YOLO grid mantığının görselleştirilmesi (grid çıktılı modellerde gerçek hücre tahminleri)
  * - Confidence skorları ve bounding box'lar
- * - Eğitici amaçlı algoritma adımlarının gösterimi
+ * - Eğitici amaçlı algoritma adımlarının gösterimi (dondurulmuş frame'de adım adım pipeline)
+ * - Ayarlanabilir ön işleme zinciri (letterbox, normalizasyon...)
+ * - Destekleyen tarayıcılarda ön işleme/inferans/son işleme ayrı Web Worker'da
+ * - NMS öncesi sınıf bazlı eşikler ve izin/engel listeleri
+ * - Seçilebilir NMS (sınıf bazlı, Soft-NMS, DIoU...) ve elenen kutuların kaydı
+ * - NMS sonrası SORT tarzı takip ile frame'ler arası kalıcı track ID'leri
  */
 
+import { PreprocessingPipeline } from './preprocessing.js';
+import { createBackend, isWorkerBackend, COCO_CLASSES } from './backends/index.js';
+import { InferenceWorkerClient, RemoteBackend } from './inference-worker-client.js';
+import { ObjectTracker } from './object-tracker.js';
+import { applyNMS as runNMS, calculateIoU, NMS_METHODS } from './nms.js';
+import { createClassFilter, passesClassFilter, getClassThreshold, isClassFilterEmpty, SCENARIO_CLASS_FILTERS } from './class-filter.js';
+import { TemporalFilter, TEMPORAL_FILTER_METHODS } from './temporal-filter.js';
+import { createExportFrame, exportAnnotations } from './dataset-export.js';
+import { assetLoader } from './asset-loader.js';
+
+/**
+ * Adım adım modda sırayla çalıştırılan pipeline aşamaları
+ */
+export const PIPELINE_STAGES = [
+    { id: 'preprocess', title: 'Ön İşleme' },
+    { id: 'inference', title: 'İnferans (ham adaylar)' },
+    { id: 'confidence', title: 'Confidence Filtresi' },
+    { id: 'nms', title: 'Non-Maximum Suppression' },
+    { id: 'grid', title: 'Grid Haritalama' }
+];
+
 export class YOLOSimulation {
     constructor(options = {}) {
         this.onDetection = options.onDetection || null;
         this.onProcessingUpdate = options.onProcessingUpdate || null;
+        this.onPreprocess = options.onPreprocess || null;
+        this.onGridPredictions = options.onGridPredictions || null;
+        this.onTrackEvent = options.onTrackEvent || null;
+        this.onStepUpdate = options.onStepUpdate || null;
         
-        // YOLO model
-        this.model = null;
+        // Detector backend (çalışma zamanında seçilebilir)
+        this.backendId = options.backend || 'coco-ssd';
+        this.backendOptions = new Map(); // Backend başına son oluşturma seçenekleri (yeniden yükleme için)
+        if (options.backendOptions) {
+            this.backendOptions.set(this.backendId, options.backendOptions);
+        }
+        this.backend = null;
+        this.backends = new Map(); // Oluşturulan backend'ler (tekrar seçimde yeniden yüklenmez)
         this.isModelLoaded = false;
         this.modelLoadingPromise = null;
+        this.autoLoad = options.autoLoad !== false;
+        this.backendRequestId = 0; // Eski backend seçimlerinin sonuçlarını ayırt etmek için
+        
+        // Inference worker (ana thread'i ve render döngüsünü rahatlatır)
+        this.useWorker = options.useWorker !== undefined ? options.useWorker : InferenceWorkerClient.isSupported();
+        this.worker = null;
         
         // Detection state
         this.isRunning = false;
         this.detections = [];
+        this.rawDetections = []; // Zamansal yumuşatma öncesi (karşılaştırma için)
+        this.lastFrameInfo = null; // Son işlenen frame'in boyutları (veri seti exportu için)
         this.processingQueue = [];
         
         // Simulation settings
         this.confidenceThreshold = 0.3;
         this.iouThreshold = 0.5;
         this.maxDetections = 10;
+        this.nmsMethod = 'class-aware';
+        this.suppressedDetections = []; // Son frame'de NMS'in elediği kutular
+        this.classFilter = createClassFilter(options.classFilter); // Sınıf eşikleri ve listeleri
+        
+        // Hareket kapısı: statik frame'lerde inferans atlanır
+        this.motionGating = false;
+        this.maxStaticInterval = 2000; // ms - statik sahnede bile periyodik yenileme
+        this.lastInferenceTimestamp = 0;
+        
+        // Nesne takibi (NMS sonrası, her zaman ana thread'de)
+        this.trackingEnabled = options.tracking !== false;
+        this.tracker = new ObjectTracker({
+            ...options.tracker,
+            onTrackEvent: event => this.notifyTrackEvent(event)
+        });
+        
+        // Zamansal yumuşatma (takipten sonra, bildirimden önce; ana thread'de)
+        this.temporalSmoothing = Boolean(options.temporalSmoothing);
+        this.temporalFilter = new TemporalFilter(options.temporalFilter);
+        
+        // Ön işleme zinciri (modelin gördüğü görüntü)
+        this.preprocessor = new PreprocessingPipeline(options.preprocessing);
+        this.lastPreprocessed = null;
         
         // Performance tracking
         this.processMetrics = {
             inferenceTime: 0,
             postprocessTime: 0,
             totalTime: 0,
-            frameCount: 0
+            frameCount: 0,
+            skippedFrames: 0
         };
         
         // YOLO grid simulation
         this.gridSize = 13;
         this.simulationMode = 'educational'; // 'educational' or 'realtime'
         this.stepByStepMode = false;
+        this.stepSession = null; // Dondurulan frame ve hesaplanan aşama sonuçları
         
         this.init();
     }
@@ -48,40 +117,257 @@ export class YOLOSimulation {
      * YOLO Simulation'ı başlatır
      */
     init() {
-        this.loadModel();
-        console.log('🧠 YOLO Simulation başlatıldı');
+        if (this.useWorker) {
+            this.startWorker();
+        }
+        
+        if (this.autoLoad) {
+            this.loadModel();
+        }
+        
+        console.log(`🧠 YOLO Simulation başlatıldı (${this.worker ? 'worker' : 'ana thread'})`);
     }
     
     /**
-     * YOLO modelini yükler
+     * Inference worker'ını başlatır
      */
-    async loadModel() {
+    startWorker() {
         try {
-            console.log('📦 YOLO modeli yükleniyor...');
-            this.notifyProcessingUpdate({ isLoading: true, message: 'Model yükleniyor...' });
+            this.worker = new InferenceWorkerClient({
+                onProcessingUpdate: update => this.notifyProcessingUpdate(update),
+                onError: error => this.handleWorkerError(error)
+            });
             
-            // COCO-SSD modelini yükle (YOLO benzeri)
-            this.modelLoadingPromise = window.cocoSsd.load({
-                base: 'mobilenet_v2', // veya 'lite_mobilenet_v2'
-                modelUrl: undefined // Default kullan
+            this.worker.start({
+                preprocessing: this.preprocessor.getSettings(),
+                assets: assetLoader.getAssetSource()
+            }).catch(error => {
+                this.handleWorkerError(error);
             });
+        } catch (error) {
+            console.warn('⚠️ Inference worker başlatılamadı, ana thread kullanılacak:', error.message);
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Inference worker'ını kapatır
+     */
+    async stopWorker() {
+        if (!this.worker) return;
+        
+        const worker = this.worker;
+        this.worker = null;
+        await worker.stop();
+    }
+    
+    /**
+     * Worker çöktüğünde ana thread'e geri döner
+     */
+    handleWorkerError(error) {
+        if (!this.worker) return;
+        
+        this.worker.terminate();
+        this.worker = null;
+        
+        this.notifyProcessingUpdate({ 
+            isProcessing: false, 
+            error: 'Inference worker hatası',
+            message: error.message 
+        });
+        
+        // Aktif backend worker'daysa ana thread'de yeniden yükle
+        if (!this.backend || this.backend.remote) {
+            console.warn('⚠️ Inference ana thread\'e alınıyor');
+            this.backend = null;
+            this.isModelLoaded = false;
+            this.setBackend(this.backendId, this.getBackendOptions(this.backendId));
+        }
+    }
+    
+    /**
+     * Seçili detector backend'ini yükler
+     */
+    async loadModel() {
+        return this.setBackend(this.backendId, this.getBackendOptions(this.backendId));
+    }
+    
+    /**
+     * Backend'in son oluşturulduğu seçenekleri döndürür (ör. seçilen .onnx dosyası ve sınıflar)
+     */
+    getBackendOptions(id) {
+        return this.backendOptions.get(id) || null;
+    }
+    
+    /**
+     * Detector backend'ini seçer ve yükler
+     * 
+     * Seçenek verilmezse aynı id ile daha önce oluşturulan backend yeniden kullanılır;
+     * seçenek verilirse (ör. sentetik sahne) yeni bir örnek oluşturulur.
+     */
+    async setBackend(id, options = null) {
+        if (options) {
+            this.backendOptions.set(id, options);
+        }
+        
+        if (this.worker && isWorkerBackend(id)) {
+            return this.setWorkerBackend(id, options);
+        }
+        
+        this.backendRequestId++;
+        let backend = this.backends.get(id);
+        
+        try {
+            if (!backend || options) {
+                if (backend) {
+                    backend.dispose();
+                }
+                
+                backend = createBackend(id, options || {});
+                this.backends.set(id, backend);
+            }
+            
+            this.backendId = id;
+            this.backend = backend;
+            this.isModelLoaded = backend.isLoaded;
+            
+            if (!backend.isLoaded) {
+                console.log(`📦 Detector yükleniyor: ${backend.name}`);
+                this.notifyProcessingUpdate({ isLoading: true, message: 'Model yükleniyor...' });
+                
+                // Byte düzeyinde indirme ilerlemesi (kütüphane + ağırlıklar)
+                backend.onLoadProgress = progress => {
+                    this.notifyProcessingUpdate({ isLoading: true, message: 'Model yükleniyor...', progress });
+                };
+                
+                this.modelLoadingPromise = backend.ensureLoaded();
+                await this.modelLoadingPromise;
+                this.modelLoadingPromise = null;
+            }
+            
+            // Yükleme sürerken başka bir backend seçildiyse sonucu yok say
+            if (this.backend !== backend) {
+                return backend;
+            }
             
-            this.model = await this.modelLoadingPromise;
             this.isModelLoaded = true;
             
-            console.log('✅ YOLO modeli yüklendi');
+            const inputSize = backend.getInputSize();
+            if (inputSize) {
+                this.preprocessor.setInputSize(inputSize);
+            }
+            
+            const resizeMode = backend.getResizeMode();
+            if (resizeMode) {
+                this.preprocessor.setResizeMode(resizeMode);
+            }
+            
+            console.log(`✅ Detector hazır: ${backend.name}`);
             this.notifyProcessingUpdate({ isLoading: false, message: 'Model hazır' });
             
+            return backend;
+            
         } catch (error) {
             console.error('❌ Model yükleme hatası:', error);
+            
+            this.modelLoadingPromise = null;
+            if (backend && this.backends.get(id) === backend) {
+                this.backends.delete(id);
+            }
+            
             this.notifyProcessingUpdate({ 
                 isLoading: false, 
                 error: 'Model yüklenemedi',
                 message: error.message 
             });
+            
+            return null;
         }
     }
     
+    /**
+     * Backend'i worker'da yükler; ana thread'de RemoteBackend ile temsil edilir
+     */
+    async setWorkerBackend(id, options = null) {
+        const requestId = ++this.backendRequestId;
+        
+        this.backendId = id;
+        this.backend = null;
+        this.isModelLoaded = false;
+        
+        try {
+            // Yükleme ilerlemesi ve hatalar worker'dan processingUpdate ile gelir
+            const descriptor = await this.worker.request('setBackend', { id, options });
+            
+            // Yükleme sürerken başka bir backend seçildiyse sonucu yok say
+            if (requestId !== this.backendRequestId) {
+                return null;
+            }
+            
+            if (!descriptor) {
+                return null;
+            }
+            
+            const backend = new RemoteBackend(descriptor);
+            this.backend = backend;
+            this.isModelLoaded = true;
+            
+            // Yerel ön işleme ayarları worker'a her frame'de gönderilir
+            if (descriptor.inputSize) {
+                this.preprocessor.setInputSize(descriptor.inputSize);
+            }
+            if (descriptor.resizeMode) {
+                this.preprocessor.setResizeMode(descriptor.resizeMode);
+            }
+            
+            return backend;
+            
+        } catch (error) {
+            console.error('❌ Worker backend hatası:', error);
+            
+            this.notifyProcessingUpdate({ 
+                isLoading: false, 
+                error: 'Model yüklenemedi',
+                message: error.message 
+            });
+            
+            return null;
+        }
+    }
+    
+    /**
+     * Backend'i bellekten kaldırır (bir sonraki seçimde yeniden oluşturulur)
+     */
+    releaseBackend(id) {
+        if (this.worker && isWorkerBackend(id)) {
+            this.worker.call('releaseBackend', id);
+            
+            if (this.backend && this.backend.id === id) {
+                this.backend = null;
+                this.isModelLoaded = false;
+            }
+            return;
+        }
+        
+        const backend = this.backends.get(id);
+        if (!backend) return;
+        
+        backend.dispose();
+        this.backends.delete(id);
+        
+        if (this.backend === backend) {
+            this.backend = null;
+            this.isModelLoaded = false;
+        }
+    }
+    
+    /**
+     * Kullanılacak (yüklenmiş) detector backend'ini döndürür
+     */
+    getActiveBackend() {
+        return this.backend && this.backend.isLoaded ? this.backend : null;
+    }
+    
     /**
      * YOLO simülasyonunu başlatır
      */
@@ -95,8 +381,14 @@ export class YOLOSimulation {
      */
     stop() {
         this.isRunning = false;
+        this.lastInferenceTimestamp = 0;
         this.detections = [];
+        this.rawDetections = [];
+        this.suppressedDetections = [];
         this.processingQueue = [];
+        this.stepSession = null;
+        this.tracker.reset();
+        this.temporalFilter.reset();
         console.log('⏹️ YOLO simülasyonu durduruldu');
     }
     
@@ -104,49 +396,74 @@ export class YOLOSimulation {
      * Frame'i işler - Ana YOLO pipeline
      */
     async processFrame(frameData) {
-        if (!this.isRunning || !this.isModelLoaded) {
+        if (!this.isRunning || !this.getActiveBackend()) {
             return;
         }
         
-        try {
-            const startTime = performance.now();
-            
-            // Step 1: Preprocessing
+        // Adım adım mod: ilk frame dondurulur, sonrakiler nextStep() ile ilerler
+        if (this.stepByStepMode) {
+            if (!this.stepSession) {
+                this.freezeFrame(frameData);
+            }
+            return;
+        }
+        
+        // Hareket yoksa önceki detection'lar geçerli kalır
+        if (this.shouldSkipInference(frameData)) {
+            this.processMetrics.skippedFrames++;
             this.notifyProcessingUpdate({ 
-                isProcessing: true, 
-                step: 1, 
-                message: 'Görüntü ön işleme...' 
+                isProcessing: false, 
+                skipped: true, 
+                metrics: this.processMetrics 
             });
+            return;
+        }
+        
+        this.lastInferenceTimestamp = frameData.timestamp;
+        
+        try {
+            const startTime = performance.now();
             
-            const preprocessedData = this.preprocessFrame(frameData);
+            // Step 1-3: ön işleme, inferans ve son işleme (worker'da veya bu thread'de)
+            const backend = this.getActiveBackend();
+            const { detections: processedDetections, gridPredictions, suppressed } = backend.remote
+                ? await this.runWorkerPipeline(frameData)
+                : await this.runPipeline(frameData);
             
-            // Step 2: YOLO Inference
-            this.notifyProcessingUpdate({ 
-                isProcessing: true, 
-                step: 2, 
-                message: 'YOLO analizi...' 
-            });
+            this.suppressedDetections = suppressed;
+            this.lastFrameInfo = {
+                width: frameData.width,
+                height: frameData.height,
+                frameNumber: frameData.frameNumber,
+                timestamp: frameData.timestamp
+            };
             
-            const rawDetections = await this.runInference(preprocessedData);
+            // Frame'ler arası kimlik: detection'lara track ID'si yazılır
+            if (this.trackingEnabled) {
+                this.tracker.update(processedDetections, frameData.timestamp);
+            }
             
-            // Step 3: Post-processing
-            this.notifyProcessingUpdate({ 
-                isProcessing: true, 
-                step: 3, 
-                message: 'Sonuçlar işleniyor...' 
-            });
+            // Titremeyi gidermek için zamansal filtre (ham akış ayrıca saklanır)
+            this.rawDetections = processedDetections;
+            const outputDetections = this.temporalSmoothing
+                ? this.temporalFilter.update(processedDetections, frameData.timestamp, this.confidenceThreshold)
+                : processedDetections;
             
-            const processedDetections = this.postprocessDetections(rawDetections, frameData);
+            // Ham grid çıktısı veren modellerde hücrelerin gerçek tahminleri
+            this.notifyGridPredictions(gridPredictions);
             
             // Step 4: Grid Mapping (Educational)
             if (this.simulationMode === 'educational') {
                 this.notifyProcessingUpdate({ 
                     isProcessing: true, 
                     step: 4, 
-                    message: 'Grid haritalama...' 
+                    message: gridPredictions ? 'Grid tahminleri çözülüyor...' : 'Grid haritalama...' 
                 });
                 
-                this.simulateGridMapping(processedDetections, frameData);
+                // Gerçek hücre tahmini yoksa sorumlu hücreler simüle edilir
+                if (!gridPredictions) {
+                    this.simulateGridMapping(outputDetections, frameData);
+                }
             }
             
             // Update metrics
@@ -154,10 +471,10 @@ export class YOLOSimulation {
             this.updateMetrics(totalTime);
             
             // Store detections
-            this.detections = processedDetections;
+            this.detections = outputDetections;
             
             // Notify results
-            this.notifyDetection(processedDetections);
+            this.notifyDetection(outputDetections);
             this.notifyProcessingUpdate({ 
                 isProcessing: false, 
                 metrics: this.processMetrics 
@@ -173,43 +490,193 @@ export class YOLOSimulation {
     }
     
     /**
-     * Frame ön işleme
+     * Ön işleme → inferans → son işleme adımlarını bu thread'de çalıştırır
      */
-    preprocessFrame(frameData) {
-        const { canvas, width, height } = frameData;
+    async runPipeline(frameData) {
+        // Step 1: Preprocessing
+        this.notifyProcessingUpdate({ 
+            isProcessing: true, 
+            step: 1, 
+            message: 'Görüntü ön işleme...' 
+        });
+        
+        const preprocessedData = this.preprocessFrame(frameData);
+        
+        // Step 2: YOLO Inference
+        this.notifyProcessingUpdate({ 
+            isProcessing: true, 
+            step: 2, 
+            message: 'YOLO analizi...' 
+        });
+        
+        const rawDetections = await this.runInference(preprocessedData, frameData);
+        
+        // Step 3: Post-processing
+        this.notifyProcessingUpdate({ 
+            isProcessing: true, 
+            step: 3, 
+            message: 'Sonuçlar işleniyor...' 
+        });
         
-        // YOLO input normalization (simulated)
-        // Gerçek YOLO: resize to 416x416, normalize [0,1]
+        const detections = this.postprocessDetections(rawDetections, frameData);
         
+        const backend = this.getActiveBackend();
+        const gridPredictions = backend ? backend.getGridPredictions() : null;
+        
+        return { detections, gridPredictions, suppressed: this.suppressedDetections };
+    }
+    
+    /**
+     * Tek frame'i mevcut model ve ayarlarla işler (takip, yumuşatma ve bildirim olmadan)
+     */
+    async detectFrame(frameData) {
+        const backend = this.getActiveBackend();
+        if (!backend) {
+            throw new Error('Model yüklenmedi');
+        }
+        
+        const { detections } = backend.remote
+            ? await this.runWorkerPipeline(frameData, this.getPipelineSettings(), false)
+            : await this.runPipeline(frameData);
+        
+        return detections;
+    }
+    
+    /**
+     * Aynı adımları worker'da çalıştırır (frame ImageBitmap olarak transfer edilir)
+     */
+    async runWorkerPipeline(frameData, settings = this.getPipelineSettings(), preview = Boolean(this.onPreprocess)) {
+        const backend = this.backend;
+        
+        const result = await this.worker.process(frameData, { settings, preview });
+        
+        this.processMetrics.inferenceTime = result.metrics.inferenceTime;
+        this.processMetrics.postprocessTime = result.metrics.postprocessTime;
+        
+        backend.lastGridPredictions = result.gridPredictions;
+        
+        if (result.preprocessed) {
+            // Önceki önizleme bitmap'ini serbest bırak
+            if (this.lastPreprocessed && this.lastPreprocessed.canvas.close) {
+                this.lastPreprocessed.canvas.close();
+            }
+            
+            this.lastPreprocessed = result.preprocessed;
+            
+            if (this.onPreprocess) {
+                this.onPreprocess(result.preprocessed);
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Worker'a her frame'de gönderilen eşik ve ön işleme ayarları
+     */
+    getPipelineSettings() {
         return {
-            canvas: canvas,
-            originalWidth: width,
-            originalHeight: height,
-            inputWidth: 416, // YOLO standard input
-            inputHeight: 416,
-            scaleFactor: Math.min(416 / width, 416 / height)
+            confidenceThreshold: this.confidenceThreshold,
+            iouThreshold: this.iouThreshold,
+            maxDetections: this.maxDetections,
+            nmsMethod: this.nmsMethod,
+            classFilter: this.classFilter,
+            preprocessing: this.preprocessor.getSettings()
         };
     }
     
+    /**
+     * Ana thread'den gelen ayarları uygular (worker tarafı)
+     */
+    applyPipelineSettings(settings) {
+        if (!settings) return;
+        
+        this.confidenceThreshold = settings.confidenceThreshold;
+        this.iouThreshold = settings.iouThreshold;
+        this.maxDetections = settings.maxDetections;
+        this.nmsMethod = settings.nmsMethod;
+        this.classFilter = settings.classFilter;
+        this.preprocessor.applySettings(settings.preprocessing);
+    }
+    
+    /**
+     * Hareket kapısına göre inferansın atlanıp atlanmayacağını belirler
+     */
+    shouldSkipInference(frameData) {
+        if (!this.motionGating || !frameData.motion) {
+            return false;
+        }
+        
+        const sinceLastInference = frameData.timestamp - this.lastInferenceTimestamp;
+        
+        // Son inferans yapılan frame'den sonra (atlanan frame'ler dahil) hareket olduysa çalışır
+        const motionSinceInference = frameData.motion.lastMotionTimestamp > this.lastInferenceTimestamp;
+        
+        return !motionSinceInference && sinceLastInference < this.maxStaticInterval;
+    }
+    
+    /**
+     * Frame ön işleme
+     */
+    preprocessFrame(frameData) {
+        // Letterbox/resize → piksel adımları → [0,1] normalizasyon (yalnızca tensörü okuyan backend için)
+        const backend = this.getActiveBackend();
+        const preprocessedData = this.preprocessor.process(frameData, {
+            createTensor: !!(backend && backend.usesTensorInput)
+        });
+        this.lastPreprocessed = preprocessedData;
+        
+        if (this.onPreprocess) {
+            this.onPreprocess(preprocessedData);
+        }
+        
+        return preprocessedData;
+    }
+    
     /**
      * YOLO inference çalıştırır
      */
-    async runInference(preprocessedData) {
-        if (!this.model) {
+    async runInference(preprocessedData, frameData = null) {
+        const backend = this.getActiveBackend();
+        
+        if (!backend) {
             throw new Error('Model henüz yüklenmedi');
         }
         
         const inferenceStart = performance.now();
         
-        // TensorFlow.js model ile tespit yap
-        const detections = await this.model.detect(
-            preprocessedData.canvas,
-            this.maxDetections
-        );
+        // Seçili backend ile tespit yap
+        const detections = await backend.detect(preprocessedData.canvas, {
+            maxDetections: this.maxDetections,
+            frame: frameData,
+            preprocessed: preprocessedData
+        });
         
         this.processMetrics.inferenceTime = performance.now() - inferenceStart;
         
-        return detections;
+        // Frame koordinatında çalışan backend'lerin (mock) kutuları zaten doğru
+        if (backend.outputSpace === 'frame') {
+            return detections;
+        }
+        
+        // Kutuları (ve anchor-free modellerde sorumlu stride hücresini) frame koordinatına çevir
+        return detections.map(detection => ({
+            ...detection,
+            bbox: this.preprocessor.unmapBox(detection.bbox, preprocessedData),
+            grid: detection.grid ? this.unmapGridCell(detection.grid, preprocessedData) : null
+        }));
+    }
+    
+    /**
+     * Stride grid hücresinin frame koordinatındaki kutusunu ekler
+     */
+    unmapGridCell(grid, preprocessedData) {
+        const { stride, gridX, gridY } = grid;
+        
+        return {
+            ...grid,
+            cellBox: this.preprocessor.unmapBox([gridX * stride, gridY * stride, stride, stride], preprocessedData)
+        };
     }
     
     /**
@@ -218,103 +685,71 @@ export class YOLOSimulation {
     postprocessDetections(rawDetections, frameData) {
         const postprocessStart = performance.now();
         
+        // Sınıf listeleri ve sınıf eşikleri (yoksa genel eşik) NMS'ten önce uygulanır
         const processedDetections = rawDetections
-            .filter(detection => detection.score >= this.confidenceThreshold)
+            .filter(detection => passesClassFilter(detection, this.classFilter, this.confidenceThreshold))
             .map(detection => this.formatDetection(detection, frameData))
             .sort((a, b) => b.score - a.score); // Confidence'a göre sırala
         
-        // Non-Maximum Suppression (NMS) simülasyonu
-        const finalDetections = this.applyNMS(processedDetections);
+        // Non-Maximum Suppression (elenen kutular görselleştirme için saklanır)
+        const { kept, suppressed } = this.applyNMS(processedDetections);
+        this.suppressedDetections = suppressed;
         
         this.processMetrics.postprocessTime = performance.now() - postprocessStart;
         
-        return finalDetections;
+        // Backend'ler NMS öncesi aday döndürür; tespit sayısı sınırı NMS sonrası uygulanır
+        return kept.slice(0, this.maxDetections);
     }
     
     /**
      * Detection'ı standart formata çevirir
      */
     formatDetection(detection, frameData) {
-        const { bbox, class: className, score } = detection;
+        const { bbox, class: className, score, grid } = detection;
         const { width, height } = frameData;
+        const scaleBox = box => [
+            box[0] * width / frameData.canvas.width,  // x
+            box[1] * height / frameData.canvas.height, // y
+            box[2] * width / frameData.canvas.width,  // width
+            box[3] * height / frameData.canvas.height  // height
+        ];
         
         return {
             class: className,
             score: score,
-            bbox: [
-                bbox[0] * width / frameData.canvas.width,  // x
-                bbox[1] * height / frameData.canvas.height, // y
-                bbox[2] * width / frameData.canvas.width,  // width  
-                bbox[3] * height / frameData.canvas.height  // height
-            ],
+            bbox: scaleBox(bbox),
             center: [
                 (bbox[0] + bbox[2] / 2) * width / frameData.canvas.width,
                 (bbox[1] + bbox[3] / 2) * height / frameData.canvas.height
             ],
-            id: Math.random().toString(36).substring(7)
+            // Stride grid'indeki sorumlu hücre (anchor-free modeller)
+            grid: grid && grid.cellBox ? { ...grid, cellBox: scaleBox(grid.cellBox) } : null,
+            id: null, // ObjectTracker kalıcı track ID'si atar
+            trackId: null // Onaylanmış track (minHits eşleşme sonrası)
         };
     }
     
     /**
-     * Non-Maximum Suppression uygular
+     * Seçili yöntemle Non-Maximum Suppression uygular
      */
     applyNMS(detections) {
-        if (detections.length === 0) return [];
-        
-        // Confidence'a göre sıralı geldiği varsayılıyor
-        const selected = [];
-        const suppressed = new Set();
-        
-        for (let i = 0; i < detections.length; i++) {
-            if (suppressed.has(i)) continue;
-            
-            selected.push(detections[i]);
-            
-            // Bu detection ile overlap eden diğerlerini suppress et
-            for (let j = i + 1; j < detections.length; j++) {
-                if (suppressed.has(j)) continue;
-                
-                const iou = this.calculateIoU(detections[i].bbox, detections[j].bbox);
-                if (iou > this.iouThreshold) {
-                    suppressed.add(j);
-                }
-            }
-        }
-        
-        return selected;
+        return runNMS(detections, {
+            method: this.nmsMethod,
+            iouThreshold: this.iouThreshold,
+            // Soft-NMS'te skoru sınıfının eşiğinin altına düşenler elenir
+            scoreThreshold: detection => getClassThreshold(this.classFilter, detection.class, this.confidenceThreshold)
+        });
     }
     
     /**
      * Intersection over Union (IoU) hesaplar
      */
     calculateIoU(bbox1, bbox2) {
-        const [x1_1, y1_1, w1, h1] = bbox1;
-        const [x1_2, y1_2, w2, h2] = bbox2;
-        
-        const x2_1 = x1_1 + w1;
-        const y2_1 = y1_1 + h1;
-        const x2_2 = x1_2 + w2;
-        const y2_2 = y1_2 + h2;
-        
-        // Intersection
-        const intersectX1 = Math.max(x1_1, x1_2);
-        const intersectY1 = Math.max(y1_1, y1_2);
-        const intersectX2 = Math.min(x2_1, x2_2);
-        const intersectY2 = Math.min(y2_1, y2_2);
-        
-        const intersectArea = Math.max(0, intersectX2 - intersectX1) * 
-                             Math.max(0, intersectY2 - intersectY1);
-        
-        // Union
-        const area1 = w1 * h1;
-        const area2 = w2 * h2;
-        const unionArea = area1 + area2 - intersectArea;
-        
-        return unionArea > 0 ? intersectArea / unionArea : 0;
+        return calculateIoU(bbox1, bbox2);
     }
     
     /**
-     * YOLO grid haritalama simülasyonu (Eğitici)
+     * YOLO grid haritalama simülasyonu (Eğitici - grid çıktısı vermeyen modeller için)
      */
     simulateGridMapping(detections, frameData) {
         if (this.simulationMode !== 'educational') return;
@@ -393,13 +828,185 @@ export class YOLOSimulation {
     }
     
     /**
-     * Step-by-step modda bir sonraki adıma geç
+     * Frame'i adım adım inceleme için dondurur (kopyası alınır)
+     */
+    freezeFrame(frameData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = frameData.canvas.width;
+        canvas.height = frameData.canvas.height;
+        canvas.getContext('2d').drawImage(frameData.canvas, 0, 0);
+        
+        this.stepSession = {
+            frame: { ...frameData, canvas: canvas, imageData: null, isSnapshot: false },
+            stageIndex: -1, // -1: frame donduruldu, henüz aşama çalışmadı
+            results: [],
+            isRunning: false
+        };
+        
+        console.log(`🧊 Frame donduruldu (#${frameData.frameNumber})`);
+        this.notifyStepUpdate();
+    }
+    
+    /**
+     * Step-by-step modda bir sonraki aşamayı çalıştırır (hesaplanmışsa yeniden gösterir)
+     */
+    async nextStep() {
+        const session = this.stepSession;
+        if (!this.stepByStepMode || !session || session.isRunning) return;
+        
+        const nextIndex = session.stageIndex + 1;
+        if (nextIndex >= PIPELINE_STAGES.length) return;
+        
+        if (!session.results[nextIndex]) {
+            session.isRunning = true;
+            this.notifyStepUpdate();
+            
+            try {
+                session.results[nextIndex] = await this.runStage(PIPELINE_STAGES[nextIndex].id, session);
+            } catch (error) {
+                console.error('❌ Pipeline aşaması başarısız:', error);
+                this.notifyProcessingUpdate({ isProcessing: false, error: error.message });
+                return;
+            } finally {
+                // Hata durumunda da kontroller yeniden etkinleşir
+                session.isRunning = false;
+                this.notifyStepUpdate();
+            }
+            
+            // Beklerken yeni frame dondurulduysa sonuç atılır
+            if (this.stepSession !== session) return;
+        }
+        
+        session.stageIndex = nextIndex;
+        console.log(`➡️ Adım ${nextIndex + 1}/${PIPELINE_STAGES.length}: ${PIPELINE_STAGES[nextIndex].title}`);
+        this.notifyStepUpdate();
+    }
+    
+    /**
+     * Bir önceki aşamanın sonucuna döner (yeniden hesaplanmaz)
+     */
+    previousStep() {
+        const session = this.stepSession;
+        if (!session || session.isRunning || session.stageIndex < 0) return;
+        
+        session.stageIndex--;
+        this.notifyStepUpdate();
+    }
+    
+    /**
+     * Dondurulan frame'i bırakır; bir sonraki frame yeniden dondurulur
+     */
+    releaseFrozenFrame() {
+        this.stepSession = null;
+        this.notifyStepUpdate();
+    }
+    
+    /**
+     * Tek bir pipeline aşamasını dondurulmuş frame üzerinde çalıştırır
+     */
+    async runStage(stageId, session) {
+        const { frame, results } = session;
+        const previous = results[results.length - 1] || {};
+        
+        switch (stageId) {
+            case 'preprocess': {
+                const backend = this.getActiveBackend();
+                
+                if (!backend.remote) {
+                    return { preprocessed: this.preprocessFrame(frame) };
+                }
+                
+                // Worker ön işleme ile inferansı tek istekte yapar: eşik/NMS/sınıf filtresi ve
+                // tespit sınırı kapatılarak ham adaylar alınır, sonraki aşamalar bu thread'de yürür
+                const workerResult = await this.runWorkerPipeline(frame, {
+                    ...this.getPipelineSettings(),
+                    confidenceThreshold: 0,
+                    maxDetections: Infinity,
+                    nmsMethod: 'none',
+                    classFilter: createClassFilter()
+                }, true);
+                
+                return { preprocessed: workerResult.preprocessed, workerResult };
+            }
+            
+            case 'inference': {
+                if (previous.workerResult) {
+                    const { detections, gridPredictions } = previous.workerResult;
+                    return { candidates: detections, gridPredictions };
+                }
+                
+                const rawDetections = await this.runInference(previous.preprocessed, frame);
+                const candidates = rawDetections
+                    .map(detection => this.formatDetection(detection, frame))
+                    .sort((a, b) => b.score - a.score);
+                
+                return { candidates, gridPredictions: this.getActiveBackend().getGridPredictions() };
+            }
+            
+            case 'confidence': {
+                const passed = [];
+                const rejected = [];
+                
+                previous.candidates.forEach(detection => {
+                    if (passesClassFilter(detection, this.classFilter, this.confidenceThreshold)) {
+                        passed.push(detection);
+                    } else {
+                        const threshold = getClassThreshold(this.classFilter, detection.class, this.confidenceThreshold);
+                        rejected.push({ ...detection, threshold });
+                    }
+                });
+                
+                return { passed, rejected, gridPredictions: previous.gridPredictions };
+            }
+            
+            case 'nms': {
+                const { kept, suppressed } = this.applyNMS(previous.passed);
+                return { kept, suppressed, gridPredictions: previous.gridPredictions };
+            }
+            
+            case 'grid': {
+                const { kept, suppressed, gridPredictions } = previous;
+                
+                this.notifyGridPredictions(gridPredictions);
+                if (!gridPredictions) {
+                    this.simulateGridMapping(kept, frame);
+                }
+                
+                this.detections = kept;
+                this.rawDetections = kept;
+                this.suppressedDetections = suppressed;
+                this.notifyDetection(kept);
+                
+                return { detections: kept, gridPredictions };
+            }
+            
+            default:
+                throw new Error(`Bilinmeyen pipeline aşaması: ${stageId}`);
+        }
+    }
+    
+    /**
+     * Adım adım modun durumunu bildirir
      */
-    nextStep() {
-        if (!this.stepByStepMode) return;
+    notifyStepUpdate() {
+        if (!this.onStepUpdate) return;
+        
+        const session = this.stepSession;
+        if (!session) {
+            this.onStepUpdate({ active: this.stepByStepMode, frozen: false, stages: PIPELINE_STAGES });
+            return;
+        }
         
-        // Tutorial stepping logic
-        console.log('➡️ Sonraki adım');
+        this.onStepUpdate({
+            active: this.stepByStepMode,
+            frozen: true,
+            stages: PIPELINE_STAGES,
+            stageIndex: session.stageIndex,
+            stage: PIPELINE_STAGES[session.stageIndex] || null,
+            result: session.results[session.stageIndex] || null,
+            frame: session.frame,
+            isRunning: session.isRunning
+        });
     }
     
     /**
@@ -418,6 +1025,46 @@ export class YOLOSimulation {
         console.log(`📐 IoU threshold: ${this.iouThreshold}`);
     }
     
+    /**
+     * Sınıf bazlı eşikleri ve izin/engel listelerini ayarlar
+     */
+    setClassFilter(filter) {
+        this.classFilter = createClassFilter(filter);
+        
+        if (isClassFilterEmpty(this.classFilter)) {
+            console.log('🏷️ Sınıf filtresi: kapalı');
+        } else {
+            const { include, exclude, thresholds } = this.classFilter;
+            console.log(`🏷️ Sınıf filtresi: ${include.length} izinli, ${exclude.length} engelli, ${Object.keys(thresholds).length} özel eşik`);
+        }
+    }
+    
+    /**
+     * Aktif sınıf filtresini döndürür
+     */
+    getClassFilter() {
+        return this.classFilter;
+    }
+    
+    /**
+     * NMS yöntemini ayarlar
+     */
+    setNMSMethod(method) {
+        if (!NMS_METHODS[method]) {
+            throw new Error(`Bilinmeyen NMS yöntemi: ${method}`);
+        }
+        
+        this.nmsMethod = method;
+        console.log(`🧹 NMS yöntemi: ${NMS_METHODS[method]}`);
+    }
+    
+    /**
+     * Son frame'de NMS'in elediği kutuları döndürür
+     */
+    getSuppressedDetections() {
+        return this.suppressedDetections;
+    }
+    
     /**
      * Grid boyutunu ayarlar
      */
@@ -426,6 +1073,85 @@ export class YOLOSimulation {
         console.log(`🔳 Grid boyutu: ${size}x${size}`);
     }
     
+    /**
+     * Hareket kapısını açar/kapatır
+     */
+    setMotionGating(enabled) {
+        this.motionGating = enabled;
+        console.log(`🏃 Hareket kapısı: ${enabled ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Nesne takibini açar veya kapatır
+     */
+    setTracking(enabled) {
+        this.trackingEnabled = enabled;
+        this.tracker.reset();
+        console.log(`🛰️ Nesne takibi: ${enabled ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Onaylanmış track'leri (kutu tahmini + yörünge) döndürür
+     */
+    getTracks() {
+        return this.trackingEnabled ? this.tracker.getTracks() : [];
+    }
+    
+    /**
+     * Zamansal yumuşatmayı açar veya kapatır
+     */
+    setTemporalSmoothing(enabled) {
+        this.temporalSmoothing = enabled;
+        this.temporalFilter.reset();
+        console.log(`〰️ Zamansal yumuşatma: ${enabled ? 'açık' : 'kapalı'}`);
+    }
+    
+    /**
+     * Zamansal filtre ayarlarını günceller (method, alpha, appear/disappear oranları, holdTime)
+     */
+    setTemporalFilterOptions(options) {
+        const previousMethod = this.temporalFilter.method;
+        this.temporalFilter.configure(options);
+        
+        // Yöntem değişince eski hız/ortalama state'i geçersiz
+        if (this.temporalFilter.method !== previousMethod) {
+            this.temporalFilter.reset();
+            console.log(`〰️ Zamansal filtre: ${TEMPORAL_FILTER_METHODS[this.temporalFilter.method]}`);
+        }
+    }
+    
+    /**
+     * Son frame'in yumuşatılmamış detection'larını döndürür
+     */
+    getRawDetections() {
+        return this.rawDetections;
+    }
+    
+    /**
+     * Ön işleme adımını açar veya kapatır
+     */
+    setPreprocessingStep(stepId, enabled) {
+        this.preprocessor.setStepEnabled(stepId, enabled);
+    }
+    
+    /**
+     * Model girdi boyutunu ve resize modunu ayarlar
+     */
+    setInputSize(size, resizeMode) {
+        this.preprocessor.setInputSize(size);
+        
+        if (resizeMode) {
+            this.preprocessor.setResizeMode(resizeMode);
+        }
+    }
+    
+    /**
+     * Ön işleme parlaklık/kontrast değerlerini ayarlar
+     */
+    setBrightnessContrast(brightness, contrast) {
+        this.preprocessor.setBrightnessContrast(brightness, contrast);
+    }
+    
     /**
      * Simülasyon modunu değiştirir
      */
@@ -438,8 +1164,19 @@ export class YOLOSimulation {
      * Step-by-step modu toggle eder
      */
     toggleStepByStepMode() {
-        this.stepByStepMode = !this.stepByStepMode;
+        this.setStepByStepMode(!this.stepByStepMode);
+    }
+    
+    /**
+     * Step-by-step modu açar veya kapatır (açılınca sonraki frame dondurulur)
+     */
+    setStepByStepMode(enabled) {
+        this.stepByStepMode = enabled;
+        this.stepSession = null;
+        this.tracker.reset();
+        
         console.log(`👣 Step-by-step modu: ${this.stepByStepMode ? 'açık' : 'kapalı'}`);
+        this.notifyStepUpdate();
     }
     
     /**
@@ -468,38 +1205,16 @@ export class YOLOSimulation {
      * Model bilgilerini döndürür
      */
     getModelInfo() {
-        if (!this.model) return null;
+        if (!this.backend) return null;
         
-        return {
-            isLoaded: this.isModelLoaded,
-            architecture: 'COCO-SSD (MobileNet)',
-            inputSize: '300x300', // COCO-SSD default
-            classes: this.getClassNames(),
-            version: 'TensorFlow.js'
-        };
+        return this.backend.getInfo();
     }
     
     /**
      * Desteklenen sınıf isimlerini döndürür
      */
     getClassNames() {
-        // COCO dataset sınıfları (80 sınıf)
-        return [
-            'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus',
-            'train', 'truck', 'boat', 'traffic light', 'fire hydrant',
-            'stop sign', 'parking meter', 'bench', 'bird', 'cat', 'dog',
-            'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra', 'giraffe',
-            'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee',
-            'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat',
-            'baseball glove', 'skateboard', 'surfboard', 'tennis racket',
-            'bottle', 'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl',
-            'banana', 'apple', 'sandwich', 'orange', 'broccoli', 'carrot',
-            'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch',
-            'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop',
-            'mouse', 'remote', 'keyboard', 'cell phone', 'microwave', 'oven',
-            'toaster', 'sink', 'refrigerator', 'book', 'clock', 'vase',
-            'scissors', 'teddy bear', 'hair drier', 'toothbrush'
-        ];
+        return this.backend ? this.backend.getClassNames() : COCO_CLASSES;
     }
     
     /**
@@ -530,6 +1245,24 @@ export class YOLOSimulation {
         }
     }
     
+    /**
+     * Modelin hücre tahminlerini bildirir (null: model grid çıktısı vermiyor)
+     */
+    notifyGridPredictions(gridPredictions) {
+        if (this.onGridPredictions) {
+            this.onGridPredictions(gridPredictions);
+        }
+    }
+    
+    /**
+     * Track giriş/çıkış olaylarını bildirir
+     */
+    notifyTrackEvent(event) {
+        if (this.onTrackEvent) {
+            this.onTrackEvent(event);
+        }
+    }
+    
     /**
      * Gerçek zamanlı istatistikleri döndürür
      */
@@ -555,6 +1288,7 @@ export class YOLOSimulation {
         
         return {
             frameCount: this.processMetrics.frameCount,
+            skippedFrames: this.processMetrics.skippedFrames,
             totalProcessingTime: this.processMetrics.totalTime,
             averageInferenceTime: this.processMetrics.avgInferenceTime || 0,
             averagePostprocessTime: this.processMetrics.avgPostprocessTime || 0,
@@ -568,9 +1302,9 @@ export class YOLOSimulation {
     }
     
     /**
-     * Demo modları için önceden tanımlı senaryolar
+     * Demo modları için önceden tanımlı senaryolar (options.classFilter: senaryo için kayıtlı filtre)
      */
-    loadDemoScenario(scenarioName) {
+    loadDemoScenario(scenarioName, options = {}) {
         const scenarios = {
             'beginner': {
                 confidenceThreshold: 0.5,
@@ -603,10 +1337,14 @@ export class YOLOSimulation {
         };
         
         const scenario = scenarios[scenarioName];
-        if (scenario) {
-            Object.assign(this, scenario);
-            console.log(`🎬 Demo senaryosu yüklendi: ${scenarioName}`, scenario);
-        }
+        if (!scenario) return null;
+        
+        Object.assign(this, scenario);
+        this.setStepByStepMode(scenario.stepByStepMode);
+        this.setClassFilter(options.classFilter || SCENARIO_CLASS_FILTERS[scenarioName]);
+        console.log(`🎬 Demo senaryosu yüklendi: ${scenarioName}`, scenario);
+        
+        return scenario;
     }
     
     /**
@@ -642,7 +1380,7 @@ export class YOLOSimulation {
                 {
                     step: 5,
                     title: "Non-Maximum Suppression",
-                    description: `IoU ${this.iouThreshold} üstündeki overlapping box'lar birleştirilir`,
+                    description: `IoU ${this.iouThreshold} üstündeki overlapping box'lar birleştirilir (${NMS_METHODS[this.nmsMethod]})`,
                     detail: "Aynı nesne için multiple detection'ları birleştirmek için kullanılır"
                 }
             ],
@@ -666,6 +1404,8 @@ export class YOLOSimulation {
     getDebugInfo() {
         return {
             modelStatus: {
+                backend: this.backendId,
+                thread: this.backend && this.backend.remote ? 'worker' : 'main',
                 loaded: this.isModelLoaded,
                 loading: this.modelLoadingPromise !== null,
                 error: this.modelLoadingPromise === null && !this.isModelLoaded
@@ -680,27 +1420,45 @@ export class YOLOSimulation {
                 classes: [...new Set(this.detections.map(d => d.class))],
                 avgConfidence: this.detections.length > 0 
                     ? this.detections.reduce((sum, d) => sum + d.score, 0) / this.detections.length 
-                    : 0
+                    : 0,
+                activeTracks: this.tracker.getActiveTrackCount()
             },
             settings: {
                 confidenceThreshold: this.confidenceThreshold,
                 iouThreshold: this.iouThreshold,
+                nmsMethod: this.nmsMethod,
+                classFilter: this.classFilter,
                 gridSize: this.gridSize,
                 simulationMode: this.simulationMode,
-                stepByStepMode: this.stepByStepMode
+                stepByStepMode: this.stepByStepMode,
+                motionGating: this.motionGating,
+                tracking: this.trackingEnabled,
+                temporalSmoothing: this.temporalSmoothing,
+                temporalFilter: this.temporalFilter.getSettings(),
+                preprocessing: this.preprocessor.getSettings()
             },
             performance: this.getPerformanceReport()
         };
     }
     
+    /**
+     * Seçilen klasörü asset kaynağı yapar (worker çalışıyorsa onun loader'ına da aktarılır)
+     */
+    async setAssetFolder(files) {
+        assetLoader.setLocalFiles(files);
+        
+        if (this.worker) {
+            await this.worker.setAssets(assetLoader.getAssetSource());
+        }
+    }
+    
     /**
      * Model yeniden yükleme
      */
     async reloadModel() {
         console.log('🔄 Model yeniden yükleniyor...');
         
-        this.model = null;
-        this.isModelLoaded = false;
+        this.releaseBackend(this.backendId);
         this.modelLoadingPromise = null;
         
         await this.loadModel();
@@ -713,9 +1471,11 @@ export class YOLOSimulation {
         this.confidenceThreshold = 0.3;
         this.iouThreshold = 0.5;
         this.maxDetections = 10;
+        this.nmsMethod = 'class-aware';
+        this.classFilter = createClassFilter();
         this.gridSize = 13;
         this.simulationMode = 'educational';
-        this.stepByStepMode = false;
+        this.setStepByStepMode(false);
         
         console.log('🔄 YOLO ayarları sıfırlandı');
     }
@@ -798,13 +1558,13 @@ export class YOLOSimulation {
      */
     cleanup() {
         this.stop();
+        this.stopWorker();
         
-        // Model'i temizle
-        if (this.model && this.model.dispose) {
-            this.model.dispose();
-        }
+        // Backend'leri temizle
+        this.backends.forEach(backend => backend.dispose());
+        this.backends.clear();
         
-        this.model = null;
+        this.backend = null;
         this.isModelLoaded = false;
         this.detections = [];
         this.processingQueue = [];
@@ -814,8 +1574,10 @@ export class YOLOSimulation {
     
     /**
      * Export detection results
+     * 
+     * 'coco' / 'voc' / 'yolo' son frame için etiket dosyası listesi ([{ name, content }]) döndürür.
      */
-    exportResults(format = 'json') {
+    exportResults(format = 'json', options = {}) {
         const data = {
             timestamp: new Date().toISOString(),
             detections: this.detections,
@@ -848,6 +1610,17 @@ export class YOLOSimulation {
                 
                 return [headers, ...rows].map(row => row.join(',')).join('\n');
                 
+            case 'coco':
+            case 'voc':
+            case 'yolo': {
+                if (!this.lastFrameInfo) {
+                    throw new Error('Dışa aktarılacak işlenmiş frame yok');
+                }
+                
+                const frame = createExportFrame(this.detections, this.lastFrameInfo);
+                return exportAnnotations([frame], format, { classNames: this.getClassNames(), ...options });
+            }
+                
             default:
                 return data;
         }